@@ -6,7 +6,10 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query, transaction } = require('../config/database');
-const { authenticateToken, requireAdmin, requireEvaluator, logAuditTrail } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireVolunteerAccess, logAuditTrail } = require('../middleware/auth');
+const { volunteerScopeClause, canAccessVolunteer } = require('../utils/volunteerScope');
+const { teamFilterClause, volunteerFilterClause } = require('../utils/teams');
+const { EVALUABLE_STATES, stateListSql } = require('../utils/lifecycle');
 
 const router = express.Router();
 
@@ -14,7 +17,7 @@ const router = express.Router();
  * جلب جميع التنبيهات
  * GET /api/alerts
  */
-router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('alerts.read'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -23,6 +26,8 @@ router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
       alert_type,
       severity,
       is_resolved,
+      team_id,
+      branch_id,
       sort_by = 'created_at',
       sort_order = 'desc'
     } = req.query;
@@ -58,6 +63,18 @@ router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
       paramIndex++;
     }
 
+    // فريق المتطوع الحالي
+    const teamFilter = teamFilterClause(req.query, 'ar.volunteer_id', paramIndex);
+    whereClause += teamFilter.clause;
+    queryParams.push(...teamFilter.params);
+    paramIndex += teamFilter.params.length;
+
+    // قصر النتائج على المتطوعين المسندين للمستخدم
+    const scope = volunteerScopeClause(req.user, 'ar.volunteer_id', paramIndex);
+    whereClause += scope.clause;
+    queryParams.push(...scope.params);
+    paramIndex += scope.params.length;
+
     // التحقق من صحة ترتيب النتائج
     const validSortFields = ['created_at', 'severity', 'alert_type'];
     const validSortOrders = ['asc', 'desc'];
@@ -119,7 +136,9 @@ router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
           volunteer_id: volunteer_id || null,
           alert_type: alert_type || null,
           severity: severity || null,
-          is_resolved: is_resolved || null
+          is_resolved: is_resolved || null,
+          team_id: team_id || null,
+          branch_id: branch_id || null
         }
       }
     });
@@ -138,7 +157,7 @@ router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
  * جلب تنبيه محدد
  * GET /api/alerts/:id
  */
-router.get('/:id', authenticateToken, requireEvaluator, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('alerts.read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -169,6 +188,15 @@ router.get('/:id', authenticateToken, requireEvaluator, async (req, res) => {
 
     const alert = alertResult.rows[0];
 
+    // التحقق من إسناد المتطوع للمستخدم
+    if (!(await canAccessVolunteer(req.user, alert.volunteer_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'هذا المتطوع غير مسند إليك',
+        code: 'VOLUNTEER_NOT_ASSIGNED'
+      });
+    }
+
     // جلب التقييمات ذات العلاقة إذا كان التنبيه مرتبط بمعيار محدد
     let relatedEvaluations = [];
     if (alert.criteria_id) {
@@ -219,7 +247,8 @@ router.get('/:id', authenticateToken, requireEvaluator, async (req, res) => {
  */
 router.post('/', [
   authenticateToken,
-  requireEvaluator,
+  requirePermission('alerts.create'),
+  requireVolunteerAccess(req => req.body.volunteer_id),
   body('volunteer_id').isUUID().withMessage('معرف المتطوع غير صالح'),
   body('alert_type').isIn(['weak_performance', 'no_interaction', 'improvement_needed', 'achievement']).withMessage('نوع التنبيه غير صالح'),
   body('alert_message').notEmpty().withMessage('رسالة التنبيه مطلوبة'),
@@ -305,7 +334,7 @@ router.post('/', [
  */
 router.patch('/:id/resolve', [
   authenticateToken,
-  requireEvaluator,
+  requirePermission('alerts.resolve'),
   body('resolution_notes').optional().isLength({ max: 1000 }).withMessage('ملاحظات الحل طويلة جداً')
 ], async (req, res) => {
   try {
@@ -324,6 +353,15 @@ router.patch('/:id/resolve', [
 
     const alert = alertResult.rows[0];
 
+    // التحقق من إسناد المتطوع للمستخدم
+    if (!(await canAccessVolunteer(req.user, alert.volunteer_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'هذا المتطوع غير مسند إليك',
+        code: 'VOLUNTEER_NOT_ASSIGNED'
+      });
+    }
+
     if (alert.is_resolved) {
       return res.status(409).json({
         success: false,
@@ -371,10 +409,10 @@ router.patch('/:id/resolve', [
 });
 
 /**
- * حذف تنبيه (أدمن فقط)
+ * حذف تنبيه (صلاحية alerts.delete)
  * DELETE /api/alerts/:id
  */
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('alerts.delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -390,6 +428,15 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
 
     const alert = alertResult.rows[0];
 
+    // التحقق من إسناد المتطوع للمستخدم
+    if (!(await canAccessVolunteer(req.user, alert.volunteer_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'هذا المتطوع غير مسند إليك',
+        code: 'VOLUNTEER_NOT_ASSIGNED'
+      });
+    }
+
     // حذف التنبيه
     await query('DELETE FROM alert_records WHERE id = $1', [id]);
 
@@ -422,10 +469,14 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
  * فحص وتوليد التنبيهات الذكية التلقائية
  * POST /api/alerts/check-automatic
  */
-router.post('/check-automatic', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/check-automatic', authenticateToken, requirePermission('alerts.run_checks'), async (req, res) => {
   try {
     const newAlerts = [];
 
+    // الفحص يشمل المتطوعين المسندين للمستخدم فقط
+    const weakScope = volunteerScopeClause(req.user, 'cw.volunteer_id', 1);
+    const interactionScope = volunteerScopeClause(req.user, 'last_two_months.volunteer_id', 1);
+
     // فحص ضعف الأداء لمدة 3 شهور متتالية
     const weakPerformanceQuery = `
       WITH consecutive_weak AS (
@@ -454,9 +505,10 @@ router.post('/check-automatic', authenticateToken, requireAdmin, async (req, res
         AND ar.alert_type = 'weak_performance' 
         AND ar.is_resolved = false
       )
+      AND v.archived_at IS NULL${weakScope.clause}
     `;
 
-    const weakPerformanceResult = await query(weakPerformanceQuery);
+    const weakPerformanceResult = await query(weakPerformanceQuery, weakScope.params);
 
     for (const record of weakPerformanceResult.rows) {
       const alertMessage = `المتطوع ${record.volunteer_name} يظهر أداء ضعيف لمدة ${record.weak_months} شهر متتالي`;
@@ -508,9 +560,12 @@ router.post('/check-automatic', authenticateToken, requireAdmin, async (req, res
         AND ar.alert_type = 'no_interaction' 
         AND ar.is_resolved = false
       )
+      AND last_two_months.volunteer_id IN (
+        SELECT id FROM volunteers WHERE archived_at IS NULL AND lifecycle_state IN (${stateListSql(EVALUABLE_STATES)})
+      )${interactionScope.clause}
     `;
 
-    const noInteractionResult = await query(noInteractionQuery);
+    const noInteractionResult = await query(noInteractionQuery, interactionScope.params);
 
     for (const record of noInteractionResult.rows) {
       const alertMessage = `المتطوع ${record.volunteer_name} يظهر عدم تفاعل في المجموعات لمدة ${record.no_interaction_count} شهر`;
@@ -560,8 +615,14 @@ router.post('/check-automatic', authenticateToken, requireAdmin, async (req, res
  * إحصائيات التنبيهات
  * GET /api/alerts/statistics/overview
  */
-router.get('/statistics/overview', authenticateToken, requireEvaluator, async (req, res) => {
+router.get('/statistics/overview', authenticateToken, requirePermission('alerts.read'), async (req, res) => {
   try {
+    const { team_id, branch_id } = req.query;
+
+    // جميع الإحصائيات مقصورة على المتطوعين المسندين للمستخدم وعلى فريقهم/فرعهم الحالي
+    const scope = volunteerFilterClause(req.user, req.query, 'volunteer_id', 1);
+    const volunteersScope = volunteerFilterClause(req.user, req.query, 'ar.volunteer_id', 1);
+
     // إحصائيات عامة
     const generalStatsQuery = `
       SELECT 
@@ -576,9 +637,10 @@ router.get('/statistics/overview', authenticateToken, requireEvaluator, async (r
         COUNT(*) FILTER (WHERE alert_type = 'improvement_needed') as improvement_alerts,
         COUNT(*) FILTER (WHERE alert_type = 'achievement') as achievement_alerts
       FROM alert_records
+      WHERE 1=1${scope.clause}
     `;
 
-    const generalStats = await query(generalStatsQuery);
+    const generalStats = await query(generalStatsQuery, scope.params);
 
     // التنبيهات الأكثر شيوعاً
     const commonAlertsQuery = `
@@ -592,12 +654,12 @@ router.get('/statistics/overview', authenticateToken, requireEvaluator, async (r
           ELSE 'إنجاز'
         END as alert_type_ar
       FROM alert_records
-      WHERE is_resolved = false
+      WHERE is_resolved = false${scope.clause}
       GROUP BY alert_type
       ORDER BY count DESC
     `;
 
-    const commonAlerts = await query(commonAlertsQuery);
+    const commonAlerts = await query(commonAlertsQuery, scope.params);
 
     // المتطوعين الأكثر تنبيهات
     const mostAlertsVolunteersQuery = `
@@ -608,12 +670,13 @@ router.get('/statistics/overview', authenticateToken, requireEvaluator, async (r
         COUNT(ar.id) FILTER (WHERE ar.is_resolved = false) as active_alerts_count
       FROM alert_records ar
       INNER JOIN volunteers v ON ar.volunteer_id = v.id
+      WHERE 1=1${volunteersScope.clause}
       GROUP BY v.id, v.full_name, v.role_type
       ORDER BY alerts_count DESC
       LIMIT 10
     `;
 
-    const mostAlertsVolunteers = await query(mostAlertsVolunteersQuery);
+    const mostAlertsVolunteers = await query(mostAlertsVolunteersQuery, volunteersScope.params);
 
     res.json({
       success: true,
@@ -624,6 +687,10 @@ router.get('/statistics/overview', authenticateToken, requireEvaluator, async (r
         resolution_rate: generalStats.rows[0].total_alerts > 0 
           ? Math.round((generalStats.rows[0].resolved_alerts / generalStats.rows[0].total_alerts) * 100)
           : 0,
+        filters: {
+          team_id: team_id || null,
+          branch_id: branch_id || null
+        },
         generated_at: new Date().toISOString()
       }
     });
@@ -4,10 +4,83 @@
  */
 
 const jwt = require('jsonwebtoken');
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const { canAccessVolunteer } = require('../utils/volunteerScope');
+const { GENESIS_HASH, AUDIT_CHAIN_LOCK_KEY, computeEntryHash } = require('../utils/auditChain');
+const { findImpersonatedUser, isAllowedUnderImpersonation } = require('../utils/impersonation');
+const { isApiKey, findApiKey, isIpAllowed, toApiKeyUser, touchApiKey } = require('../utils/apiKeys');
 
 /**
- * Middleware التحقق من صحة JWT Token
+ * جلب المستخدم المرتبط بالتوكن مع التحقق من أن جلسته ما زالت نشطة
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {Promise<Object|undefined>} User row with session_id (null if the session is revoked)
+ */
+const findSessionUser = async (decoded) => {
+  const userResult = await query(
+    `SELECT u.id, u.username, u.email, u.full_name, u.role, u.permissions, u.is_active, s.id as session_id
+     FROM users u
+     LEFT JOIN user_sessions s ON s.jti = $2 AND s.user_id = u.id
+       AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+     WHERE u.id = $1`,
+    [decoded.userId, decoded.jti || null]
+  );
+  return userResult.rows[0];
+};
+
+/**
+ * المصادقة بمفتاح API بدل JWT
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ * @param {string} rawKey - Key from X-API-Key or the Bearer header
+ */
+const authenticateApiKey = async (req, res, next, rawKey) => {
+  const apiKey = await findApiKey(rawKey);
+
+  if (!apiKey || apiKey.revoked_at) {
+    return res.status(401).json({
+      success: false,
+      message: 'مفتاح API غير صالح أو ملغى',
+      code: 'INVALID_API_KEY'
+    });
+  }
+
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+    return res.status(401).json({
+      success: false,
+      message: 'انتهت صلاحية مفتاح API',
+      code: 'API_KEY_EXPIRED'
+    });
+  }
+
+  if (!isIpAllowed(apiKey, req.clientIP)) {
+    return res.status(403).json({
+      success: false,
+      message: 'غير مسموح باستخدام هذا المفتاح من هذا العنوان',
+      code: 'API_KEY_IP_NOT_ALLOWED'
+    });
+  }
+
+  // مسارات الحساب (الجلسات، كلمة المرور، المصادقة الثنائية) للمستخدمين فقط
+  if (req.baseUrl === '/api/auth') {
+    return res.status(403).json({
+      success: false,
+      message: 'هذا المسار غير متاح لمفاتيح API',
+      code: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+
+  req.user = toApiKeyUser(apiKey);
+  req.apiKey = { id: apiKey.id, name: apiKey.name };
+
+  await touchApiKey(apiKey.id, req.clientIP);
+
+  next();
+};
+
+/**
+ * Middleware التحقق من صحة JWT Token (أو مفتاح API)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Next middleware function
@@ -18,6 +91,12 @@ const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
+    // العملاء الآليون يرسلون مفتاح API بدل التوكن
+    const apiKey = req.headers['x-api-key'] || (isApiKey(token) ? token : null);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     if (!token) {
       return res.status(401).json({
         success: false,
@@ -29,13 +108,12 @@ const authenticateToken = async (req, res, next) => {
     // التحقق من صحة التوكن
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // التحقق من وجود المستخدم في قاعدة البيانات
-    const userResult = await query(
-      'SELECT id, username, email, full_name, role, permissions, is_active FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    // التحقق من وجود المستخدم في قاعدة البيانات (رموز الانتحال مرتبطة بجلسة انتحال بدل جلسة المستخدم)
+    const user = decoded.impersonatorId
+      ? await findImpersonatedUser(decoded)
+      : await findSessionUser(decoded);
 
-    if (userResult.rows.length === 0) {
+    if (!user) {
       return res.status(401).json({
         success: false,
         message: 'المستخدم غير موجود',
@@ -43,8 +121,6 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const user = userResult.rows[0];
-
     // التحقق من حالة المستخدم
     if (!user.is_active) {
       return res.status(401).json({
@@ -54,6 +130,15 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // التحقق من أن الجلسة لم تلغ
+    if (!user.session_id) {
+      return res.status(401).json({
+        success: false,
+        message: 'تم إنهاء هذه الجلسة، يرجى تسجيل الدخول مجدداً',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
     // إضافة معلومات المستخدم للطلب
     req.user = {
       id: user.id,
@@ -61,13 +146,48 @@ const authenticateToken = async (req, res, next) => {
       email: user.email,
       fullName: user.full_name,
       role: user.role,
-      permissions: user.permissions || {}
+      permissions: user.permissions || {},
+      sessionId: user.session_id
     };
 
-    // تحديث آخر نشاط
+    if (decoded.impersonatorId) {
+      req.impersonation = {
+        id: user.session_id,
+        impersonatorId: user.impersonator_id,
+        impersonatorUsername: user.impersonator_username,
+        impersonatorName: user.impersonator_name,
+        allowWrite: user.allow_write
+      };
+
+      const allowed = isAllowedUnderImpersonation(req);
+
+      // كل طلب تحت الانتحال يسجل بهوية المستخدم والأدمن معاً
+      await logAuditTrail(
+        req,
+        allowed ? 'IMPERSONATED_REQUEST' : 'IMPERSONATION_BLOCKED',
+        'impersonation_sessions',
+        user.session_id,
+        null,
+        { method: req.method, path: req.originalUrl },
+        `${req.method} ${req.originalUrl} بواسطة ${user.impersonator_username} كـ ${user.username}`
+      );
+
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: 'لا يسمح بتعديل البيانات أثناء العرض كمستخدم آخر',
+          code: 'IMPERSONATION_READ_ONLY'
+        });
+      }
+
+      return next();
+    }
+
+    // تحديث آخر نشاط للجلسة (مرة كل دقيقة على الأكثر)
     await query(
-      'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
-      [user.id]
+      `UPDATE user_sessions SET last_seen_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND last_seen_at < CURRENT_TIMESTAMP - INTERVAL '1 minute'`,
+      [user.session_id]
     );
 
     next();
@@ -150,11 +270,16 @@ const requireEvaluator = (req, res, next) => {
 };
 
 /**
- * Middleware التحقق من صلاحية محددة
- * @param {string} permission - Required permission
+ * Middleware التحقق من صلاحية محددة من كتالوج الصلاحيات
+ * @param {string} permission - Required permission (key in utils/permissions PERMISSIONS)
  * @returns {Function} Middleware function
  */
 const requirePermission = (permission) => {
+  // اكتشاف الأخطاء الإملائية في أسماء الصلاحيات عند تحميل المسارات
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`صلاحية غير معرفة في الكتالوج: ${permission}`);
+  }
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -164,15 +289,8 @@ const requirePermission = (permission) => {
       });
     }
 
-    // الأدمن له جميع الصلاحيات
-    if (req.user.role === 'admin') {
-      return next();
-    }
-
-    // التحقق من الصلاحية المحددة
-    const userPermissions = req.user.permissions;
-    
-    if (!userPermissions[permission] && !userPermissions.all_permissions) {
+    // التحقق من الصلاحية المحددة (الأدمن له جميع الصلاحيات)
+    if (!hasPermission(req.user, permission)) {
       return res.status(403).json({
         success: false,
         message: `غير مصرح لك بتنفيذ هذا الإجراء - مطلوب صلاحية: ${permission}`,
@@ -185,6 +303,37 @@ const requirePermission = (permission) => {
   };
 };
 
+/**
+ * Middleware التحقق من إسناد المتطوع للمستخدم (الأدمن وأصحاب volunteers.view_all مستثنون)
+ * @param {Function} getVolunteerId - (req) => volunteer id to check
+ * @returns {Function} Middleware function
+ */
+const requireVolunteerAccess = (getVolunteerId) => {
+  return async (req, res, next) => {
+    try {
+      const volunteerId = getVolunteerId(req);
+
+      // غياب المعرف يترك للتحقق من صحة البيانات في المسار نفسه
+      if (!volunteerId || await canAccessVolunteer(req.user, volunteerId)) {
+        return next();
+      }
+
+      return res.status(403).json({
+        success: false,
+        message: 'هذا المتطوع غير مسند إليك',
+        code: 'VOLUNTEER_NOT_ASSIGNED'
+      });
+    } catch (error) {
+      console.error('❌ خطأ في التحقق من إسناد المتطوع:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'خطأ في التحقق من الصلاحيات',
+        code: 'AUTH_ERROR'
+      });
+    }
+  };
+};
+
 /**
  * Middleware اختياري للمصادقة (لا يطلب تسجيل دخول إجباري)
  * @param {Object} req - Express request object
@@ -202,21 +351,24 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // رموز الانتحال تحتاج تسجيل كل طلب، لذلك لا تقبل في المسارات الاختيارية
+    if (decoded.impersonatorId) {
+      req.user = null;
+      return next();
+    }
     
-    const userResult = await query(
-      'SELECT id, username, email, full_name, role, permissions, is_active FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    const user = await findSessionUser(decoded);
 
-    if (userResult.rows.length > 0 && userResult.rows[0].is_active) {
-      const user = userResult.rows[0];
+    if (user && user.is_active && user.session_id) {
       req.user = {
         id: user.id,
         username: user.username,
         email: user.email,
         fullName: user.full_name,
         role: user.role,
-        permissions: user.permissions || {}
+        permissions: user.permissions || {},
+        sessionId: user.session_id
       };
     } else {
       req.user = null;
@@ -231,7 +383,8 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * تسجيل العمليات في audit trail
+ * تسجيل العمليات في audit trail (كل عملية تربط ببصمة العملية السابقة)
+ * @param {Object} req - Express request object
  * @param {string} action - Action type
  * @param {string} tableName - Table name affected
  * @param {string} recordId - Record ID affected
@@ -243,21 +396,58 @@ const logAuditTrail = async (req, action, tableName, recordId, oldValues = null,
   try {
     if (!req.user) return;
 
-    await query(
-      `INSERT INTO audit_trail (user_id, action_type, table_name, record_id, old_values, new_values, description, ip_address, user_agent)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-      [
-        req.user.id,
-        action,
-        tableName,
-        recordId,
-        oldValues ? JSON.stringify(oldValues) : null,
-        newValues ? JSON.stringify(newValues) : null,
-        description,
-        req.clientIP,
-        req.get('User-Agent')
-      ]
-    );
+    const entry = {
+      user_id: req.user.id,
+      action_type: action,
+      table_name: tableName,
+      record_id: recordId,
+      old_values: oldValues ? JSON.stringify(oldValues) : null,
+      new_values: newValues ? JSON.stringify(newValues) : null,
+      description,
+      ip_address: req.clientIP || null,
+      user_agent: req.get('User-Agent') || null,
+      impersonator_id: req.impersonation ? req.impersonation.impersonatorId : null,
+      api_key_id: req.apiKey ? req.apiKey.id : null,
+      created_at: new Date()
+    };
+
+    await transaction(async (client) => {
+      // قفل يضمن أن كل عملية تبنى على آخر بصمة فعلية
+      await client.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_CHAIN_LOCK_KEY]);
+
+      const lastResult = await client.query(
+        'SELECT chain_seq, entry_hash FROM audit_trail WHERE chain_seq IS NOT NULL ORDER BY chain_seq DESC LIMIT 1'
+      );
+      const last = lastResult.rows[0];
+
+      entry.chain_seq = last ? parseInt(last.chain_seq) + 1 : 1;
+      entry.prev_hash = last ? last.entry_hash : GENESIS_HASH;
+      entry.entry_hash = computeEntryHash(entry, entry.prev_hash);
+
+      await client.query(
+        `INSERT INTO audit_trail (
+           user_id, action_type, table_name, record_id, old_values, new_values, description,
+           ip_address, user_agent, impersonator_id, api_key_id, created_at, chain_seq, prev_hash, entry_hash
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+        [
+          entry.user_id,
+          entry.action_type,
+          entry.table_name,
+          entry.record_id,
+          entry.old_values,
+          entry.new_values,
+          entry.description,
+          entry.ip_address,
+          entry.user_agent,
+          entry.impersonator_id,
+          entry.api_key_id,
+          entry.created_at,
+          entry.chain_seq,
+          entry.prev_hash,
+          entry.entry_hash
+        ]
+      );
+    });
   } catch (error) {
     console.error('❌ خطأ في تسجيل audit trail:', error.message);
   }
@@ -268,6 +458,7 @@ module.exports = {
   requireAdmin,
   requireEvaluator,
   requirePermission,
+  requireVolunteerAccess,
   optionalAuth,
   logAuditTrail
 };
\ No newline at end of file
@@ -6,7 +6,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query, transaction } = require('../config/database');
-const { authenticateToken, requireAdmin, requireEvaluator, logAuditTrail } = require('../middleware/auth');
+const { authenticateToken, requirePermission, logAuditTrail } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -14,7 +14,7 @@ const router = express.Router();
  * جلب جميع معايير التقييم
  * GET /api/criteria
  */
-router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('criteria.read'), async (req, res) => {
   try {
     const { 
       category, 
@@ -95,7 +95,7 @@ router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
  * جلب معيار تقييم محدد
  * GET /api/criteria/:id
  */
-router.get('/:id', authenticateToken, requireEvaluator, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('criteria.read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -148,12 +148,12 @@ router.get('/:id', authenticateToken, requireEvaluator, async (req, res) => {
 });
 
 /**
- * إضافة معيار تقييم جديد (أدمن فقط)
+ * إضافة معيار تقييم جديد (صلاحية criteria.manage)
  * POST /api/criteria
  */
 router.post('/', [
   authenticateToken,
-  requireAdmin,
+  requirePermission('criteria.manage'),
   body('name_ar').notEmpty().withMessage('الاسم العربي مطلوب'),
   body('category').isIn(['basic', 'responsibility', 'bonus']).withMessage('فئة غير صالحة'),
   body('weight').optional().isFloat({ min: 0 }).withMessage('الوزن يجب أن يكون رقم موجب'),
@@ -249,12 +249,12 @@ router.post('/', [
 });
 
 /**
- * تحديث معيار تقييم (أدمن فقط)
+ * تحديث معيار تقييم (صلاحية criteria.manage)
  * PUT /api/criteria/:id
  */
 router.put('/:id', [
   authenticateToken,
-  requireAdmin,
+  requirePermission('criteria.manage'),
   body('name_ar').optional().notEmpty().withMessage('الاسم العربي لا يمكن أن يكون فارغاً'),
   body('category').optional().isIn(['basic', 'responsibility', 'bonus']).withMessage('فئة غير صالحة'),
   body('weight').optional().isFloat({ min: 0 }).withMessage('الوزن يجب أن يكون رقم موجب'),
@@ -438,10 +438,10 @@ router.put('/:id', [
 });
 
 /**
- * تغيير حالة تفعيل معيار التقييم (أدمن فقط)
+ * تغيير حالة تفعيل معيار التقييم (صلاحية criteria.manage)
  * PATCH /api/criteria/:id/status
  */
-router.patch('/:id/status', authenticateToken, requireAdmin, async (req, res) => {
+router.patch('/:id/status', authenticateToken, requirePermission('criteria.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { is_active } = req.body;
@@ -497,10 +497,10 @@ router.patch('/:id/status', authenticateToken, requireAdmin, async (req, res) =>
 });
 
 /**
- * حذف معيار تقييم (أدمن فقط) - خطير!
+ * حذف معيار تقييم (صلاحية criteria.manage) - خطير!
  * DELETE /api/criteria/:id
  */
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('criteria.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { force = false } = req.query;
@@ -571,10 +571,10 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 /**
- * تكرار معيار تقييم (أدمن فقط)
+ * تكرار معيار تقييم (صلاحية criteria.manage)
  * POST /api/criteria/:id/duplicate
  */
-router.post('/:id/duplicate', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/:id/duplicate', authenticateToken, requirePermission('criteria.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { new_name_ar } = req.body;
@@ -661,10 +661,10 @@ router.post('/:id/duplicate', authenticateToken, requireAdmin, async (req, res)
 });
 
 /**
- * إعادة ترتيب معايير التقييم (أدمن فقط)
+ * إعادة ترتيب معايير التقييم (صلاحية criteria.manage)
  * PUT /api/criteria/reorder
  */
-router.put('/reorder', authenticateToken, requireAdmin, async (req, res) => {
+router.put('/reorder', authenticateToken, requirePermission('criteria.manage'), async (req, res) => {
   try {
     const { criteria_order } = req.body;
 
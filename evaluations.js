@@ -6,15 +6,35 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query, transaction } = require('../config/database');
-const { authenticateToken, requireAdmin, requireEvaluator, logAuditTrail } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireVolunteerAccess, logAuditTrail } = require('../middleware/auth');
+const { volunteerScopeClause, canAccessVolunteer } = require('../utils/volunteerScope');
+const { evaluationTeamDate, teamFilterClause, volunteerFilterClause } = require('../utils/teams');
+const { LIFECYCLE_STATES, EVALUABLE_STATES, getStateForMonth } = require('../utils/lifecycle');
+const { evaluationRoleSql, getRoleForMonth } = require('../utils/roleHistory');
+const { snapshotEvaluation, saveDeletedSnapshot } = require('../utils/deletedRecords');
 
 const router = express.Router();
 
+/**
+ * رد رفض تقييم شهر لم يكن المتطوع فيه في مرحلة قابلة للتقييم
+ * @param {Object} res - Express response object
+ * @param {string} state - Lifecycle state in the evaluation month
+ */
+const stateNotEvaluable = (res, state) => res.status(409).json({
+  success: false,
+  message: `لا يمكن تقييم متطوع في مرحلة ${LIFECYCLE_STATES[state].label}`,
+  code: 'VOLUNTEER_STATE_NOT_EVALUABLE',
+  lifecycle_state: state,
+  evaluable_states: EVALUABLE_STATES
+});
+
 /**
  * جلب جميع التقييمات مع فلترة
  * GET /api/evaluations
+ *
+ * team_id و branch_id يفلتران حسب فريق المتطوع في شهر التقييم
  */
-router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('evaluations.read'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -25,7 +45,9 @@ router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
       month,
       status,
       min_percentage,
-      max_percentage
+      max_percentage,
+      team_id,
+      branch_id
     } = req.query;
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
@@ -77,6 +99,17 @@ router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
       paramIndex++;
     }
 
+    const teamFilter = teamFilterClause(req.query, 'e.volunteer_id', paramIndex, evaluationTeamDate('e'));
+    whereClause += teamFilter.clause;
+    queryParams.push(...teamFilter.params);
+    paramIndex += teamFilter.params.length;
+
+    // قصر النتائج على المتطوعين المسندين للمستخدم
+    const scope = volunteerScopeClause(req.user, 'e.volunteer_id', paramIndex);
+    whereClause += scope.clause;
+    queryParams.push(...scope.params);
+    paramIndex += scope.params.length;
+
     // إحصاء إجمالي
     const countQuery = `
       SELECT COUNT(*) as total 
@@ -93,6 +126,7 @@ router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
         e.*,
         v.full_name as volunteer_name,
         v.role_type as volunteer_role,
+        ${evaluationRoleSql('e')} as evaluation_role,
         u.full_name as evaluator_name,
         CASE 
           WHEN e.percentage >= 90 THEN 'ممتاز'
@@ -120,6 +154,10 @@ router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
           limit: parseInt(limit),
           total,
           pages: Math.ceil(total / parseInt(limit))
+        },
+        filters: {
+          team_id: team_id || null,
+          branch_id: branch_id || null
         }
       }
     });
@@ -138,7 +176,7 @@ router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
  * جلب تقييم محدد مع التفاصيل
  * GET /api/evaluations/:id
  */
-router.get('/:id', authenticateToken, requireEvaluator, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('evaluations.read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -148,6 +186,7 @@ router.get('/:id', authenticateToken, requireEvaluator, async (req, res) => {
         e.*,
         v.full_name as volunteer_name,
         v.role_type as volunteer_role,
+        ${evaluationRoleSql('e')} as evaluation_role,
         v.phone as volunteer_phone,
         u.full_name as evaluator_name
       FROM evaluations e
@@ -168,6 +207,15 @@ router.get('/:id', authenticateToken, requireEvaluator, async (req, res) => {
 
     const evaluation = evaluationResult.rows[0];
 
+    // التحقق من إسناد المتطوع للمستخدم
+    if (!(await canAccessVolunteer(req.user, evaluation.volunteer_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'هذا المتطوع غير مسند إليك',
+        code: 'VOLUNTEER_NOT_ASSIGNED'
+      });
+    }
+
     // جلب تفاصيل التقييم
     const detailsQuery = `
       SELECT 
@@ -225,7 +273,8 @@ router.get('/:id', authenticateToken, requireEvaluator, async (req, res) => {
  */
 router.post('/', [
   authenticateToken,
-  requireEvaluator,
+  requirePermission('evaluations.create'),
+  requireVolunteerAccess(req => req.body.volunteer_id),
   body('volunteer_id').isUUID().withMessage('معرف المتطوع غير صالح'),
   body('evaluation_month').isInt({ min: 1, max: 12 }).withMessage('الشهر يجب أن يكون بين 1 و 12'),
   body('evaluation_year').isInt({ min: 2020, max: 2030 }).withMessage('السنة غير صالحة'),
@@ -259,20 +308,26 @@ router.post('/', [
 
     // التحقق من وجود المتطوع
     const volunteerResult = await query(
-      'SELECT * FROM volunteers WHERE id = $1 AND is_active = true',
+      'SELECT * FROM volunteers WHERE id = $1 AND archived_at IS NULL',
       [volunteer_id]
     );
 
     if (volunteerResult.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'المتطوع غير موجود أو غير نشط',
+        message: 'المتطوع غير موجود',
         code: 'VOLUNTEER_NOT_FOUND'
       });
     }
 
     const volunteer = volunteerResult.rows[0];
 
+    // التقييم مسموح فقط إذا كان المتطوع في فترة التجربة أو النشاط في شهر التقييم (وليس مرحلته الحالية)
+    const monthState = await getStateForMonth({ query }, volunteer_id, evaluation_year, evaluation_month);
+    if (!EVALUABLE_STATES.includes(monthState)) {
+      return stateNotEvaluable(res, monthState);
+    }
+
     // التحقق من عدم وجود تقييم مكرر
     const existingEvaluationResult = await query(
       'SELECT id FROM evaluations WHERE volunteer_id = $1 AND evaluation_month = $2 AND evaluation_year = $3',
@@ -340,7 +395,8 @@ router.post('/', [
 
       const evaluation = evaluationResult.rows[0];
 
-      // جلب معايير التقييم المناسبة للمتطوع
+      // جلب معايير التقييم المناسبة للدور الذي كان يشغله المتطوع في شهر التقييم
+      const evaluationRole = await getRoleForMonth(client, volunteer_id, evaluation_year, evaluation_month);
       const criteriaQuery = `
         SELECT * FROM evaluation_criteria 
         WHERE is_active = true 
@@ -348,7 +404,7 @@ router.post('/', [
         ORDER BY category, sort_order
       `;
 
-      const criteriaResult = await client.query(criteriaQuery, [volunteer.role_type]);
+      const criteriaResult = await client.query(criteriaQuery, [evaluationRole]);
       const availableCriteria = criteriaResult.rows;
 
       // حساب النتائج بشكل صحيح
@@ -413,7 +469,7 @@ router.post('/', [
         );
       }
 
-      return { ...evaluation, total_score: totalScore, max_possible_score: maxPossibleScore };
+      return { ...evaluation, total_score: totalScore, max_possible_score: maxPossibleScore, evaluation_role: evaluationRole };
     });
 
     // تسجيل العملية
@@ -443,7 +499,7 @@ router.post('/', [
  */
 router.put('/:id', [
   authenticateToken,
-  requireEvaluator,
+  requirePermission('evaluations.update'),
   body('criteria_scores').optional().isArray().withMessage('نتائج المعايير يجب أن تكون مصفوفة'),
   body('human_note').optional().isLength({ max: 2000 }).withMessage('الملاحظة الإنسانية طويلة جداً')
 ], async (req, res) => {
@@ -481,6 +537,15 @@ router.put('/:id', [
 
     const oldEvaluation = existingEvaluationResult.rows[0];
 
+    // التحقق من إسناد المتطوع للمستخدم
+    if (!(await canAccessVolunteer(req.user, oldEvaluation.volunteer_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'هذا المتطوع غير مسند إليك',
+        code: 'VOLUNTEER_NOT_ASSIGNED'
+      });
+    }
+
     // التحقق من الصلاحيات (المقيم يمكنه تعديل تقييماته فقط، الأدمن يعدل أي تقييم)
     if (req.user.role !== 'admin' && oldEvaluation.evaluator_id !== req.user.id) {
       return res.status(403).json({
@@ -499,6 +564,17 @@ router.put('/:id', [
       });
     }
 
+    // نفس شرط الإنشاء: مرحلة المتطوع في شهر التقييم
+    const monthState = await getStateForMonth(
+      { query },
+      oldEvaluation.volunteer_id,
+      oldEvaluation.evaluation_year,
+      oldEvaluation.evaluation_month
+    );
+    if (!EVALUABLE_STATES.includes(monthState)) {
+      return stateNotEvaluable(res, monthState);
+    }
+
     // تحديث التقييم في معاملة واحدة
     const updatedEvaluation = await transaction(async (client) => {
       // تحديث البيانات الأساسية
@@ -565,9 +641,13 @@ router.put('/:id', [
         // حذف التفاصيل الحالية
         await client.query('DELETE FROM evaluation_details WHERE evaluation_id = $1', [id]);
 
-        // جلب المتطوع لمعرفة دوره
-        const volunteerResult = await client.query('SELECT role_type FROM volunteers WHERE id = $1', [oldEvaluation.volunteer_id]);
-        const volunteerRole = volunteerResult.rows[0].role_type;
+        // الدور الذي كان يشغله المتطوع في شهر التقييم (وليس دوره الحالي)
+        const volunteerRole = await getRoleForMonth(
+          client,
+          oldEvaluation.volunteer_id,
+          oldEvaluation.evaluation_year,
+          oldEvaluation.evaluation_month
+        );
 
         // جلب معايير التقييم المناسبة
         const criteriaResult = await client.query(
@@ -652,7 +732,7 @@ router.put('/:id', [
  * اعتماد تقييم
  * PATCH /api/evaluations/:id/approve
  */
-router.patch('/:id/approve', authenticateToken, requireEvaluator, async (req, res) => {
+router.patch('/:id/approve', authenticateToken, requirePermission('evaluations.approve'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -668,6 +748,15 @@ router.patch('/:id/approve', authenticateToken, requireEvaluator, async (req, re
 
     const evaluation = evaluationResult.rows[0];
 
+    // التحقق من إسناد المتطوع للمستخدم
+    if (!(await canAccessVolunteer(req.user, evaluation.volunteer_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'هذا المتطوع غير مسند إليك',
+        code: 'VOLUNTEER_NOT_ASSIGNED'
+      });
+    }
+
     // التحقق من الصلاحيات
     if (req.user.role !== 'admin' && evaluation.evaluator_id !== req.user.id) {
       return res.status(403).json({
@@ -713,10 +802,10 @@ router.patch('/:id/approve', authenticateToken, requireEvaluator, async (req, re
 });
 
 /**
- * حذف تقييم (أدمن فقط)
+ * حذف تقييم (صلاحية evaluations.delete)
  * DELETE /api/evaluations/:id
  */
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('evaluations.delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -732,10 +821,24 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
 
     const evaluation = evaluationResult.rows[0];
 
-    // حذف التقييم وتفاصيله
-    await transaction(async (client) => {
+    // التحقق من إسناد المتطوع للمستخدم
+    if (!(await canAccessVolunteer(req.user, evaluation.volunteer_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'هذا المتطوع غير مسند إليك',
+        code: 'VOLUNTEER_NOT_ASSIGNED'
+      });
+    }
+
+    // حذف التقييم وتفاصيله (مع حفظ لقطة لإمكانية الاسترجاع)
+    const deletedRecord = await transaction(async (client) => {
+      const snapshot = await snapshotEvaluation(client, id);
+      const savedSnapshot = await saveDeletedSnapshot(client, 'evaluations', id, snapshot, req.user.id);
+
       await client.query('DELETE FROM evaluation_details WHERE evaluation_id = $1', [id]);
       await client.query('DELETE FROM evaluations WHERE id = $1', [id]);
+
+      return savedSnapshot;
     });
 
     // تسجيل العملية
@@ -749,7 +852,8 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
           id: evaluation.id,
           evaluation_month: evaluation.evaluation_month,
           evaluation_year: evaluation.evaluation_year
-        }
+        },
+        deleted_record_id: deletedRecord.id
       }
     });
 
@@ -767,9 +871,13 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
  * إحصائيات التقييمات
  * GET /api/evaluations/statistics/overview
  */
-router.get('/statistics/overview', authenticateToken, requireEvaluator, async (req, res) => {
+router.get('/statistics/overview', authenticateToken, requirePermission('evaluations.read'), async (req, res) => {
   try {
-    const { year = new Date().getFullYear() } = req.query;
+    const { year = new Date().getFullYear(), team_id, branch_id } = req.query;
+
+    // جميع الإحصائيات مقصورة على المتطوعين المسندين للمستخدم وعلى الفريق/الفرع في شهر التقييم
+    const scope = volunteerFilterClause(req.user, req.query, 'volunteer_id', 2, evaluationTeamDate('evaluations'));
+    const topScope = volunteerFilterClause(req.user, req.query, 'e.volunteer_id', 2, evaluationTeamDate('e'));
 
     // إحصائيات عامة للسنة
     const generalStatsQuery = `
@@ -785,10 +893,10 @@ router.get('/statistics/overview', authenticateToken, requireEvaluator, async (r
         COUNT(*) FILTER (WHERE percentage >= 60 AND percentage < 70) as acceptable_count,
         COUNT(*) FILTER (WHERE percentage < 60) as needs_improvement_count
       FROM evaluations
-      WHERE evaluation_year = $1
+      WHERE evaluation_year = $1${scope.clause}
     `;
 
-    const generalStats = await query(generalStatsQuery, [year]);
+    const generalStats = await query(generalStatsQuery, [year, ...scope.params]);
 
     // إحصائيات شهرية
     const monthlyStatsQuery = `
@@ -798,12 +906,12 @@ router.get('/statistics/overview', authenticateToken, requireEvaluator, async (r
         ROUND(AVG(percentage), 2) as avg_percentage,
         COUNT(*) FILTER (WHERE status = 'approved') as approved_count
       FROM evaluations
-      WHERE evaluation_year = $1
+      WHERE evaluation_year = $1${scope.clause}
       GROUP BY evaluation_month
       ORDER BY evaluation_month
     `;
 
-    const monthlyStats = await query(monthlyStatsQuery, [year]);
+    const monthlyStats = await query(monthlyStatsQuery, [year, ...scope.params]);
 
     // أفضل المتطوعين
     const topPerformersQuery = `
@@ -813,19 +921,23 @@ router.get('/statistics/overview', authenticateToken, requireEvaluator, async (r
         COUNT(e.id) as evaluations_count
       FROM evaluations e
       INNER JOIN volunteers v ON e.volunteer_id = v.id
-      WHERE e.evaluation_year = $1 AND e.status = 'approved'
+      WHERE e.evaluation_year = $1 AND e.status = 'approved'${topScope.clause}
       GROUP BY v.id, v.full_name
       HAVING COUNT(e.id) >= 3
       ORDER BY AVG(e.percentage) DESC
       LIMIT 10
     `;
 
-    const topPerformers = await query(topPerformersQuery, [year]);
+    const topPerformers = await query(topPerformersQuery, [year, ...topScope.params]);
 
     res.json({
       success: true,
       data: {
         year: parseInt(year),
+        filters: {
+          team_id: team_id || null,
+          branch_id: branch_id || null
+        },
         general_stats: generalStats.rows[0],
         monthly_stats: monthlyStats.rows,
         top_performers: topPerformers.rows,
@@ -0,0 +1,13 @@
+-- إسناد المتطوعين للمقيمين والمشرفين
+-- Evaluator-to-volunteer assignments (non-admin users only see their assigned volunteers)
+
+CREATE TABLE IF NOT EXISTS volunteer_assignments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  volunteer_id UUID NOT NULL REFERENCES volunteers(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  assigned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (volunteer_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_volunteer_assignments_user_id ON volunteer_assignments(user_id);
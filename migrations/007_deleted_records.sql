@@ -0,0 +1,15 @@
+-- لقطات السجلات المحذوفة لإمكانية استرجاعها
+-- Snapshots of hard-deleted volunteers and evaluations (with their dependants) for restore
+
+CREATE TABLE IF NOT EXISTS deleted_records (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  table_name VARCHAR(50) NOT NULL,
+  record_id UUID NOT NULL,
+  snapshot JSONB NOT NULL,
+  deleted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  restored_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  restored_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_deleted_records_table_record ON deleted_records(table_name, record_id);
@@ -0,0 +1,6 @@
+-- سلسلة بصمات لسجل العمليات لكشف أي تعديل أو حذف
+-- Tamper-evident hash chain for audit_trail (rows written before this migration stay unchained)
+
+ALTER TABLE audit_trail ADD COLUMN IF NOT EXISTS chain_seq BIGINT UNIQUE;
+ALTER TABLE audit_trail ADD COLUMN IF NOT EXISTS prev_hash CHAR(64);
+ALTER TABLE audit_trail ADD COLUMN IF NOT EXISTS entry_hash CHAR(64);
@@ -0,0 +1,24 @@
+-- جلسات انتحال الأدمن لهوية مستخدم آخر ("العرض كمقيم")
+-- Admin impersonation sessions; audit entries made under impersonation carry both identities
+
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  admin_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL,
+  allow_write BOOLEAN NOT NULL DEFAULT false,
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  ended_at TIMESTAMP,
+  ended_by UUID REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_admin ON impersonation_sessions(admin_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_target ON impersonation_sessions(target_user_id, created_at DESC);
+
+-- بدون مفتاح أجنبي حتى لا يعدل حذف المستخدم عمليات داخلة في سلسلة البصمات
+ALTER TABLE audit_trail ADD COLUMN IF NOT EXISTS impersonator_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_audit_trail_impersonator ON audit_trail(impersonator_id) WHERE impersonator_id IS NOT NULL;
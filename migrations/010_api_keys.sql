@@ -0,0 +1,24 @@
+-- مفاتيح API للعملاء الآليين (جداول التقارير، بوت واتساب)
+-- API keys for machine clients: hashed at rest, permission-scoped, optionally IP-restricted and expiring
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  permissions JSONB NOT NULL DEFAULT '[]',
+  allowed_ips TEXT[],
+  expires_at TIMESTAMP,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(45),
+  revoked_at TIMESTAMP,
+  revoked_by UUID REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- بدون مفتاح أجنبي حتى لا يعدل حذف المفتاح عمليات داخلة في سلسلة البصمات
+ALTER TABLE audit_trail ADD COLUMN IF NOT EXISTS api_key_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_audit_trail_api_key ON audit_trail(api_key_id) WHERE api_key_id IS NOT NULL;
@@ -0,0 +1,8 @@
+-- أرشفة المتطوعين بدل حذفهم مع بياناتهم
+-- Archive state for volunteers (hidden from default lists, still counted in historic reports)
+
+ALTER TABLE volunteers ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+ALTER TABLE volunteers ADD COLUMN IF NOT EXISTS archive_reason TEXT;
+ALTER TABLE volunteers ADD COLUMN IF NOT EXISTS archived_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_volunteers_not_archived ON volunteers(created_at) WHERE archived_at IS NULL;
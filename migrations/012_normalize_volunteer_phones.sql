@@ -0,0 +1,55 @@
+-- توحيد أرقام هواتف المتطوعين الحالية بصيغة E.164 (مصر هي الدولة الافتراضية)
+-- One-off normalisation of existing volunteer phones to E.164 (same rules as utils/phone.js)
+--
+-- الأرقام التي لا يمكن توحيدها تبقى كما هي، وإذا تحولت عدة أرقام لنفس الرقم يوحد أقدمها فقط
+-- وتبقى الباقية كما هي لتظهر في GET /api/volunteers/duplicates وتدمج يدوياً.
+
+CREATE OR REPLACE FUNCTION normalize_phone_e164(raw TEXT) RETURNS TEXT AS $$
+DECLARE
+  cleaned TEXT;
+  digits TEXT;
+BEGIN
+  IF raw IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  cleaned := btrim(translate(raw, '٠١٢٣٤٥٦٧٨٩۰۱۲۳۴۵۶۷۸۹', '01234567890123456789'));
+  digits := regexp_replace(cleaned, '\D', '', 'g');
+
+  IF left(cleaned, 1) <> '+' THEN
+    IF digits LIKE '00%' THEN
+      digits := substr(digits, 3);
+    ELSIF digits LIKE '0%' THEN
+      digits := '20' || substr(digits, 2);
+    ELSIF length(digits) = 10 AND digits LIKE '1%' THEN
+      digits := '20' || digits;
+    END IF;
+  END IF;
+
+  IF length(digits) < 8 OR length(digits) > 15 THEN
+    RETURN NULL;
+  END IF;
+
+  IF digits LIKE '20%' AND length(digits) NOT IN (11, 12) THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN '+' || digits;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+WITH normalized AS (
+  SELECT
+    id,
+    normalize_phone_e164(phone) as new_phone,
+    ROW_NUMBER() OVER (PARTITION BY normalize_phone_e164(phone) ORDER BY created_at, id) as position
+  FROM volunteers
+)
+UPDATE volunteers v
+SET phone = n.new_phone
+FROM normalized n
+WHERE v.id = n.id
+  AND n.new_phone IS NOT NULL
+  AND n.position = 1
+  AND v.phone <> n.new_phone
+  AND NOT EXISTS (SELECT 1 FROM volunteers other WHERE other.phone = n.new_phone AND other.id <> v.id);
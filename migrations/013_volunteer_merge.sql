@@ -0,0 +1,6 @@
+-- دمج سجلات المتطوعين المكررة
+-- Merged duplicate volunteers keep their row (archived) and point to the surviving record
+
+ALTER TABLE volunteers ADD COLUMN IF NOT EXISTS merged_into UUID REFERENCES volunteers(id) ON DELETE SET NULL;
+ALTER TABLE volunteers ADD COLUMN IF NOT EXISTS merged_at TIMESTAMP;
+ALTER TABLE volunteers ADD COLUMN IF NOT EXISTS merged_by UUID REFERENCES users(id) ON DELETE SET NULL;
@@ -0,0 +1,20 @@
+-- حقول ملف المتطوع المخصصة التي يعرفها الأدمن (الحي، الجامعة، المهارات...)
+-- Admin-defined custom profile fields; values live in volunteers.custom_fields keyed by field key
+
+CREATE TABLE IF NOT EXISTS volunteer_custom_fields (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  key VARCHAR(50) NOT NULL UNIQUE,
+  label_ar VARCHAR(100) NOT NULL,
+  field_type VARCHAR(20) NOT NULL CHECK (field_type IN ('text', 'number', 'date', 'boolean', 'select', 'multiselect', 'phone')),
+  options JSONB NOT NULL DEFAULT '{}',
+  is_required BOOLEAN NOT NULL DEFAULT false,
+  display_order INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE volunteers ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_volunteers_custom_fields ON volunteers USING GIN (custom_fields);
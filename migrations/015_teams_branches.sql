@@ -0,0 +1,39 @@
+-- الفروع والفرق وعضوية المتطوعين في الفرق بتواريخ سريان
+-- Branches, teams and dated volunteer team memberships (one open membership per volunteer)
+
+CREATE TABLE IF NOT EXISTS branches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL UNIQUE,
+  leader_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS teams (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL REFERENCES branches(id),
+  name VARCHAR(100) NOT NULL,
+  leader_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (branch_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS volunteer_team_memberships (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  volunteer_id UUID NOT NULL REFERENCES volunteers(id) ON DELETE CASCADE,
+  team_id UUID NOT NULL REFERENCES teams(id),
+  start_date DATE NOT NULL,
+  end_date DATE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_team_memberships_open ON volunteer_team_memberships(volunteer_id) WHERE end_date IS NULL;
+CREATE INDEX IF NOT EXISTS idx_team_memberships_team_id ON volunteer_team_memberships(team_id, start_date);
+CREATE INDEX IF NOT EXISTS idx_teams_branch_id ON teams(branch_id);
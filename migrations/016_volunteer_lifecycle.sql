@@ -0,0 +1,37 @@
+-- مراحل حياة المتطوع وسجل الانتقالات بينها
+-- Volunteer lifecycle states with a transition history (is_active is kept in sync for older queries)
+
+ALTER TABLE volunteers ADD COLUMN IF NOT EXISTS lifecycle_state VARCHAR(20) NOT NULL DEFAULT 'active'
+  CHECK (lifecycle_state IN ('applicant', 'onboarding', 'probation', 'active', 'on_leave', 'alumni', 'removed'));
+ALTER TABLE volunteers ADD COLUMN IF NOT EXISTS lifecycle_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS volunteer_state_transitions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  volunteer_id UUID NOT NULL REFERENCES volunteers(id) ON DELETE CASCADE,
+  from_state VARCHAR(20),
+  to_state VARCHAR(20) NOT NULL,
+  reason TEXT,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_state_transitions_volunteer ON volunteer_state_transitions(volunteer_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_volunteers_lifecycle_state ON volunteers(lifecycle_state);
+
+-- المتطوعون الموقوفون سابقاً (is_active = false) يعتبرون في إجازة
+UPDATE volunteers
+SET lifecycle_state = CASE WHEN is_active THEN 'active' ELSE 'on_leave' END,
+    lifecycle_changed_at = COALESCE(updated_at, created_at)
+WHERE NOT EXISTS (SELECT 1 FROM volunteer_state_transitions st WHERE st.volunteer_id = volunteers.id);
+
+-- الانتقال الأول لكل متطوع حتى يمكن حساب المدة في كل مرحلة
+INSERT INTO volunteer_state_transitions (volunteer_id, from_state, to_state, reason, changed_by, changed_at)
+SELECT v.id, NULL, 'active', 'الحالة الابتدائية عند تفعيل مراحل المتطوع', v.created_by, COALESCE(v.join_date::timestamp, v.created_at)
+FROM volunteers v
+WHERE NOT EXISTS (SELECT 1 FROM volunteer_state_transitions st WHERE st.volunteer_id = v.id);
+
+INSERT INTO volunteer_state_transitions (volunteer_id, from_state, to_state, reason, changed_by, changed_at)
+SELECT v.id, 'active', 'on_leave', 'إيقاف سابق قبل تفعيل مراحل المتطوع', v.updated_by, GREATEST(v.lifecycle_changed_at, COALESCE(v.join_date::timestamp, v.created_at))
+FROM volunteers v
+WHERE v.lifecycle_state = 'on_leave'
+AND (SELECT COUNT(*) FROM volunteer_state_transitions st WHERE st.volunteer_id = v.id) = 1;
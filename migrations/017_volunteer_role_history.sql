@@ -0,0 +1,31 @@
+-- سجل أدوار المتطوع بتواريخ سريان حتى يقيم كل شهر بمعايير الدور الذي كان يشغله فيه
+-- Effective-dated volunteer role history (volunteers.role_type stays the current role)
+
+CREATE TABLE IF NOT EXISTS volunteer_role_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  volunteer_id UUID NOT NULL REFERENCES volunteers(id) ON DELETE CASCADE,
+  role_type VARCHAR(50) NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE,
+  reason TEXT,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_role_history_open ON volunteer_role_history(volunteer_id) WHERE end_date IS NULL;
+CREATE INDEX IF NOT EXISTS idx_role_history_volunteer ON volunteer_role_history(volunteer_id, start_date);
+
+-- الدور الحالي يعتبر ساري من الانضمام (أو من أول تقييم إن كان أقدم) لأن الأدوار السابقة غير معروفة
+INSERT INTO volunteer_role_history (volunteer_id, role_type, start_date, reason, changed_by)
+SELECT
+  v.id,
+  v.role_type,
+  LEAST(
+    COALESCE(v.join_date, v.created_at::date),
+    (SELECT MIN(make_date(e.evaluation_year, e.evaluation_month, 1)) FROM evaluations e WHERE e.volunteer_id = v.id)
+  ),
+  'الدور عند تفعيل سجل الأدوار',
+  v.created_by
+FROM volunteers v
+WHERE NOT EXISTS (SELECT 1 FROM volunteer_role_history rh WHERE rh.volunteer_id = v.id);
@@ -0,0 +1,14 @@
+-- إدارة الملاحظات التراكمية مباشرة: الظهور والتثبيت ومصدر الملاحظة
+-- Cumulative notes visibility (private/shared), pinning, and source (existing rows are system-generated)
+
+ALTER TABLE cumulative_notes ADD COLUMN IF NOT EXISTS visibility VARCHAR(10) NOT NULL DEFAULT 'private'
+  CHECK (visibility IN ('private', 'shared'));
+ALTER TABLE cumulative_notes ADD COLUMN IF NOT EXISTS is_pinned BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE cumulative_notes ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMP;
+ALTER TABLE cumulative_notes ADD COLUMN IF NOT EXISTS pinned_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE cumulative_notes ADD COLUMN IF NOT EXISTS source VARCHAR(10) NOT NULL DEFAULT 'system'
+  CHECK (source IN ('system', 'manual'));
+ALTER TABLE cumulative_notes ADD COLUMN IF NOT EXISTS updated_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE cumulative_notes ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_cumulative_notes_volunteer_listing ON cumulative_notes(volunteer_id, is_pinned DESC, created_at DESC);
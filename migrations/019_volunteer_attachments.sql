@@ -0,0 +1,19 @@
+-- مرفقات المتطوعين (صور الهوية، نماذج الموافقة، الشهادات) مع نوع الملف المكتشف من محتواه
+-- Volunteer attachments metadata (files live under UPLOAD_DIR/attachments and are only served through the API)
+
+CREATE TABLE IF NOT EXISTS volunteer_attachments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  volunteer_id UUID NOT NULL REFERENCES volunteers(id) ON DELETE CASCADE,
+  category VARCHAR(20) NOT NULL DEFAULT 'other'
+    CHECK (category IN ('id_copy', 'consent_form', 'certificate', 'photo', 'other')),
+  original_name VARCHAR(255) NOT NULL,
+  storage_path VARCHAR(500) NOT NULL UNIQUE,
+  mime_type VARCHAR(100) NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  sha256 CHAR(64) NOT NULL,
+  description TEXT,
+  uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_volunteer_attachments_volunteer ON volunteer_attachments(volunteer_id, created_at DESC);
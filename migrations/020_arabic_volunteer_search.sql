@@ -0,0 +1,29 @@
+-- بحث عربي في أسماء المتطوعين: توحيد الألف والياء والتاء المربوطة وحذف التشكيل مع فهرس Trigram
+-- Arabic-aware volunteer search: normalize_arabic() mirrors normalizeArabicName() in utils/arabic.js,
+-- and trigram GIN indexes back the LIKE '%...%' name and phone searches.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- نفس خطوات normalizeArabicName: الأرقام الهندية، التشكيل والتطويل، الألف والتاء المربوطة والياء، ثم دمج "عبد" و "ابو"
+-- (علامات الترقيم تحذف صراحة لأن [:alnum:] لا يشمل الحروف العربية في قواعد بيانات C locale)
+CREATE OR REPLACE FUNCTION normalize_arabic(input TEXT) RETURNS TEXT AS $$
+  SELECT regexp_replace(
+    btrim(regexp_replace(
+      regexp_replace(
+        lower(translate(
+          regexp_replace(
+            translate(input, '٠١٢٣٤٥٦٧٨٩۰۱۲۳۴۵۶۷۸۹', '01234567890123456789'),
+            '[ً-ْٰـ]', '', 'g'
+          ),
+          'أإآٱةىؤئ', 'ااااهيوي'
+        )),
+        '[[:punct:]،؛؟«»]', ' ', 'g'
+      ),
+      '\s+', ' ', 'g'
+    )),
+    '(^|\s)(عبد|ابو) (?=\S)', '\1\2', 'g'
+  );
+$$ LANGUAGE sql IMMUTABLE STRICT PARALLEL SAFE;
+
+CREATE INDEX IF NOT EXISTS idx_volunteers_name_search ON volunteers USING gin (normalize_arabic(full_name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_volunteers_phone_search ON volunteers USING gin (phone gin_trgm_ops);
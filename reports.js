@@ -5,18 +5,24 @@
 
 const express = require('express');
 const { query } = require('../config/database');
-const { authenticateToken, requireEvaluator, logAuditTrail } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireVolunteerAccess, logAuditTrail } = require('../middleware/auth');
+const { volunteerScopeClause, canAccessVolunteer } = require('../utils/volunteerScope');
+const { membershipActiveAt, evaluationTeamDate, volunteerFilterClause } = require('../utils/teams');
+const { LIFECYCLE_STATES, stateDurationsSql, withStateLabels } = require('../utils/lifecycle');
+const { evaluationRoleSql, roleChangesSql } = require('../utils/roleHistory');
 
 const router = express.Router();
 
 /**
  * تقرير شامل لمتطوع محدد
  * GET /api/reports/volunteer/:id
+ *
+ * الملاحظات المعروضة هي المشتركة مع المتطوع فقط، و include_private=true يضيف الملاحظات الخاصة
  */
-router.get('/volunteer/:id', authenticateToken, requireEvaluator, async (req, res) => {
+router.get('/volunteer/:id', authenticateToken, requirePermission('reports.view'), requireVolunteerAccess(req => req.params.id), async (req, res) => {
   try {
     const { id } = req.params;
-    const { year, months } = req.query;
+    const { year, months, include_private } = req.query;
 
     // التحقق من وجود المتطوع
     const volunteerResult = await query('SELECT * FROM volunteers WHERE id = $1', [id]);
@@ -53,6 +59,7 @@ router.get('/volunteer/:id', authenticateToken, requireEvaluator, async (req, re
       SELECT 
         e.*,
         u.full_name as evaluator_name,
+        ${evaluationRoleSql('e')} as evaluation_role,
         CASE 
           WHEN e.percentage >= 90 THEN 'ممتاز'
           WHEN e.percentage >= 80 THEN 'جيد جداً'
@@ -137,11 +144,11 @@ router.get('/volunteer/:id', authenticateToken, requireEvaluator, async (req, re
       });
     }
 
-    // جلب الملاحظات التراكمية
+    // جلب الملاحظات التراكمية (التقرير يشارك مع المتطوع، فالملاحظات الخاصة فقط عند الطلب)
     const notesResult = await query(`
       SELECT * FROM cumulative_notes 
-      WHERE volunteer_id = $1 
-      ORDER BY created_at DESC 
+      WHERE volunteer_id = $1${include_private === 'true' ? '' : " AND visibility = 'shared'"}
+      ORDER BY is_pinned DESC, created_at DESC 
       LIMIT 20
     `, [id]);
 
@@ -156,6 +163,12 @@ router.get('/volunteer/:id', authenticateToken, requireEvaluator, async (req, re
       ORDER BY ar.severity DESC
     `, [id]);
 
+    // مدة البقاء في كل مرحلة من مراحل حياة المتطوع
+    const stateDurationsResult = await query(stateDurationsSql('WHERE st.volunteer_id = $1'), [id]);
+
+    // تغييرات الدور (الترقيات مثل ميداني → مسئول ملف)
+    const roleChangesResult = await query(roleChangesSql(' AND rc.volunteer_id = $1'), [id]);
+
     // اقتراحات التحسين
     const improvementSuggestions = [];
     
@@ -188,6 +201,7 @@ router.get('/volunteer/:id', authenticateToken, requireEvaluator, async (req, re
         phone: volunteer.phone,
         join_date: volunteer.join_date
       },
+      role_changes: roleChangesResult.rows,
       period: {
         year: year || 'جميع السنوات',
         months: months || 'جميع الشهور'
@@ -196,7 +210,13 @@ router.get('/volunteer/:id', authenticateToken, requireEvaluator, async (req, re
         total_evaluations: totalEvaluations,
         average_performance: parseFloat(avgPerformance),
         trend: trend,
-        current_status: volunteer.is_active ? 'نشط' : 'غير نشط'
+        current_status: LIFECYCLE_STATES[volunteer.lifecycle_state].label
+      },
+      lifecycle: {
+        current_state: volunteer.lifecycle_state,
+        current_state_label: LIFECYCLE_STATES[volunteer.lifecycle_state].label,
+        state_since: volunteer.lifecycle_changed_at,
+        time_in_states: withStateLabels(stateDurationsResult.rows)
       },
       performance_analysis: {
         strengths: strengths,
@@ -234,12 +254,20 @@ router.get('/volunteer/:id', authenticateToken, requireEvaluator, async (req, re
 });
 
 /**
- * تقرير شامل للمؤسسة
+ * تقرير شامل للمؤسسة مع ملخص لكل فريق
  * GET /api/reports/organization
+ *
+ * team_id و branch_id يقصران التقرير على فريق أو فرع: التقييمات حسب الفريق في شهر التقييم
+ * وباقي الإحصائيات حسب الفريق الحالي
  */
-router.get('/organization', authenticateToken, requireEvaluator, async (req, res) => {
+router.get('/organization', authenticateToken, requirePermission('reports.view'), async (req, res) => {
   try {
-    const { year = new Date().getFullYear(), month } = req.query;
+    const { year = new Date().getFullYear(), month, team_id, branch_id } = req.query;
+
+    // التقرير مقصور على المتطوعين المسندين للمستخدم وعلى الفريق/الفرع المطلوب
+    const volunteersScope = volunteerFilterClause(req.user, req.query, 'id', 1);
+    const freezeScope = volunteerFilterClause(req.user, req.query, 'volunteer_id', 2);
+    const alertsScope = volunteerFilterClause(req.user, req.query, 'volunteer_id', 1);
 
     // إحصائيات عامة
     const overallStatsQuery = `
@@ -249,11 +277,13 @@ router.get('/organization', authenticateToken, requireEvaluator, async (req, res
         COUNT(*) FILTER (WHERE role_type = 'ميداني') as field_volunteers,
         COUNT(*) FILTER (WHERE role_type = 'إداري') as admin_volunteers,
         COUNT(*) FILTER (WHERE role_type = 'مسئول ملف') as file_manager_volunteers,
+        COUNT(*) FILTER (WHERE archived_at IS NOT NULL) as archived_volunteers,
         COUNT(*) as total_volunteers
       FROM volunteers
+      WHERE 1=1${volunteersScope.clause}
     `;
 
-    const overallStats = await query(overallStatsQuery);
+    const overallStats = await query(overallStatsQuery, volunteersScope.params);
 
     // إحصائيات التقييمات
     let evaluationWhere = 'WHERE evaluation_year = $1';
@@ -266,6 +296,10 @@ router.get('/organization', authenticateToken, requireEvaluator, async (req, res
       paramIndex++;
     }
 
+    const evaluationScope = volunteerFilterClause(req.user, req.query, 'volunteer_id', paramIndex, evaluationTeamDate('evaluations'));
+    const joinedScope = volunteerFilterClause(req.user, req.query, 'e.volunteer_id', paramIndex, evaluationTeamDate('e'));
+    evaluationParams.push(...evaluationScope.params);
+
     const evaluationStatsQuery = `
       SELECT 
         COUNT(*) as total_evaluations,
@@ -278,7 +312,7 @@ router.get('/organization', authenticateToken, requireEvaluator, async (req, res
         COUNT(*) FILTER (WHERE percentage >= 60 AND percentage < 70) as acceptable_performers,
         COUNT(*) FILTER (WHERE percentage < 60) as needs_improvement_performers
       FROM evaluations
-      ${evaluationWhere}
+      ${evaluationWhere}${evaluationScope.clause}
     `;
 
     const evaluationStats = await query(evaluationStatsQuery, evaluationParams);
@@ -292,7 +326,7 @@ router.get('/organization', authenticateToken, requireEvaluator, async (req, res
         COUNT(e.id) as evaluations_count
       FROM volunteers v
       INNER JOIN evaluations e ON v.id = e.volunteer_id
-      ${evaluationWhere.replace('WHERE', 'WHERE e.')}
+      ${evaluationWhere.replace('WHERE', 'WHERE e.')}${joinedScope.clause}
       AND e.status = 'approved'
       GROUP BY v.id, v.full_name, v.role_type
       HAVING COUNT(e.id) >= 1
@@ -311,7 +345,7 @@ router.get('/organization', authenticateToken, requireEvaluator, async (req, res
         COUNT(e.id) as evaluations_count
       FROM volunteers v
       INNER JOIN evaluations e ON v.id = e.volunteer_id
-      ${evaluationWhere.replace('WHERE', 'WHERE e.')}
+      ${evaluationWhere.replace('WHERE', 'WHERE e.')}${joinedScope.clause}
       AND e.status = 'approved'
       GROUP BY v.id, v.full_name, v.role_type
       HAVING AVG(e.percentage) < 60
@@ -329,10 +363,10 @@ router.get('/organization', authenticateToken, requireEvaluator, async (req, res
         ROUND(AVG(end_date - start_date), 2) as avg_freeze_duration,
         COUNT(*) FILTER (WHERE CURRENT_DATE BETWEEN start_date AND end_date) as currently_frozen
       FROM freeze_records
-      WHERE freeze_year = $1 AND is_active = true
+      WHERE freeze_year = $1 AND is_active = true${freezeScope.clause}
     `;
 
-    const freezeStats = await query(freezeStatsQuery, [parseInt(year)]);
+    const freezeStats = await query(freezeStatsQuery, [parseInt(year), ...freezeScope.params]);
 
     // التنبيهات النشطة
     const alertsStatsQuery = `
@@ -342,10 +376,10 @@ router.get('/organization', authenticateToken, requireEvaluator, async (req, res
         COUNT(*) FILTER (WHERE alert_type = 'weak_performance') as performance_alerts,
         COUNT(*) FILTER (WHERE alert_type = 'no_interaction') as interaction_alerts
       FROM alert_records
-      WHERE is_resolved = false
+      WHERE is_resolved = false${alertsScope.clause}
     `;
 
-    const alertsStats = await query(alertsStatsQuery);
+    const alertsStats = await query(alertsStatsQuery, alertsScope.params);
 
     // أداء المعايير
     const criteriaPerformanceQuery = `
@@ -359,7 +393,7 @@ router.get('/organization', authenticateToken, requireEvaluator, async (req, res
       FROM evaluation_criteria ec
       INNER JOIN evaluation_details ed ON ec.id = ed.criteria_id
       INNER JOIN evaluations e ON ed.evaluation_id = e.id
-      ${evaluationWhere.replace('WHERE', 'WHERE e.')}
+      ${evaluationWhere.replace('WHERE', 'WHERE e.')}${joinedScope.clause}
       AND e.status = 'approved'
       GROUP BY ec.id, ec.name_ar, ec.category, ec.max_score
       ORDER BY ec.category, avg_percentage DESC
@@ -367,12 +401,121 @@ router.get('/organization', authenticateToken, requireEvaluator, async (req, res
 
     const criteriaPerformance = await query(criteriaPerformanceQuery, evaluationParams);
 
+    // ملخص لكل فريق: الأعضاء والتنبيهات حسب العضوية الحالية والتقييمات حسب الفريق في شهر التقييم
+    let rollupPeriod = 'e.evaluation_year = $1';
+    const rollupParams = [parseInt(year)];
+    let rollupIndex = 2;
+
+    if (month) {
+      rollupPeriod += ` AND e.evaluation_month = $${rollupIndex}`;
+      rollupParams.push(parseInt(month));
+      rollupIndex++;
+    }
+
+    let rollupWhere = 'WHERE t.is_active = true';
+
+    if (team_id) {
+      rollupWhere += ` AND t.id = $${rollupIndex}`;
+      rollupParams.push(team_id);
+      rollupIndex++;
+    }
+
+    if (branch_id) {
+      rollupWhere += ` AND t.branch_id = $${rollupIndex}`;
+      rollupParams.push(branch_id);
+      rollupIndex++;
+    }
+
+    const membersScope = volunteerScopeClause(req.user, 'tm.volunteer_id', rollupIndex);
+    const rollupEvaluationScope = volunteerScopeClause(req.user, 'e.volunteer_id', rollupIndex);
+    const rollupAlertsScope = volunteerScopeClause(req.user, 'ar.volunteer_id', rollupIndex);
+    rollupParams.push(...membersScope.params);
+
+    const teamRollupQuery = `
+      SELECT
+        t.id as team_id,
+        t.name as team_name,
+        b.id as branch_id,
+        b.name as branch_name,
+        lu.full_name as leader_name,
+        m.current_members,
+        ev.total_evaluations,
+        ev.approved_evaluations,
+        ev.avg_performance,
+        ev.needs_improvement_performers,
+        al.active_alerts
+      FROM teams t
+      INNER JOIN branches b ON t.branch_id = b.id
+      LEFT JOIN users lu ON t.leader_id = lu.id
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*) as current_members
+        FROM volunteer_team_memberships tm
+        INNER JOIN volunteers v ON tm.volunteer_id = v.id
+        WHERE tm.team_id = t.id AND ${membershipActiveAt('tm', 'CURRENT_DATE')} AND v.archived_at IS NULL${membersScope.clause}
+      ) m ON true
+      LEFT JOIN LATERAL (
+        SELECT
+          COUNT(*) as total_evaluations,
+          COUNT(*) FILTER (WHERE e.status = 'approved') as approved_evaluations,
+          ROUND(AVG(e.percentage) FILTER (WHERE e.status = 'approved'), 2) as avg_performance,
+          COUNT(*) FILTER (WHERE e.status = 'approved' AND e.percentage < 60) as needs_improvement_performers
+        FROM evaluations e
+        WHERE ${rollupPeriod}
+        AND EXISTS (
+          SELECT 1 FROM volunteer_team_memberships tm
+          WHERE tm.volunteer_id = e.volunteer_id AND tm.team_id = t.id AND ${membershipActiveAt('tm', evaluationTeamDate('e'))}
+        )${rollupEvaluationScope.clause}
+      ) ev ON true
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*) as active_alerts
+        FROM alert_records ar
+        INNER JOIN volunteer_team_memberships tm ON tm.volunteer_id = ar.volunteer_id
+        WHERE ar.is_resolved = false AND tm.team_id = t.id AND ${membershipActiveAt('tm', 'CURRENT_DATE')}${rollupAlertsScope.clause}
+      ) al ON true
+      ${rollupWhere}
+      ORDER BY b.name ASC, t.name ASC
+    `;
+
+    const teamRollup = await query(teamRollupQuery, rollupParams);
+
+    // تغييرات الأدوار السارية خلال الفترة
+    let roleChangesClause = ' AND EXTRACT(YEAR FROM rc.start_date) = $1';
+    const roleChangesParams = [parseInt(year)];
+    if (month) {
+      roleChangesClause += ' AND EXTRACT(MONTH FROM rc.start_date) = $2';
+      roleChangesParams.push(parseInt(month));
+    }
+    const roleChangesScope = volunteerFilterClause(req.user, req.query, 'rc.volunteer_id', roleChangesParams.length + 1);
+    const roleChanges = await query(
+      roleChangesSql(`${roleChangesClause}${roleChangesScope.clause}`),
+      [...roleChangesParams, ...roleChangesScope.params]
+    );
+
+    const roleChangesSummary = Object.values(roleChanges.rows.reduce((acc, change) => {
+      if (!acc[change.change_label]) {
+        acc[change.change_label] = { from_role: change.from_role, to_role: change.to_role, change_label: change.change_label, count: 0 };
+      }
+      acc[change.change_label].count++;
+      return acc;
+    }, {}));
+
+    // توزيع المتطوعين على المراحل ومتوسط مدة البقاء في كل مرحلة
+    const lifecycleScope = volunteerFilterClause(req.user, req.query, 'st.volunteer_id', 1);
+    const lifecycleSummary = await query(
+      stateDurationsSql(`WHERE st.volunteer_id IN (SELECT id FROM volunteers WHERE archived_at IS NULL)${lifecycleScope.clause}`),
+      lifecycleScope.params
+    );
+
     const report = {
       period: {
         year: parseInt(year),
         month: month ? parseInt(month) : null,
         report_type: month ? 'شهري' : 'سنوي'
       },
+      filters: {
+        team_id: team_id || null,
+        branch_id: branch_id || null
+      },
       organization_overview: overallStats.rows[0],
       evaluation_summary: evaluationStats.rows[0],
       performance_distribution: {
@@ -387,6 +530,12 @@ router.get('/organization', authenticateToken, requireEvaluator, async (req, res
       freeze_statistics: freezeStats.rows[0],
       alerts_summary: alertsStats.rows[0],
       criteria_performance: criteriaPerformance.rows,
+      team_rollup: teamRollup.rows,
+      lifecycle_summary: withStateLabels(lifecycleSummary.rows),
+      role_changes: {
+        summary: roleChangesSummary,
+        changes: roleChanges.rows
+      },
       insights: {
         overall_health: evaluationStats.rows[0]?.avg_performance >= 75 ? 'ممتاز' : 
                        evaluationStats.rows[0]?.avg_performance >= 65 ? 'جيد' : 'يحتاج تطوير',
@@ -406,7 +555,7 @@ router.get('/organization', authenticateToken, requireEvaluator, async (req, res
     };
 
     // تسجيل العملية
-    await logAuditTrail(req, 'VIEW', 'reports', 'organization', null, { year, month }, 'عرض تقرير المؤسسة');
+    await logAuditTrail(req, 'VIEW', 'reports', 'organization', null, { year, month, team_id, branch_id }, 'عرض تقرير المؤسسة');
 
     res.json({
       success: true,
@@ -427,7 +576,7 @@ router.get('/organization', authenticateToken, requireEvaluator, async (req, res
  * تقرير مقارنة أداء المتطوعين
  * GET /api/reports/comparison
  */
-router.get('/comparison', authenticateToken, requireEvaluator, async (req, res) => {
+router.get('/comparison', authenticateToken, requirePermission('reports.view'), async (req, res) => {
   try {
     const { volunteer_ids, year = new Date().getFullYear() } = req.query;
 
@@ -467,6 +616,16 @@ router.get('/comparison', authenticateToken, requireEvaluator, async (req, res)
       });
     }
 
+    // التحقق من إسناد جميع المتطوعين للمستخدم
+    const accessChecks = await Promise.all(volunteerIdsArray.map(id => canAccessVolunteer(req.user, id)));
+    if (accessChecks.includes(false)) {
+      return res.status(403).json({
+        success: false,
+        message: 'بعض المتطوعين غير مسندين إليك',
+        code: 'VOLUNTEER_NOT_ASSIGNED'
+      });
+    }
+
     const volunteers = volunteersResult.rows;
 
     // جلب تقييمات المتطوعين
@@ -0,0 +1,332 @@
+/**
+ * مسارات إدارة مفاتيح API للعملاء الآليين
+ * API Keys Management Routes
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, requireAdmin, logAuditTrail } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const {
+  API_KEY_PERMISSIONS,
+  generateApiKey,
+  validateAllowedIps
+} = require('../utils/apiKeys');
+
+const router = express.Router();
+
+// الأعمدة المرجعة للمفتاح (البصمة لا ترجع أبداً)
+const API_KEY_COLUMNS = `
+  id, name, key_prefix, permissions, allowed_ips, expires_at,
+  created_by, created_at, updated_at, last_used_at, last_used_ip, revoked_at, revoked_by
+`;
+
+/**
+ * التحقق من قائمة صلاحيات المفتاح (express-validator custom)
+ * @param {Array} value - Permission keys
+ * @returns {boolean} true when valid (throws otherwise)
+ */
+const isValidKeyPermissions = (value) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error('يجب تحديد صلاحية واحدة على الأقل');
+  }
+  const invalid = value.filter(permission => !API_KEY_PERMISSIONS.includes(permission));
+  if (invalid.length > 0) {
+    throw new Error(`صلاحيات غير متاحة لمفاتيح API: ${invalid.join('، ')}`);
+  }
+  return true;
+};
+
+/**
+ * التحقق من قائمة العناوين المسموحة (express-validator custom)
+ * @param {Array} value - IPs or CIDR ranges
+ * @returns {boolean} true when valid (throws otherwise)
+ */
+const isValidAllowedIps = (value) => {
+  const errors = validateAllowedIps(value);
+  if (errors.length > 0) {
+    throw new Error(errors.join('، '));
+  }
+  return true;
+};
+
+/**
+ * التحقق من أن تاريخ الانتهاء في المستقبل (express-validator custom)
+ * @param {string} value - ISO date
+ * @returns {boolean} true when valid (throws otherwise)
+ */
+const isFutureDate = (value) => {
+  if (value !== null && new Date(value) <= new Date()) {
+    throw new Error('تاريخ انتهاء المفتاح يجب أن يكون في المستقبل');
+  }
+  return true;
+};
+
+/**
+ * جلب مفاتيح API
+ * GET /api/api-keys
+ */
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let whereClause = 'WHERE 1=1';
+
+    if (status === 'active') {
+      whereClause += ' AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)';
+    } else if (status === 'revoked') {
+      whereClause += ' AND revoked_at IS NOT NULL';
+    } else if (status === 'expired') {
+      whereClause += ' AND revoked_at IS NULL AND expires_at <= CURRENT_TIMESTAMP';
+    }
+
+    const keysResult = await query(
+      `SELECT ${API_KEY_COLUMNS},
+         (SELECT full_name FROM users WHERE users.id = api_keys.created_by) as created_by_name
+       FROM api_keys
+       ${whereClause}
+       ORDER BY created_at DESC`
+    );
+
+    res.json({
+      success: true,
+      data: {
+        api_keys: keysResult.rows,
+        available_permissions: API_KEY_PERMISSIONS.map(key => ({ key, ...PERMISSIONS[key] }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب مفاتيح API:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب مفاتيح API',
+      code: 'GET_API_KEYS_ERROR'
+    });
+  }
+});
+
+/**
+ * إنشاء مفتاح API (القيمة الخام ترجع في هذا الرد فقط)
+ * POST /api/api-keys
+ */
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('اسم المفتاح مطلوب'),
+  body('permissions').custom(isValidKeyPermissions),
+  body('allowed_ips').optional({ nullable: true }).custom(isValidAllowedIps),
+  body('expires_at').optional({ nullable: true }).isISO8601().withMessage('تاريخ الانتهاء غير صالح').bail().custom(isFutureDate)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { name, permissions, allowed_ips, expires_at } = req.body;
+    const { rawKey, prefix, hash } = generateApiKey();
+
+    const keyResult = await query(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, permissions, allowed_ips, expires_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${API_KEY_COLUMNS}`,
+      [
+        name,
+        prefix,
+        hash,
+        JSON.stringify([...new Set(permissions)]),
+        allowed_ips && allowed_ips.length > 0 ? allowed_ips : null,
+        expires_at || null,
+        req.user.id
+      ]
+    );
+
+    const apiKey = keyResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'CREATE', 'api_keys', apiKey.id, null, apiKey, `إنشاء مفتاح API: ${name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم إنشاء المفتاح، احفظه الآن لأنه لن يظهر مرة أخرى',
+      data: {
+        api_key: apiKey,
+        key: rawKey
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إنشاء مفتاح API:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إنشاء مفتاح API',
+      code: 'CREATE_API_KEY_ERROR'
+    });
+  }
+});
+
+/**
+ * تعديل اسم المفتاح أو صلاحياته أو قيوده
+ * PUT /api/api-keys/:id
+ */
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('اسم المفتاح لا يمكن أن يكون فارغاً'),
+  body('permissions').optional().custom(isValidKeyPermissions),
+  body('allowed_ips').optional({ nullable: true }).custom(isValidAllowedIps),
+  body('expires_at').optional({ nullable: true }).isISO8601().withMessage('تاريخ الانتهاء غير صالح').bail().custom(isFutureDate)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, permissions, allowed_ips, expires_at } = req.body;
+
+    const existingResult = await query(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = $1`, [id]);
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المفتاح غير موجود',
+        code: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    const oldKey = existingResult.rows[0];
+
+    if (oldKey.revoked_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'لا يمكن تعديل مفتاح ملغى',
+        code: 'API_KEY_REVOKED'
+      });
+    }
+
+    // بناء الاستعلام التحديثي
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (name !== undefined) {
+      updates.push(`name = $${paramIndex}`);
+      values.push(name);
+      paramIndex++;
+    }
+
+    if (permissions !== undefined) {
+      updates.push(`permissions = $${paramIndex}`);
+      values.push(JSON.stringify([...new Set(permissions)]));
+      paramIndex++;
+    }
+
+    if (allowed_ips !== undefined) {
+      updates.push(`allowed_ips = $${paramIndex}`);
+      values.push(allowed_ips && allowed_ips.length > 0 ? allowed_ips : null);
+      paramIndex++;
+    }
+
+    if (expires_at !== undefined) {
+      updates.push(`expires_at = $${paramIndex}`);
+      values.push(expires_at || null);
+      paramIndex++;
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا توجد بيانات للتحديث',
+        code: 'NO_UPDATES'
+      });
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id); // لشرط WHERE
+
+    const updatedResult = await query(
+      `UPDATE api_keys SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING ${API_KEY_COLUMNS}`,
+      values
+    );
+
+    const newKey = updatedResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPDATE', 'api_keys', id, oldKey, newKey, `تحديث مفتاح API: ${newKey.name}`);
+
+    res.json({
+      success: true,
+      message: 'تم تحديث المفتاح بنجاح',
+      data: {
+        api_key: newKey
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في تحديث مفتاح API:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تحديث مفتاح API',
+      code: 'UPDATE_API_KEY_ERROR'
+    });
+  }
+});
+
+/**
+ * إلغاء مفتاح API
+ * POST /api/api-keys/:id/revoke
+ */
+router.post('/:id/revoke', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const revokedResult = await query(
+      `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND revoked_at IS NULL
+       RETURNING ${API_KEY_COLUMNS}`,
+      [req.user.id, id]
+    );
+
+    if (revokedResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المفتاح غير موجود أو ملغى مسبقاً',
+        code: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    const apiKey = revokedResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'REVOKE', 'api_keys', id, null, { revoked_at: apiKey.revoked_at }, `إلغاء مفتاح API: ${apiKey.name}`);
+
+    res.json({
+      success: true,
+      message: 'تم إلغاء المفتاح',
+      data: {
+        api_key: apiKey
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إلغاء مفتاح API:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إلغاء مفتاح API',
+      code: 'REVOKE_API_KEY_ERROR'
+    });
+  }
+});
+
+module.exports = router;
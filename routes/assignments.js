@@ -0,0 +1,298 @@
+/**
+ * مسارات إسناد المتطوعين للمقيمين والمشرفين
+ * Volunteer Assignments Routes
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requireAdmin, logAuditTrail } = require('../middleware/auth');
+const { assignVolunteer } = require('../utils/volunteerScope');
+
+const router = express.Router();
+
+/**
+ * جلب المستخدم المراد الإسناد إليه
+ * @param {string} userId - User id
+ * @returns {Promise<Object|undefined>} User row
+ */
+const findAssignee = async (userId) => {
+  const result = await query('SELECT id, username, full_name, role, is_active FROM users WHERE id = $1', [userId]);
+  return result.rows[0];
+};
+
+/**
+ * إيجاد معرفات المتطوعين غير الموجودة
+ * @param {string[]} volunteerIds - Requested volunteer ids
+ * @returns {Promise<string[]>} Ids that do not exist in volunteers
+ */
+const findMissingVolunteers = async (volunteerIds) => {
+  const result = await query('SELECT id FROM volunteers WHERE id = ANY($1)', [volunteerIds]);
+  const existing = new Set(result.rows.map(row => row.id));
+  return volunteerIds.filter(id => !existing.has(id));
+};
+
+/**
+ * جلب الإسنادات مع فلترة
+ * GET /api/assignments
+ */
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { user_id, volunteer_id } = req.query;
+
+    let whereClause = 'WHERE 1=1';
+    const queryParams = [];
+    let paramIndex = 1;
+
+    if (user_id) {
+      whereClause += ` AND va.user_id = $${paramIndex}`;
+      queryParams.push(user_id);
+      paramIndex++;
+    }
+
+    if (volunteer_id) {
+      whereClause += ` AND va.volunteer_id = $${paramIndex}`;
+      queryParams.push(volunteer_id);
+      paramIndex++;
+    }
+
+    const assignmentsResult = await query(
+      `SELECT
+         va.*,
+         v.full_name as volunteer_name,
+         v.role_type as volunteer_role,
+         u.full_name as user_name,
+         u.username,
+         ab.full_name as assigned_by_name
+       FROM volunteer_assignments va
+       INNER JOIN volunteers v ON va.volunteer_id = v.id
+       INNER JOIN users u ON va.user_id = u.id
+       LEFT JOIN users ab ON va.assigned_by = ab.id
+       ${whereClause}
+       ORDER BY u.full_name, v.full_name`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        assignments: assignmentsResult.rows,
+        filters: {
+          user_id: user_id || null,
+          volunteer_id: volunteer_id || null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب الإسنادات:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب الإسنادات',
+      code: 'GET_ASSIGNMENTS_ERROR'
+    });
+  }
+});
+
+/**
+ * إسناد متطوعين لمستخدم
+ * POST /api/assignments
+ */
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  body('user_id').isUUID().withMessage('معرف المستخدم غير صالح'),
+  body('volunteer_ids').isArray({ min: 1 }).withMessage('قائمة المتطوعين مطلوبة'),
+  body('volunteer_ids.*').isUUID().withMessage('معرف المتطوع غير صالح')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { user_id, volunteer_ids } = req.body;
+
+    const user = await findAssignee(user_id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const missingVolunteers = await findMissingVolunteers(volunteer_ids);
+    if (missingVolunteers.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'بعض المتطوعين غير موجودين',
+        code: 'VOLUNTEERS_NOT_FOUND',
+        missing_ids: missingVolunteers
+      });
+    }
+
+    const createdCount = await transaction(async (client) => {
+      let count = 0;
+      for (const volunteerId of volunteer_ids) {
+        if (await assignVolunteer(volunteerId, user_id, req.user.id, client)) {
+          count++;
+        }
+      }
+      return count;
+    });
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'CREATE', 'volunteer_assignments', user_id, null, { volunteer_ids }, `إسناد ${createdCount} متطوع للمستخدم: ${user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم إسناد المتطوعين بنجاح',
+      data: {
+        user_id,
+        assigned_count: createdCount,
+        already_assigned_count: volunteer_ids.length - createdCount
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إسناد المتطوعين:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إسناد المتطوعين',
+      code: 'CREATE_ASSIGNMENTS_ERROR'
+    });
+  }
+});
+
+/**
+ * استبدال جميع إسنادات مستخدم
+ * PUT /api/assignments/users/:userId
+ */
+router.put('/users/:userId', [
+  authenticateToken,
+  requireAdmin,
+  body('volunteer_ids').isArray().withMessage('قائمة المتطوعين يجب أن تكون مصفوفة'),
+  body('volunteer_ids.*').isUUID().withMessage('معرف المتطوع غير صالح')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const volunteerIds = [...new Set(req.body.volunteer_ids)];
+
+    const user = await findAssignee(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const missingVolunteers = await findMissingVolunteers(volunteerIds);
+    if (missingVolunteers.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'بعض المتطوعين غير موجودين',
+        code: 'VOLUNTEERS_NOT_FOUND',
+        missing_ids: missingVolunteers
+      });
+    }
+
+    const previousResult = await query('SELECT volunteer_id FROM volunteer_assignments WHERE user_id = $1', [userId]);
+    const previousIds = previousResult.rows.map(row => row.volunteer_id);
+
+    await transaction(async (client) => {
+      await client.query(
+        'DELETE FROM volunteer_assignments WHERE user_id = $1 AND NOT (volunteer_id = ANY($2))',
+        [userId, volunteerIds]
+      );
+
+      for (const volunteerId of volunteerIds) {
+        await assignVolunteer(volunteerId, userId, req.user.id, client);
+      }
+    });
+
+    // تسجيل العملية
+    await logAuditTrail(
+      req,
+      'UPDATE',
+      'volunteer_assignments',
+      userId,
+      { volunteer_ids: previousIds },
+      { volunteer_ids: volunteerIds },
+      `تحديث إسنادات المستخدم: ${user.username}`
+    );
+
+    res.json({
+      success: true,
+      message: 'تم تحديث إسنادات المستخدم بنجاح',
+      data: {
+        user_id: userId,
+        volunteer_ids: volunteerIds
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في تحديث الإسنادات:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تحديث الإسنادات',
+      code: 'UPDATE_ASSIGNMENTS_ERROR'
+    });
+  }
+});
+
+/**
+ * إلغاء إسناد
+ * DELETE /api/assignments/:id
+ */
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const assignmentResult = await query('DELETE FROM volunteer_assignments WHERE id = $1 RETURNING *', [id]);
+    if (assignmentResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'الإسناد غير موجود',
+        code: 'ASSIGNMENT_NOT_FOUND'
+      });
+    }
+
+    const assignment = assignmentResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'DELETE', 'volunteer_assignments', id, assignment, null, 'إلغاء إسناد متطوع');
+
+    res.json({
+      success: true,
+      message: 'تم إلغاء الإسناد بنجاح',
+      data: {
+        deleted_assignment: assignment
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إلغاء الإسناد:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إلغاء الإسناد',
+      code: 'DELETE_ASSIGNMENT_ERROR'
+    });
+  }
+});
+
+module.exports = router;
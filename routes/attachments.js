@@ -0,0 +1,337 @@
+/**
+ * مسارات مرفقات المتطوع
+ * Volunteer Attachments Routes
+ *
+ * مركبة تحت /api/volunteers/:volunteerId/attachments. الملفات لا تقدم كملفات ثابتة،
+ * والتنزيل يتطلب تسجيل الدخول وصلاحية attachments.read ويسجل في سجل العمليات.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const { query } = require('../config/database');
+const { authenticateToken, requirePermission, requireVolunteerAccess, logAuditTrail } = require('../middleware/auth');
+const {
+  MAX_ATTACHMENT_SIZE,
+  ATTACHMENT_CATEGORIES,
+  ALLOWED_TYPES,
+  sniffMimeType,
+  saveAttachmentFile,
+  resolveAttachmentPath,
+  removeAttachmentFile,
+  contentDisposition
+} = require('../utils/attachments');
+
+const router = express.Router({ mergeParams: true });
+
+// الملف يقرأ في الذاكرة أولاً حتى يفحص محتواه قبل حفظه
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: 1 }
+});
+
+/**
+ * Middleware رفع المرفق مع إرجاع أخطاء الرفع بصيغة الـ API
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const handleAttachmentUpload = (req, res, next) => {
+  attachmentUpload.single('file')(req, res, (error) => {
+    if (error) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message: tooLarge
+          ? `حجم الملف أكبر من الحد المسموح (${Math.round(MAX_ATTACHMENT_SIZE / 1024 / 1024)} ميجابايت)`
+          : 'خطأ في رفع الملف',
+        code: tooLarge ? 'FILE_TOO_LARGE' : 'INVALID_ATTACHMENT_FILE'
+      });
+    }
+    next();
+  });
+};
+
+const volunteerAccess = requireVolunteerAccess(req => req.params.volunteerId);
+
+// الأعمدة المرجعة لكل مرفق (بدون مسار التخزين الداخلي)
+const ATTACHMENT_SELECT = `
+  SELECT
+    a.id, a.volunteer_id, a.category, a.original_name, a.mime_type, a.size_bytes, a.sha256,
+    a.description, a.uploaded_by, a.created_at,
+    u.full_name as uploaded_by_name
+  FROM volunteer_attachments a
+  LEFT JOIN users u ON a.uploaded_by = u.id
+`;
+
+/**
+ * جلب مرفقات المتطوع
+ * GET /api/volunteers/:volunteerId/attachments
+ */
+router.get('/', authenticateToken, requirePermission('attachments.read'), volunteerAccess, async (req, res) => {
+  try {
+    const { volunteerId } = req.params;
+    const { category } = req.query;
+
+    const volunteerResult = await query('SELECT id FROM volunteers WHERE id = $1', [volunteerId]);
+    if (volunteerResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المتطوع غير موجود',
+        code: 'VOLUNTEER_NOT_FOUND'
+      });
+    }
+
+    let whereClause = 'WHERE a.volunteer_id = $1';
+    const queryParams = [volunteerId];
+
+    if (category) {
+      whereClause += ' AND a.category = $2';
+      queryParams.push(category);
+    }
+
+    const attachmentsResult = await query(
+      `${ATTACHMENT_SELECT}
+       ${whereClause}
+       ORDER BY a.created_at DESC`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        attachments: attachmentsResult.rows,
+        total_size_bytes: attachmentsResult.rows.reduce((sum, attachment) => sum + attachment.size_bytes, 0),
+        categories: ATTACHMENT_CATEGORIES,
+        max_file_size: MAX_ATTACHMENT_SIZE
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب المرفقات:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب المرفقات',
+      code: 'GET_ATTACHMENTS_ERROR'
+    });
+  }
+});
+
+/**
+ * رفع مرفق للمتطوع (multipart/form-data: file, category, description)
+ * POST /api/volunteers/:volunteerId/attachments
+ */
+router.post('/', authenticateToken, requirePermission('attachments.manage'), volunteerAccess, handleAttachmentUpload, async (req, res) => {
+  try {
+    const { volunteerId } = req.params;
+    const { category = 'other', description } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'يرجى إرفاق ملف في الحقل file',
+        code: 'ATTACHMENT_FILE_REQUIRED'
+      });
+    }
+
+    if (!ATTACHMENT_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `تصنيف المرفق يجب أن يكون من: ${ATTACHMENT_CATEGORIES.join('، ')}`,
+        code: 'INVALID_ATTACHMENT_CATEGORY'
+      });
+    }
+
+    // النوع من محتوى الملف وليس من الامتداد أو Content-Type المرسل
+    const mimeType = sniffMimeType(req.file.buffer);
+    if (!mimeType) {
+      return res.status(415).json({
+        success: false,
+        message: 'نوع الملف غير مدعوم (المسموح: PDF و PNG و JPEG و GIF و WEBP و DOCX)',
+        code: 'UNSUPPORTED_FILE_TYPE',
+        declared_type: req.file.mimetype
+      });
+    }
+
+    if (category === 'photo' && !ALLOWED_TYPES[mimeType].isImage) {
+      return res.status(400).json({
+        success: false,
+        message: 'الصورة الشخصية يجب أن تكون ملف صورة',
+        code: 'PHOTO_MUST_BE_IMAGE'
+      });
+    }
+
+    const volunteerResult = await query('SELECT id, full_name, archived_at FROM volunteers WHERE id = $1', [volunteerId]);
+    const volunteer = volunteerResult.rows[0];
+
+    if (!volunteer) {
+      return res.status(404).json({
+        success: false,
+        message: 'المتطوع غير موجود',
+        code: 'VOLUNTEER_NOT_FOUND'
+      });
+    }
+
+    if (volunteer.archived_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'لا يمكن رفع مرفقات لمتطوع مؤرشف',
+        code: 'VOLUNTEER_ARCHIVED'
+      });
+    }
+
+    // multer يقرأ اسم الملف بترميز latin1، فيعاد تحويله حتى تبقى الأسماء العربية سليمة
+    const originalName = path.basename(Buffer.from(req.file.originalname, 'latin1').toString('utf8')).slice(0, 255);
+
+    const { storagePath, sha256 } = await saveAttachmentFile(volunteerId, req.file.buffer, mimeType);
+
+    let attachment;
+    try {
+      const attachmentResult = await query(
+        `INSERT INTO volunteer_attachments (volunteer_id, category, original_name, storage_path, mime_type, size_bytes, sha256, description, uploaded_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING id, volunteer_id, category, original_name, mime_type, size_bytes, sha256, description, uploaded_by, created_at`,
+        [volunteerId, category, originalName, storagePath, mimeType, req.file.size, sha256, description || null, req.user.id]
+      );
+      attachment = attachmentResult.rows[0];
+    } catch (error) {
+      // لا يترك ملف على القرص بدون سجل
+      await removeAttachmentFile(storagePath);
+      throw error;
+    }
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPLOAD', 'volunteer_attachments', attachment.id, null, attachment, `رفع مرفق (${category}) للمتطوع: ${volunteer.full_name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم رفع المرفق بنجاح',
+      data: {
+        attachment
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في رفع المرفق:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في رفع المرفق',
+      code: 'UPLOAD_ATTACHMENT_ERROR'
+    });
+  }
+});
+
+/**
+ * تنزيل مرفق (يسجل كل تنزيل في سجل العمليات)
+ * GET /api/volunteers/:volunteerId/attachments/:attachmentId/download
+ */
+router.get('/:attachmentId/download', authenticateToken, requirePermission('attachments.read'), volunteerAccess, async (req, res) => {
+  try {
+    const { volunteerId, attachmentId } = req.params;
+
+    const attachmentResult = await query(
+      'SELECT * FROM volunteer_attachments WHERE id = $1 AND volunteer_id = $2',
+      [attachmentId, volunteerId]
+    );
+    const attachment = attachmentResult.rows[0];
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'المرفق غير موجود',
+        code: 'ATTACHMENT_NOT_FOUND'
+      });
+    }
+
+    const filePath = resolveAttachmentPath(attachment.storage_path);
+    if (!fs.existsSync(filePath)) {
+      console.error(`❌ ملف المرفق غير موجود على القرص: ${attachment.storage_path}`);
+      return res.status(410).json({
+        success: false,
+        message: 'ملف المرفق غير متاح',
+        code: 'ATTACHMENT_FILE_MISSING'
+      });
+    }
+
+    // تسجيل العملية قبل الإرسال حتى لا يتم تنزيل بدون أثر
+    await logAuditTrail(
+      req,
+      'DOWNLOAD',
+      'volunteer_attachments',
+      attachment.id,
+      null,
+      { volunteer_id: attachment.volunteer_id, category: attachment.category, original_name: attachment.original_name },
+      `تنزيل مرفق: ${attachment.original_name}`
+    );
+
+    res.set({
+      'Content-Type': attachment.mime_type,
+      'Content-Length': attachment.size_bytes,
+      'Content-Disposition': contentDisposition(attachment.original_name),
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+
+    fs.createReadStream(filePath)
+      .on('error', (error) => {
+        console.error('❌ خطأ في قراءة ملف المرفق:', error);
+        res.destroy(error);
+      })
+      .pipe(res);
+
+  } catch (error) {
+    console.error('❌ خطأ في تنزيل المرفق:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تنزيل المرفق',
+      code: 'DOWNLOAD_ATTACHMENT_ERROR'
+    });
+  }
+});
+
+/**
+ * حذف مرفق (السجل والملف)
+ * DELETE /api/volunteers/:volunteerId/attachments/:attachmentId
+ */
+router.delete('/:attachmentId', authenticateToken, requirePermission('attachments.manage'), volunteerAccess, async (req, res) => {
+  try {
+    const { volunteerId, attachmentId } = req.params;
+
+    const attachmentResult = await query(
+      'DELETE FROM volunteer_attachments WHERE id = $1 AND volunteer_id = $2 RETURNING *',
+      [attachmentId, volunteerId]
+    );
+    const attachment = attachmentResult.rows[0];
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'المرفق غير موجود',
+        code: 'ATTACHMENT_NOT_FOUND'
+      });
+    }
+
+    await removeAttachmentFile(attachment.storage_path);
+
+    const { storage_path, ...deletedAttachment } = attachment;
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'DELETE', 'volunteer_attachments', attachment.id, deletedAttachment, null, `حذف مرفق: ${attachment.original_name}`);
+
+    res.json({
+      success: true,
+      message: 'تم حذف المرفق بنجاح'
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في حذف المرفق:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في حذف المرفق',
+      code: 'DELETE_ATTACHMENT_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,263 @@
+/**
+ * مسارات استعراض سجل العمليات
+ * Audit Trail Browsing Routes
+ */
+
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { withDiff } = require('../utils/auditDiff');
+const { verifyChain } = require('../utils/auditChain');
+
+const router = express.Router();
+
+// الأعمدة المرجعة لكل عملية مع اسم المستخدم المنفذ
+const AUDIT_SELECT = `
+  SELECT
+    a.*,
+    u.username,
+    u.full_name as user_name,
+    imp.username as impersonator_username,
+    imp.full_name as impersonator_name,
+    k.name as api_key_name
+  FROM audit_trail a
+  LEFT JOIN users u ON a.user_id = u.id
+  LEFT JOIN users imp ON a.impersonator_id = imp.id
+  LEFT JOIN api_keys k ON a.api_key_id = k.id
+`;
+
+/**
+ * جلب سجل العمليات مع فلترة
+ * GET /api/audit
+ */
+router.get('/', authenticateToken, requirePermission('audit.read'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      user_id,
+      impersonator_id,
+      api_key_id,
+      table_name,
+      record_id,
+      action_type,
+      from,
+      to,
+      include_diff = 'true'
+    } = req.query;
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    // بناء شروط البحث
+    let whereClause = 'WHERE 1=1';
+    const queryParams = [];
+    let paramIndex = 1;
+
+    if (user_id) {
+      whereClause += ` AND a.user_id = $${paramIndex}`;
+      queryParams.push(user_id);
+      paramIndex++;
+    }
+
+    if (impersonator_id) {
+      whereClause += ` AND a.impersonator_id = $${paramIndex}`;
+      queryParams.push(impersonator_id);
+      paramIndex++;
+    }
+
+    if (api_key_id) {
+      whereClause += ` AND a.api_key_id = $${paramIndex}`;
+      queryParams.push(api_key_id);
+      paramIndex++;
+    }
+
+    if (table_name) {
+      whereClause += ` AND a.table_name = $${paramIndex}`;
+      queryParams.push(table_name);
+      paramIndex++;
+    }
+
+    if (record_id) {
+      whereClause += ` AND a.record_id = $${paramIndex}`;
+      queryParams.push(record_id);
+      paramIndex++;
+    }
+
+    if (action_type) {
+      whereClause += ` AND a.action_type = $${paramIndex}`;
+      queryParams.push(action_type);
+      paramIndex++;
+    }
+
+    if (from) {
+      whereClause += ` AND a.created_at >= $${paramIndex}`;
+      queryParams.push(from);
+      paramIndex++;
+    }
+
+    if (to) {
+      whereClause += ` AND a.created_at <= $${paramIndex}`;
+      queryParams.push(to);
+      paramIndex++;
+    }
+
+    // إحصاء إجمالي
+    const countResult = await query(`SELECT COUNT(*) as total FROM audit_trail a ${whereClause}`, queryParams);
+    const total = parseInt(countResult.rows[0].total);
+
+    queryParams.push(parseInt(limit), offset);
+    const entriesResult = await query(
+      `${AUDIT_SELECT}
+       ${whereClause}
+       ORDER BY a.created_at DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        entries: include_diff === 'false' ? entriesResult.rows : entriesResult.rows.map(withDiff),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        },
+        filters: {
+          user_id: user_id || null,
+          impersonator_id: impersonator_id || null,
+          api_key_id: api_key_id || null,
+          table_name: table_name || null,
+          record_id: record_id || null,
+          action_type: action_type || null,
+          from: from || null,
+          to: to || null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب سجل العمليات:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب سجل العمليات',
+      code: 'GET_AUDIT_TRAIL_ERROR'
+    });
+  }
+});
+
+/**
+ * التحقق من سلامة سلسلة البصمات والإبلاغ عن أول حلقة مكسورة
+ * GET /api/audit/verify
+ */
+router.get('/verify', authenticateToken, requirePermission('audit.read'), async (req, res) => {
+  try {
+    const result = await verifyChain(query);
+
+    res.json({
+      success: true,
+      message: result.valid ? 'سلسلة سجل العمليات سليمة' : 'تم اكتشاف تعديل أو حذف في سجل العمليات',
+      data: {
+        ...result,
+        verified_at: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في التحقق من سلسلة سجل العمليات:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في التحقق من سلسلة سجل العمليات',
+      code: 'VERIFY_AUDIT_CHAIN_ERROR'
+    });
+  }
+});
+
+/**
+ * الخط الزمني لسجل محدد (كل ما حدث له من الإنشاء حتى الآن)
+ * GET /api/audit/records/:tableName/:recordId
+ */
+router.get('/records/:tableName/:recordId', authenticateToken, requirePermission('audit.read'), async (req, res) => {
+  try {
+    const { tableName, recordId } = req.params;
+
+    const entriesResult = await query(
+      `${AUDIT_SELECT}
+       WHERE a.table_name = $1 AND a.record_id = $2
+       ORDER BY a.created_at ASC, a.chain_seq ASC`,
+      [tableName, recordId]
+    );
+
+    if (entriesResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'لا توجد عمليات مسجلة لهذا السجل',
+        code: 'AUDIT_RECORD_NOT_FOUND'
+      });
+    }
+
+    const timeline = entriesResult.rows.map(withDiff);
+
+    res.json({
+      success: true,
+      data: {
+        table_name: tableName,
+        record_id: recordId,
+        summary: {
+          total_events: timeline.length,
+          first_event_at: timeline[0].created_at,
+          last_event_at: timeline[timeline.length - 1].created_at,
+          is_deleted: timeline[timeline.length - 1].action_type === 'DELETE',
+          users: [...new Set(timeline.map(entry => entry.user_name).filter(Boolean))]
+        },
+        timeline
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب الخط الزمني للسجل:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب الخط الزمني للسجل',
+      code: 'GET_RECORD_TIMELINE_ERROR'
+    });
+  }
+});
+
+/**
+ * جلب عملية محددة مع الفروقات
+ * GET /api/audit/:id
+ */
+router.get('/:id', authenticateToken, requirePermission('audit.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const entryResult = await query(`${AUDIT_SELECT} WHERE a.id = $1`, [id]);
+
+    if (entryResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'العملية غير موجودة',
+        code: 'AUDIT_ENTRY_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        entry: withDiff(entryResult.rows[0])
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب العملية:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب العملية',
+      code: 'GET_AUDIT_ENTRY_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1142 @@
+/**
+ * مسارات المصادقة وتسجيل الدخول
+ * Authentication Routes
+ */
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, optionalAuth, logAuditTrail } = require('../middleware/auth');
+const {
+  LOGIN_CHALLENGE_EXPIRES_IN,
+  verifyRefreshToken,
+  signLoginChallenge,
+  verifyLoginChallenge
+} = require('../utils/tokens');
+const { PASSWORD_MIN_LENGTH, hashPassword } = require('../utils/passwords');
+const { createUserToken, consumeUserToken } = require('../utils/userTokens');
+const { sendMail } = require('../utils/mailer');
+const { passwordResetEmail } = require('../utils/emailTemplates');
+const { getEffectivePermissions } = require('../utils/permissions');
+const {
+  recordLoginAttempt,
+  isLocked,
+  registerFailedLogin,
+  registerSuccessfulLogin
+} = require('../utils/loginAttempts');
+const {
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+} = require('../utils/sessions');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const {
+  TWO_FACTOR_ISSUER,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  verifyTotpCode,
+  verifySecondFactor,
+  isTwoFactorRequired
+} = require('../utils/twoFactor');
+
+const router = express.Router();
+
+/**
+ * تجهيز بيانات المستخدم للإرجاع (بدون كلمة المرور)
+ * @param {Object} user - User row
+ * @returns {Object} Public user data
+ */
+const toPublicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  full_name: user.full_name,
+  role: user.role,
+  permissions: user.permissions || {},
+  effective_permissions: getEffectivePermissions(user),
+  two_factor_enabled: Boolean(user.totp_enabled),
+  last_login: user.last_login
+});
+
+/**
+ * إتمام تسجيل الدخول: بدء الجلسة وتسجيل المحاولة وإرجاع الرموز
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User row
+ * @param {Object} options - { username (as typed), secondFactor, extraData }
+ * @returns {Promise<void>}
+ */
+const completeLogin = async (req, res, user, { username = user.username, secondFactor = null, extraData = {} } = {}) => {
+  const { tokens } = await startSession(user, req);
+
+  await registerSuccessfulLogin(user.id);
+  await recordLoginAttempt(req, { userId: user.id, username, success: true });
+
+  // تسجيل العملية
+  req.user = { id: user.id, username: user.username, role: user.role };
+  await logAuditTrail(
+    req,
+    'LOGIN',
+    'users',
+    user.id,
+    null,
+    secondFactor ? { second_factor: secondFactor } : null,
+    `تسجيل دخول المستخدم: ${user.username}`
+  );
+
+  res.json({
+    success: true,
+    message: 'تم تسجيل الدخول بنجاح',
+    data: {
+      user: toPublicUser(user),
+      ...tokens,
+      ...extraData
+    }
+  });
+};
+
+/**
+ * رفض محاولة دخول فاشلة مع زيادة عداد القفل
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User row
+ * @param {Object} attempt - { username, reason, message, code }
+ * @returns {Promise<void>}
+ */
+const rejectFailedLogin = async (req, res, user, { username, reason, message, code }) => {
+  await recordLoginAttempt(req, { userId: user ? user.id : null, username, success: false, reason });
+
+  if (user) {
+    const { lockedUntil } = await registerFailedLogin(user.id);
+    if (lockedUntil) {
+      req.user = { id: user.id, username: user.username, role: user.role };
+      await logAuditTrail(req, 'LOCK', 'users', user.id, null, { locked_until: lockedUntil }, `قفل الحساب بعد محاولات دخول فاشلة: ${user.username}`);
+      return res.status(423).json({
+        success: false,
+        message: 'تم قفل الحساب مؤقتاً بسبب محاولات دخول فاشلة متكررة',
+        code: 'ACCOUNT_LOCKED',
+        locked_until: lockedUntil
+      });
+    }
+  }
+
+  res.status(401).json({
+    success: false,
+    message,
+    code
+  });
+};
+
+/**
+ * Middleware يقبل جلسة عادية أو رمز إعداد المصادقة الثنائية الصادر عند الدخول
+ * (عندما تلزم السياسة المستخدم بتفعيلها قبل إصدار رموز الدخول)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const authenticateOrEnrollment = async (req, res, next) => {
+  const challengeToken = req.body && req.body.challenge_token;
+  if (!challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const decoded = verifyLoginChallenge(challengeToken, 'enroll');
+    const userResult = await query('SELECT * FROM users WHERE id = $1 AND is_active = true', [decoded.userId]);
+    const user = userResult.rows[0];
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'المستخدم غير موجود أو معطل',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    req.user = {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      fullName: user.full_name,
+      role: user.role,
+      permissions: user.permissions || {}
+    };
+    req.enrollmentUser = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'رمز التحقق منتهي أو غير صالح، يرجى تسجيل الدخول مجدداً',
+      code: 'INVALID_LOGIN_CHALLENGE'
+    });
+  }
+};
+
+/**
+ * تسجيل الدخول
+ * POST /api/auth/login
+ */
+router.post('/login', [
+  body('username').notEmpty().withMessage('اسم المستخدم أو البريد الإلكتروني مطلوب'),
+  body('password').notEmpty().withMessage('كلمة المرور مطلوبة')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { username, password } = req.body;
+
+    const userResult = await query(
+      'SELECT * FROM users WHERE username = $1 OR LOWER(email) = LOWER($1)',
+      [username]
+    );
+
+    const user = userResult.rows[0];
+
+    // الحساب مقفل بسبب محاولات فاشلة متتالية
+    if (user && isLocked(user)) {
+      await recordLoginAttempt(req, { userId: user.id, username, success: false, reason: 'account_locked' });
+      return res.status(423).json({
+        success: false,
+        message: 'تم قفل الحساب مؤقتاً بسبب محاولات دخول فاشلة متكررة',
+        code: 'ACCOUNT_LOCKED',
+        locked_until: user.locked_until
+      });
+    }
+
+    const passwordMatches = user && user.password_hash
+      ? await bcrypt.compare(password, user.password_hash)
+      : false;
+
+    if (!passwordMatches) {
+      return rejectFailedLogin(req, res, user, {
+        username,
+        reason: 'invalid_credentials',
+        message: 'اسم المستخدم أو كلمة المرور غير صحيحة',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    if (!user.is_active) {
+      await recordLoginAttempt(req, { userId: user.id, username, success: false, reason: 'user_disabled' });
+      return res.status(401).json({
+        success: false,
+        message: 'حساب المستخدم معطل',
+        code: 'USER_DISABLED'
+      });
+    }
+
+    // الخطوة الثانية: رمز المصادقة الثنائية قبل إصدار رموز الدخول
+    if (user.totp_enabled) {
+      return res.json({
+        success: true,
+        message: 'أدخل رمز المصادقة الثنائية لإكمال تسجيل الدخول',
+        data: {
+          two_factor_required: true,
+          challenge_token: signLoginChallenge(user, 'verify'),
+          expires_in: LOGIN_CHALLENGE_EXPIRES_IN
+        }
+      });
+    }
+
+    // السياسة تلزم هذا الحساب بتفعيل المصادقة الثنائية أولاً
+    if (await isTwoFactorRequired(user)) {
+      return res.json({
+        success: true,
+        message: 'يجب تفعيل المصادقة الثنائية لهذا الحساب قبل تسجيل الدخول',
+        data: {
+          two_factor_enrollment_required: true,
+          challenge_token: signLoginChallenge(user, 'enroll'),
+          expires_in: LOGIN_CHALLENGE_EXPIRES_IN
+        }
+      });
+    }
+
+    await completeLogin(req, res, user, { username });
+
+  } catch (error) {
+    console.error('❌ خطأ في تسجيل الدخول:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تسجيل الدخول',
+      code: 'LOGIN_ERROR'
+    });
+  }
+});
+
+/**
+ * الخطوة الثانية لتسجيل الدخول (رمز TOTP أو رمز استرداد)
+ * POST /api/auth/login/verify-2fa
+ */
+router.post('/login/verify-2fa', [
+  body('challenge_token').notEmpty().withMessage('رمز التحقق مطلوب'),
+  body('code').notEmpty().withMessage('رمز المصادقة الثنائية مطلوب')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { challenge_token, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyLoginChallenge(challenge_token, 'verify');
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'رمز التحقق منتهي أو غير صالح، يرجى تسجيل الدخول مجدداً',
+        code: 'INVALID_LOGIN_CHALLENGE'
+      });
+    }
+
+    const userResult = await query('SELECT * FROM users WHERE id = $1', [decoded.userId]);
+    const user = userResult.rows[0];
+
+    if (!user || !user.is_active || !user.totp_enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'رمز التحقق منتهي أو غير صالح، يرجى تسجيل الدخول مجدداً',
+        code: 'INVALID_LOGIN_CHALLENGE'
+      });
+    }
+
+    if (isLocked(user)) {
+      await recordLoginAttempt(req, { userId: user.id, username: user.username, success: false, reason: 'account_locked' });
+      return res.status(423).json({
+        success: false,
+        message: 'تم قفل الحساب مؤقتاً بسبب محاولات دخول فاشلة متكررة',
+        code: 'ACCOUNT_LOCKED',
+        locked_until: user.locked_until
+      });
+    }
+
+    const method = await verifySecondFactor(user, code);
+    if (!method) {
+      return rejectFailedLogin(req, res, user, {
+        username: user.username,
+        reason: 'invalid_2fa_code',
+        message: 'رمز المصادقة الثنائية غير صحيح',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    const extraData = method === 'recovery_code'
+      ? { recovery_codes_remaining: await countRecoveryCodes(user.id) }
+      : {};
+
+    await completeLogin(req, res, user, { secondFactor: method, extraData });
+
+  } catch (error) {
+    console.error('❌ خطأ في التحقق من المصادقة الثنائية:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في التحقق من المصادقة الثنائية',
+      code: 'VERIFY_2FA_ERROR'
+    });
+  }
+});
+
+/**
+ * تجديد رمز الدخول (مع تدوير رمز التحديث)
+ * POST /api/auth/refresh
+ */
+router.post('/refresh', [
+  body('refresh_token').notEmpty().withMessage('رمز التحديث مطلوب')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(req.body.refresh_token);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.name === 'TokenExpiredError' ? 'انتهت صلاحية رمز التحديث' : 'رمز التحديث غير صالح',
+        code: error.name === 'TokenExpiredError' ? 'REFRESH_TOKEN_EXPIRED' : 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    // حجز الرمز الحالي لمنع استخدامه مرتين في نفس الوقت
+    const claimedResult = await query(
+      `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING *`,
+      [decoded.tokenId, decoded.userId]
+    );
+
+    if (claimedResult.rows.length === 0) {
+      const existingResult = await query(
+        'SELECT revoked_at, session_id FROM refresh_tokens WHERE id = $1 AND user_id = $2',
+        [decoded.tokenId, decoded.userId]
+      );
+
+      // إعادة استخدام رمز ملغى تعني احتمال سرقته: نلغي الجلسة بالكامل
+      if (existingResult.rows.length > 0 && existingResult.rows[0].revoked_at) {
+        if (existingResult.rows[0].session_id) {
+          await revokeSession(existingResult.rows[0].session_id, { reason: 'refresh_token_reuse' });
+        }
+        return res.status(401).json({
+          success: false,
+          message: 'تم استخدام رمز التحديث من قبل، يرجى تسجيل الدخول مجدداً',
+          code: 'REFRESH_TOKEN_REUSED'
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'رمز التحديث غير صالح',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    const claimedToken = claimedResult.rows[0];
+
+    // التحقق من أن الجلسة لم تلغ
+    const sessionResult = await query(
+      'SELECT id FROM user_sessions WHERE id = $1 AND revoked_at IS NULL',
+      [claimedToken.session_id]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'تم إنهاء هذه الجلسة، يرجى تسجيل الدخول مجدداً',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    const userResult = await query('SELECT * FROM users WHERE id = $1', [decoded.userId]);
+    const user = userResult.rows[0];
+
+    if (!user || !user.is_active) {
+      await revokeSession(claimedToken.session_id, { reason: 'user_disabled' });
+      return res.status(401).json({
+        success: false,
+        message: 'حساب المستخدم معطل أو غير موجود',
+        code: 'USER_DISABLED'
+      });
+    }
+
+    // جلسات سابقة لتفعيل السياسة لا تجدد حتى يفعل المستخدم المصادقة الثنائية عبر تسجيل الدخول
+    if (!user.totp_enabled && await isTwoFactorRequired(user)) {
+      await revokeSession(claimedToken.session_id, { reason: 'two_factor_required' });
+      return res.status(401).json({
+        success: false,
+        message: 'يجب تفعيل المصادقة الثنائية لهذا الحساب، يرجى تسجيل الدخول مجدداً',
+        code: 'TWO_FACTOR_ENROLLMENT_REQUIRED'
+      });
+    }
+
+    const { tokens } = await rotateSession(user, claimedToken.session_id, decoded.tokenId, req);
+
+    res.json({
+      success: true,
+      message: 'تم تجديد رمز الدخول بنجاح',
+      data: tokens
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في تجديد رمز الدخول:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تجديد رمز الدخول',
+      code: 'REFRESH_TOKEN_ERROR'
+    });
+  }
+});
+
+/**
+ * تسجيل الخروج (إنهاء الجلسة الحالية)
+ * POST /api/auth/logout
+ */
+router.post('/logout', [
+  optionalAuth,
+  body('refresh_token').notEmpty().withMessage('رمز التحديث مطلوب')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(req.body.refresh_token);
+    } catch (error) {
+      // رمز منتهي الصلاحية أو غير صالح: لا يوجد ما يلغى
+      return res.json({
+        success: true,
+        message: 'تم تسجيل الخروج بنجاح'
+      });
+    }
+
+    const tokenResult = await query(
+      'SELECT session_id FROM refresh_tokens WHERE id = $1 AND user_id = $2',
+      [decoded.tokenId, decoded.userId]
+    );
+
+    if (tokenResult.rows.length > 0 && tokenResult.rows[0].session_id) {
+      await revokeSession(tokenResult.rows[0].session_id, { revokedBy: decoded.userId, reason: 'logout' });
+    }
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'LOGOUT', 'users', decoded.userId, null, null, 'تسجيل خروج المستخدم');
+
+    res.json({
+      success: true,
+      message: 'تم تسجيل الخروج بنجاح'
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في تسجيل الخروج:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تسجيل الخروج',
+      code: 'LOGOUT_ERROR'
+    });
+  }
+});
+
+/**
+ * طلب إعادة تعيين كلمة المرور
+ * POST /api/auth/forgot-password
+ */
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('البريد الإلكتروني غير صالح')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const userResult = await query(
+      'SELECT id, username, email, full_name, role FROM users WHERE LOWER(email) = LOWER($1) AND is_active = true',
+      [email]
+    );
+
+    // نفس الرد دائماً حتى لا نكشف وجود البريد في النظام
+    if (userResult.rows.length > 0) {
+      const user = userResult.rows[0];
+      const { token, expiresAt } = await createUserToken(user.id, 'password_reset');
+
+      try {
+        await sendMail({
+          to: user.email,
+          ...passwordResetEmail({ fullName: user.full_name, token, expiresAt })
+        });
+      } catch (mailError) {
+        console.error('❌ خطأ في إرسال بريد إعادة تعيين كلمة المرور:', mailError.message);
+      }
+
+      // تسجيل العملية
+      req.user = { id: user.id, username: user.username, role: user.role };
+      await logAuditTrail(req, 'PASSWORD_RESET_REQUEST', 'users', user.id, null, null, 'طلب إعادة تعيين كلمة المرور');
+    }
+
+    res.json({
+      success: true,
+      message: 'إذا كان البريد مسجلاً لدينا فستصلك رسالة لإعادة تعيين كلمة المرور'
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في طلب إعادة تعيين كلمة المرور:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في طلب إعادة تعيين كلمة المرور',
+      code: 'FORGOT_PASSWORD_ERROR'
+    });
+  }
+});
+
+/**
+ * تعيين كلمة مرور جديدة برمز إعادة التعيين
+ * POST /api/auth/reset-password
+ */
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('رمز إعادة التعيين مطلوب'),
+  body('new_password').isLength({ min: PASSWORD_MIN_LENGTH }).withMessage(`كلمة المرور يجب ألا تقل عن ${PASSWORD_MIN_LENGTH} أحرف`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { token, new_password } = req.body;
+    const passwordHash = await hashPassword(new_password);
+
+    const user = await transaction(async (client) => {
+      const userToken = await consumeUserToken(token, 'password_reset', client);
+      if (!userToken) return null;
+
+      const updatedUser = await client.query(
+        `UPDATE users SET password_hash = $1, failed_login_count = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND is_active = true
+         RETURNING id, username, role`,
+        [passwordHash, userToken.user_id]
+      );
+      return updatedUser.rows[0] || null;
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'رابط إعادة التعيين غير صالح أو منتهي الصلاحية',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    // إنهاء جميع الجلسات القديمة
+    await revokeUserSessions(user.id, { revokedBy: user.id, reason: 'password_reset' });
+
+    // تسجيل العملية
+    req.user = user;
+    await logAuditTrail(req, 'UPDATE', 'users', user.id, null, { password_reset: true }, 'إعادة تعيين كلمة المرور عبر البريد');
+
+    res.json({
+      success: true,
+      message: 'تم تعيين كلمة المرور الجديدة بنجاح، يمكنك تسجيل الدخول الآن'
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إعادة تعيين كلمة المرور:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إعادة تعيين كلمة المرور',
+      code: 'RESET_PASSWORD_ERROR'
+    });
+  }
+});
+
+/**
+ * قبول الدعوة وتعيين كلمة المرور لأول مرة
+ * POST /api/auth/accept-invitation
+ */
+router.post('/accept-invitation', [
+  body('token').notEmpty().withMessage('رمز الدعوة مطلوب'),
+  body('password').isLength({ min: PASSWORD_MIN_LENGTH }).withMessage(`كلمة المرور يجب ألا تقل عن ${PASSWORD_MIN_LENGTH} أحرف`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+    const passwordHash = await hashPassword(password);
+
+    const user = await transaction(async (client) => {
+      const userToken = await consumeUserToken(token, 'invitation', client);
+      if (!userToken) return null;
+
+      const updatedUser = await client.query(
+        `UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND is_active = true
+         RETURNING id, username, role`,
+        [passwordHash, userToken.user_id]
+      );
+      return updatedUser.rows[0] || null;
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'رابط الدعوة غير صالح أو منتهي الصلاحية',
+        code: 'INVALID_INVITATION_TOKEN'
+      });
+    }
+
+    // تسجيل العملية
+    req.user = user;
+    await logAuditTrail(req, 'UPDATE', 'users', user.id, null, { invitation_accepted: true }, `قبول الدعوة: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'تم تفعيل حسابك بنجاح، يمكنك تسجيل الدخول الآن',
+      data: {
+        username: user.username
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في قبول الدعوة:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في قبول الدعوة',
+      code: 'ACCEPT_INVITATION_ERROR'
+    });
+  }
+});
+
+/**
+ * بيانات المستخدم الحالي
+ * GET /api/auth/me
+ */
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const userResult = await query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+
+    res.json({
+      success: true,
+      data: {
+        user: toPublicUser(userResult.rows[0]),
+        impersonation: req.impersonation ? {
+          id: req.impersonation.id,
+          impersonator_id: req.impersonation.impersonatorId,
+          impersonator_name: req.impersonation.impersonatorName,
+          allow_write: req.impersonation.allowWrite
+        } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب بيانات المستخدم الحالي:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب بيانات المستخدم',
+      code: 'GET_CURRENT_USER_ERROR'
+    });
+  }
+});
+
+/**
+ * جلب الجلسات النشطة للمستخدم الحالي
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          is_current: session.id === req.user.sessionId
+        })),
+        total: sessions.length
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب الجلسات:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب الجلسات',
+      code: 'GET_SESSIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * إنهاء جميع جلسات المستخدم الحالي
+ * DELETE /api/auth/sessions
+ */
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { keep_current } = req.query;
+    const exceptSessionId = keep_current === 'true' ? req.user.sessionId : null;
+
+    const revokedCount = await revokeUserSessions(req.user.id, {
+      revokedBy: req.user.id,
+      reason: 'user_revoked_all',
+      exceptSessionId
+    });
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPDATE', 'user_sessions', req.user.id, null, { revoked_count: revokedCount }, 'إنهاء جميع جلسات المستخدم');
+
+    res.json({
+      success: true,
+      message: 'تم إنهاء الجلسات بنجاح',
+      data: {
+        revoked_count: revokedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إنهاء الجلسات:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إنهاء الجلسات',
+      code: 'REVOKE_SESSIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * إنهاء جلسة محددة للمستخدم الحالي
+ * DELETE /api/auth/sessions/:id
+ */
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const sessionResult = await query(
+      'SELECT id FROM user_sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      [id, req.user.id]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'الجلسة غير موجودة',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    await revokeSession(id, { revokedBy: req.user.id, reason: 'user_revoked' });
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPDATE', 'user_sessions', id, null, null, 'إنهاء جلسة للمستخدم');
+
+    res.json({
+      success: true,
+      message: 'تم إنهاء الجلسة بنجاح',
+      data: {
+        session_id: id,
+        was_current: id === req.user.sessionId
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إنهاء الجلسة:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إنهاء الجلسة',
+      code: 'REVOKE_SESSION_ERROR'
+    });
+  }
+});
+
+/**
+ * حالة المصادقة الثنائية للمستخدم الحالي
+ * GET /api/auth/2fa/status
+ */
+router.get('/2fa/status', authenticateToken, async (req, res) => {
+  try {
+    const userResult = await query('SELECT id, role, totp_enabled, totp_enabled_at FROM users WHERE id = $1', [req.user.id]);
+    const user = userResult.rows[0];
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.totp_enabled,
+        enabled_at: user.totp_enabled_at,
+        required_by_policy: await isTwoFactorRequired(user),
+        recovery_codes_remaining: user.totp_enabled ? await countRecoveryCodes(user.id) : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب حالة المصادقة الثنائية:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب حالة المصادقة الثنائية',
+      code: 'GET_2FA_STATUS_ERROR'
+    });
+  }
+});
+
+/**
+ * بدء إعداد المصادقة الثنائية (مفتاح جديد ورابط QR)
+ * POST /api/auth/2fa/setup
+ */
+router.post('/2fa/setup', authenticateOrEnrollment, async (req, res) => {
+  try {
+    const userResult = await query('SELECT id, username, email, totp_enabled FROM users WHERE id = $1', [req.user.id]);
+    const user = userResult.rows[0];
+
+    if (user.totp_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'المصادقة الثنائية مفعلة بالفعل',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    // المفتاح يحفظ غير مفعل حتى يؤكده المستخدم برمز صحيح
+    const secret = generateSecret();
+    await query(
+      'UPDATE users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2 AND totp_enabled = false',
+      [secret, user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'امسح رمز QR بتطبيق المصادقة ثم أدخل الرمز لتأكيد التفعيل',
+      data: {
+        secret,
+        otpauth_uri: buildOtpauthUri(secret, user.email || user.username, TWO_FACTOR_ISSUER)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إعداد المصادقة الثنائية:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إعداد المصادقة الثنائية',
+      code: 'SETUP_2FA_ERROR'
+    });
+  }
+});
+
+/**
+ * تأكيد تفعيل المصادقة الثنائية وإصدار رموز الاسترداد
+ * POST /api/auth/2fa/enable
+ */
+router.post('/2fa/enable', [
+  authenticateOrEnrollment,
+  body('code').notEmpty().withMessage('رمز المصادقة الثنائية مطلوب')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const userResult = await query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    const user = userResult.rows[0];
+
+    if (user.totp_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'المصادقة الثنائية مفعلة بالفعل',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!user.totp_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'يجب بدء إعداد المصادقة الثنائية أولاً',
+        code: 'TWO_FACTOR_NOT_SETUP'
+      });
+    }
+
+    if (!(await verifyTotpCode(user, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'رمز المصادقة الثنائية غير صحيح',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    const recoveryCodes = await transaction(async (client) => {
+      await client.query(
+        'UPDATE users SET totp_enabled = true, totp_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [user.id]
+      );
+      return generateRecoveryCodes(user.id, client);
+    });
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPDATE', 'users', user.id, null, { totp_enabled: true }, `تفعيل المصادقة الثنائية: ${user.username}`);
+
+    // إعداد إجباري أثناء تسجيل الدخول: نكمل الدخول مباشرة
+    if (req.enrollmentUser) {
+      return completeLogin(req, res, { ...user, totp_enabled: true }, {
+        secondFactor: 'totp',
+        extraData: { recovery_codes: recoveryCodes }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'تم تفعيل المصادقة الثنائية بنجاح. احفظ رموز الاسترداد في مكان آمن',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في تفعيل المصادقة الثنائية:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تفعيل المصادقة الثنائية',
+      code: 'ENABLE_2FA_ERROR'
+    });
+  }
+});
+
+/**
+ * إلغاء تفعيل المصادقة الثنائية
+ * POST /api/auth/2fa/disable
+ */
+router.post('/2fa/disable', [
+  authenticateToken,
+  body('password').notEmpty().withMessage('كلمة المرور مطلوبة'),
+  body('code').notEmpty().withMessage('رمز المصادقة الثنائية مطلوب')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const userResult = await query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    const user = userResult.rows[0];
+
+    if (!user.totp_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'المصادقة الثنائية غير مفعلة',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'لا يمكن إلغاء المصادقة الثنائية لأن سياسة النظام تلزم حسابات الأدمن بها',
+        code: 'TWO_FACTOR_REQUIRED_BY_POLICY'
+      });
+    }
+
+    const passwordMatches = await bcrypt.compare(req.body.password, user.password_hash);
+    if (!passwordMatches || !(await verifySecondFactor(user, req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'كلمة المرور أو رمز المصادقة الثنائية غير صحيح',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    await transaction(async (client) => {
+      await client.query(
+        `UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+         updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [user.id]
+      );
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [user.id]);
+    });
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPDATE', 'users', user.id, null, { totp_enabled: false }, `إلغاء المصادقة الثنائية: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'تم إلغاء المصادقة الثنائية'
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إلغاء المصادقة الثنائية:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إلغاء المصادقة الثنائية',
+      code: 'DISABLE_2FA_ERROR'
+    });
+  }
+});
+
+/**
+ * إعادة توليد رموز الاسترداد (تلغي الرموز السابقة)
+ * POST /api/auth/2fa/recovery-codes
+ */
+router.post('/2fa/recovery-codes', [
+  authenticateToken,
+  body('code').notEmpty().withMessage('رمز المصادقة الثنائية مطلوب')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const userResult = await query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    const user = userResult.rows[0];
+
+    if (!user.totp_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'المصادقة الثنائية غير مفعلة',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    if (!(await verifyTotpCode(user, req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'رمز المصادقة الثنائية غير صحيح',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPDATE', 'user_recovery_codes', user.id, null, { regenerated: true }, 'إعادة توليد رموز الاسترداد');
+
+    res.json({
+      success: true,
+      message: 'تم توليد رموز استرداد جديدة. الرموز السابقة لم تعد صالحة',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في توليد رموز الاسترداد:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في توليد رموز الاسترداد',
+      code: 'REGENERATE_RECOVERY_CODES_ERROR'
+    });
+  }
+});
+
+module.exports = router;
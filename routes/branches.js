@@ -0,0 +1,251 @@
+/**
+ * مسارات إدارة الفروع
+ * Branches Management Routes
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, requireAdmin, requirePermission, logAuditTrail } = require('../middleware/auth');
+const { membershipActiveAt, isActiveLeader } = require('../utils/teams');
+
+const router = express.Router();
+
+/**
+ * جلب الفروع مع عدد الفرق والأعضاء الحاليين
+ * GET /api/branches
+ */
+router.get('/', authenticateToken, requirePermission('volunteers.read'), async (req, res) => {
+  try {
+    const { include_inactive } = req.query;
+
+    const branchesResult = await query(
+      `SELECT
+         b.*,
+         u.full_name as leader_name,
+         (SELECT COUNT(*) FROM teams t WHERE t.branch_id = b.id AND t.is_active = true)::int as teams_count,
+         (SELECT COUNT(DISTINCT tm.volunteer_id)
+          FROM volunteer_team_memberships tm
+          INNER JOIN teams t ON t.id = tm.team_id
+          WHERE t.branch_id = b.id AND ${membershipActiveAt('tm', 'CURRENT_DATE')})::int as members_count
+       FROM branches b
+       LEFT JOIN users u ON b.leader_id = u.id
+       ${include_inactive === 'true' ? '' : 'WHERE b.is_active = true'}
+       ORDER BY b.name ASC`
+    );
+
+    res.json({
+      success: true,
+      data: {
+        branches: branchesResult.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب الفروع:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب الفروع',
+      code: 'GET_BRANCHES_ERROR'
+    });
+  }
+});
+
+/**
+ * إضافة فرع
+ * POST /api/branches
+ */
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('اسم الفرع مطلوب'),
+  body('leader_id').optional({ nullable: true }).isUUID().withMessage('معرف قائد الفرع غير صالح')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { name, leader_id } = req.body;
+
+    if (leader_id && !(await isActiveLeader(leader_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'قائد الفرع يجب أن يكون مستخدماً نشطاً',
+        code: 'INVALID_LEADER'
+      });
+    }
+
+    const existingResult = await query('SELECT id FROM branches WHERE name = $1', [name]);
+    if (existingResult.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'يوجد فرع بنفس الاسم',
+        code: 'BRANCH_EXISTS'
+      });
+    }
+
+    const branchResult = await query(
+      `INSERT INTO branches (name, leader_id, created_by)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [name, leader_id || null, req.user.id]
+    );
+
+    const branch = branchResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'CREATE', 'branches', branch.id, null, branch, `إضافة فرع: ${name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم إضافة الفرع بنجاح',
+      data: {
+        branch
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إضافة الفرع:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إضافة الفرع',
+      code: 'CREATE_BRANCH_ERROR'
+    });
+  }
+});
+
+/**
+ * تعديل فرع
+ * PUT /api/branches/:id
+ */
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('اسم الفرع لا يمكن أن يكون فارغاً'),
+  body('leader_id').optional({ nullable: true }).isUUID().withMessage('معرف قائد الفرع غير صالح'),
+  body('is_active').optional().isBoolean().withMessage('is_active يجب أن تكون true أو false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, leader_id, is_active } = req.body;
+
+    const existingResult = await query('SELECT * FROM branches WHERE id = $1', [id]);
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'الفرع غير موجود',
+        code: 'BRANCH_NOT_FOUND'
+      });
+    }
+
+    const oldBranch = existingResult.rows[0];
+
+    if (leader_id && !(await isActiveLeader(leader_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'قائد الفرع يجب أن يكون مستخدماً نشطاً',
+        code: 'INVALID_LEADER'
+      });
+    }
+
+    if (name !== undefined && name !== oldBranch.name) {
+      const nameResult = await query('SELECT id FROM branches WHERE name = $1 AND id != $2', [name, id]);
+      if (nameResult.rows.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'يوجد فرع بنفس الاسم',
+          code: 'BRANCH_EXISTS'
+        });
+      }
+    }
+
+    // لا يعطل فرع فيه فرق نشطة
+    if (is_active === false && oldBranch.is_active) {
+      const teamsResult = await query('SELECT COUNT(*) as count FROM teams WHERE branch_id = $1 AND is_active = true', [id]);
+      if (parseInt(teamsResult.rows[0].count) > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'لا يمكن تعطيل فرع فيه فرق نشطة، عطل الفرق أو انقلها أولاً',
+          code: 'BRANCH_HAS_ACTIVE_TEAMS'
+        });
+      }
+    }
+
+    // بناء الاستعلام التحديثي
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (name !== undefined) {
+      updates.push(`name = $${paramIndex}`);
+      values.push(name);
+      paramIndex++;
+    }
+
+    if (leader_id !== undefined) {
+      updates.push(`leader_id = $${paramIndex}`);
+      values.push(leader_id || null);
+      paramIndex++;
+    }
+
+    if (is_active !== undefined) {
+      updates.push(`is_active = $${paramIndex}`);
+      values.push(is_active);
+      paramIndex++;
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا توجد بيانات للتحديث',
+        code: 'NO_UPDATES'
+      });
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id); // لشرط WHERE
+
+    const updatedResult = await query(
+      `UPDATE branches SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    const newBranch = updatedResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPDATE', 'branches', id, oldBranch, newBranch, `تحديث فرع: ${newBranch.name}`);
+
+    res.json({
+      success: true,
+      message: 'تم تحديث الفرع بنجاح',
+      data: {
+        branch: newBranch
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في تحديث الفرع:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تحديث الفرع',
+      code: 'UPDATE_BRANCH_ERROR'
+    });
+  }
+});
+
+module.exports = router;
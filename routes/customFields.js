@@ -0,0 +1,308 @@
+/**
+ * مسارات إدارة حقول ملف المتطوع المخصصة
+ * Volunteer Custom Fields Management Routes
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, requireAdmin, requirePermission, logAuditTrail } = require('../middleware/auth');
+const { VOLUNTEER_FIELDS } = require('../utils/volunteerRecords');
+const { CUSTOM_FIELD_TYPES, CUSTOM_FIELD_KEY_PATTERN, validateFieldOptions } = require('../utils/customFields');
+
+const router = express.Router();
+
+// مفاتيح محجوزة لأنها أسماء حقول أساسية في المتطوع (تتعارض مع ربط أعمدة الاستيراد)
+const RESERVED_FIELD_KEYS = [...VOLUNTEER_FIELDS, 'custom_fields'];
+
+/**
+ * جلب تعريفات الحقول المخصصة (تحتاجها الواجهة لعرض نموذج المتطوع)
+ * GET /api/custom-fields
+ */
+router.get('/', authenticateToken, requirePermission('volunteers.read'), async (req, res) => {
+  try {
+    const { include_inactive } = req.query;
+
+    const fieldsResult = await query(
+      `SELECT f.*,
+         (SELECT COUNT(*) FROM volunteers v WHERE v.custom_fields ? f.key)::int as values_count
+       FROM volunteer_custom_fields f
+       ${include_inactive === 'true' ? '' : 'WHERE f.is_active = true'}
+       ORDER BY f.display_order ASC, f.created_at ASC`
+    );
+
+    res.json({
+      success: true,
+      data: {
+        custom_fields: fieldsResult.rows,
+        field_types: CUSTOM_FIELD_TYPES
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب الحقول المخصصة:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب الحقول المخصصة',
+      code: 'GET_CUSTOM_FIELDS_ERROR'
+    });
+  }
+});
+
+/**
+ * إضافة حقل مخصص
+ * POST /api/custom-fields
+ */
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  body('key')
+    .matches(CUSTOM_FIELD_KEY_PATTERN).withMessage('المفتاح يجب أن يبدأ بحرف إنجليزي صغير ويحتوي على حروف وأرقام و _ فقط')
+    .bail()
+    .not().isIn(RESERVED_FIELD_KEYS).withMessage('هذا المفتاح محجوز لحقل أساسي'),
+  body('label_ar').trim().isLength({ min: 2, max: 100 }).withMessage('عنوان الحقل مطلوب'),
+  body('field_type').isIn(CUSTOM_FIELD_TYPES).withMessage('نوع الحقل غير صالح'),
+  body('options').optional().isObject().withMessage('خيارات الحقل يجب أن تكون كائن JSON'),
+  body('is_required').optional().isBoolean().withMessage('is_required يجب أن تكون true أو false'),
+  body('display_order').optional().isInt().withMessage('ترتيب العرض يجب أن يكون رقماً صحيحاً')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { key, label_ar, field_type, options = {}, is_required = false, display_order = 0 } = req.body;
+
+    // حقول الاختيار لا تعمل بدون قائمة خيارات
+    const optionErrors = validateFieldOptions(field_type, options);
+    if (optionErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: optionErrors.join('، '),
+        code: 'INVALID_CUSTOM_FIELD_OPTIONS'
+      });
+    }
+
+    const existingResult = await query('SELECT id FROM volunteer_custom_fields WHERE key = $1', [key]);
+    if (existingResult.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'يوجد حقل بنفس المفتاح (ربما معطل، يمكن إعادة تفعيله)',
+        code: 'CUSTOM_FIELD_KEY_EXISTS'
+      });
+    }
+
+    const fieldResult = await query(
+      `INSERT INTO volunteer_custom_fields (key, label_ar, field_type, options, is_required, display_order, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [key, label_ar, field_type, JSON.stringify(options), is_required, display_order, req.user.id]
+    );
+
+    const field = fieldResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'CREATE', 'volunteer_custom_fields', field.id, null, field, `إضافة حقل مخصص: ${label_ar}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم إضافة الحقل بنجاح',
+      data: {
+        custom_field: field
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إضافة الحقل المخصص:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إضافة الحقل المخصص',
+      code: 'CREATE_CUSTOM_FIELD_ERROR'
+    });
+  }
+});
+
+/**
+ * تعديل حقل مخصص
+ * PUT /api/custom-fields/:id
+ *
+ * المفتاح والنوع لا يتغيران لأن القيم المحفوظة مرتبطة بهما
+ */
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  body('label_ar').optional().trim().isLength({ min: 2, max: 100 }).withMessage('عنوان الحقل لا يمكن أن يكون فارغاً'),
+  body('options').optional().isObject().withMessage('خيارات الحقل يجب أن تكون كائن JSON'),
+  body('is_required').optional().isBoolean().withMessage('is_required يجب أن تكون true أو false'),
+  body('display_order').optional().isInt().withMessage('ترتيب العرض يجب أن يكون رقماً صحيحاً'),
+  body('is_active').optional().isBoolean().withMessage('is_active يجب أن تكون true أو false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { key, field_type, label_ar, options, is_required, display_order, is_active } = req.body;
+
+    const existingResult = await query('SELECT * FROM volunteer_custom_fields WHERE id = $1', [id]);
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'الحقل غير موجود',
+        code: 'CUSTOM_FIELD_NOT_FOUND'
+      });
+    }
+
+    const oldField = existingResult.rows[0];
+
+    if ((key !== undefined && key !== oldField.key) || (field_type !== undefined && field_type !== oldField.field_type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا يمكن تغيير مفتاح الحقل أو نوعه، أنشئ حقلاً جديداً بدلاً منه',
+        code: 'CUSTOM_FIELD_IMMUTABLE'
+      });
+    }
+
+    if (options !== undefined) {
+      const optionErrors = validateFieldOptions(oldField.field_type, options);
+      if (optionErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: optionErrors.join('، '),
+          code: 'INVALID_CUSTOM_FIELD_OPTIONS'
+        });
+      }
+    }
+
+    // بناء الاستعلام التحديثي
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (label_ar !== undefined) {
+      updates.push(`label_ar = $${paramIndex}`);
+      values.push(label_ar);
+      paramIndex++;
+    }
+
+    if (options !== undefined) {
+      updates.push(`options = $${paramIndex}`);
+      values.push(JSON.stringify(options));
+      paramIndex++;
+    }
+
+    if (is_required !== undefined) {
+      updates.push(`is_required = $${paramIndex}`);
+      values.push(is_required);
+      paramIndex++;
+    }
+
+    if (display_order !== undefined) {
+      updates.push(`display_order = $${paramIndex}`);
+      values.push(display_order);
+      paramIndex++;
+    }
+
+    if (is_active !== undefined) {
+      updates.push(`is_active = $${paramIndex}`);
+      values.push(is_active);
+      paramIndex++;
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا توجد بيانات للتحديث',
+        code: 'NO_UPDATES'
+      });
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id); // لشرط WHERE
+
+    const updatedResult = await query(
+      `UPDATE volunteer_custom_fields SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    const newField = updatedResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPDATE', 'volunteer_custom_fields', id, oldField, newField, `تحديث حقل مخصص: ${newField.label_ar}`);
+
+    res.json({
+      success: true,
+      message: 'تم تحديث الحقل بنجاح',
+      data: {
+        custom_field: newField
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في تحديث الحقل المخصص:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تحديث الحقل المخصص',
+      code: 'UPDATE_CUSTOM_FIELD_ERROR'
+    });
+  }
+});
+
+/**
+ * تعطيل حقل مخصص (القيم المحفوظة تبقى ويمكن إعادة تفعيله)
+ * DELETE /api/custom-fields/:id
+ */
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const fieldResult = await query(
+      `UPDATE volunteer_custom_fields SET is_active = false, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND is_active = true
+       RETURNING *`,
+      [id]
+    );
+
+    if (fieldResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'الحقل غير موجود أو معطل مسبقاً',
+        code: 'CUSTOM_FIELD_NOT_FOUND'
+      });
+    }
+
+    const field = fieldResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'DEACTIVATE', 'volunteer_custom_fields', id, { is_active: true }, { is_active: false }, `تعطيل حقل مخصص: ${field.label_ar}`);
+
+    res.json({
+      success: true,
+      message: 'تم تعطيل الحقل',
+      data: {
+        custom_field: field
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في تعطيل الحقل المخصص:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تعطيل الحقل المخصص',
+      code: 'DEACTIVATE_CUSTOM_FIELD_ERROR'
+    });
+  }
+});
+
+module.exports = router;
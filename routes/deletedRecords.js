@@ -0,0 +1,283 @@
+/**
+ * مسارات السجلات المحذوفة واسترجاعها
+ * Deleted Records and Restore Routes
+ */
+
+const express = require('express');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requireAdmin, logAuditTrail } = require('../middleware/auth');
+const { findRestoreConflicts, restoreSnapshot, snapshotAttachmentPaths } = require('../utils/deletedRecords');
+const { removeAttachmentFile } = require('../utils/attachments');
+
+const router = express.Router();
+
+/**
+ * جلب السجلات المحذوفة
+ * GET /api/deleted-records
+ */
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, table_name, restored } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let whereClause = 'WHERE 1=1';
+    const queryParams = [];
+    let paramIndex = 1;
+
+    if (table_name) {
+      whereClause += ` AND dr.table_name = $${paramIndex}`;
+      queryParams.push(table_name);
+      paramIndex++;
+    }
+
+    if (restored !== undefined) {
+      whereClause += restored === 'true' ? ' AND dr.restored_at IS NOT NULL' : ' AND dr.restored_at IS NULL';
+    }
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM deleted_records dr ${whereClause}`, queryParams);
+    const total = parseInt(countResult.rows[0].total);
+
+    queryParams.push(parseInt(limit), offset);
+    const recordsResult = await query(
+      `SELECT
+         dr.id,
+         dr.table_name,
+         dr.record_id,
+         dr.deleted_at,
+         dr.restored_at,
+         COALESCE(dr.snapshot->'record'->>'full_name', v.full_name) as volunteer_name,
+         dr.snapshot->'record'->>'evaluation_month' as evaluation_month,
+         dr.snapshot->'record'->>'evaluation_year' as evaluation_year,
+         jsonb_array_length(COALESCE(dr.snapshot->'dependants'->'evaluations', '[]'::jsonb)) as evaluations_count,
+         u1.full_name as deleted_by_name,
+         u2.full_name as restored_by_name
+       FROM deleted_records dr
+       LEFT JOIN volunteers v ON v.id = (dr.snapshot->'record'->>'volunteer_id')::uuid
+       LEFT JOIN users u1 ON dr.deleted_by = u1.id
+       LEFT JOIN users u2 ON dr.restored_by = u2.id
+       ${whereClause}
+       ORDER BY dr.deleted_at DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        deleted_records: recordsResult.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب السجلات المحذوفة:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب السجلات المحذوفة',
+      code: 'GET_DELETED_RECORDS_ERROR'
+    });
+  }
+});
+
+/**
+ * جلب لقطة سجل محذوف
+ * GET /api/deleted-records/:id
+ */
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const recordResult = await query('SELECT * FROM deleted_records WHERE id = $1', [id]);
+    if (recordResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'السجل المحذوف غير موجود',
+        code: 'DELETED_RECORD_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        deleted_record: recordResult.rows[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب السجل المحذوف:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب السجل المحذوف',
+      code: 'GET_DELETED_RECORD_ERROR'
+    });
+  }
+});
+
+/**
+ * استرجاع سجل محذوف مع توابعه
+ * POST /api/deleted-records/:id/restore
+ */
+router.post('/:id/restore', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const outcome = await transaction(async (client) => {
+      // قفل اللقطة لمنع استرجاعها مرتين في نفس الوقت
+      const recordResult = await client.query('SELECT * FROM deleted_records WHERE id = $1 FOR UPDATE', [id]);
+      const deletedRecord = recordResult.rows[0];
+
+      if (!deletedRecord) {
+        return { status: 'not_found' };
+      }
+
+      if (deletedRecord.restored_at) {
+        return { status: 'already_restored', deletedRecord };
+      }
+
+      const conflicts = await findRestoreConflicts(client, deletedRecord);
+      if (conflicts.length > 0) {
+        return { status: 'conflict', conflicts };
+      }
+
+      const restoredCounts = await restoreSnapshot(client, deletedRecord);
+
+      await client.query(
+        'UPDATE deleted_records SET restored_at = CURRENT_TIMESTAMP, restored_by = $1 WHERE id = $2',
+        [req.user.id, id]
+      );
+
+      return { status: 'restored', deletedRecord, restoredCounts };
+    });
+
+    if (outcome.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'السجل المحذوف غير موجود',
+        code: 'DELETED_RECORD_NOT_FOUND'
+      });
+    }
+
+    if (outcome.status === 'already_restored') {
+      return res.status(409).json({
+        success: false,
+        message: 'تم استرجاع هذا السجل مسبقاً',
+        code: 'ALREADY_RESTORED',
+        restored_at: outcome.deletedRecord.restored_at
+      });
+    }
+
+    if (outcome.status === 'conflict') {
+      return res.status(409).json({
+        success: false,
+        message: 'لا يمكن الاسترجاع لتعارضه مع بيانات أضيفت بعد الحذف',
+        code: 'RESTORE_CONFLICT',
+        conflicts: outcome.conflicts
+      });
+    }
+
+    const { deletedRecord, restoredCounts } = outcome;
+
+    // تسجيل العملية
+    await logAuditTrail(
+      req,
+      'RESTORE',
+      deletedRecord.table_name,
+      deletedRecord.record_id,
+      null,
+      deletedRecord.snapshot.record,
+      `استرجاع سجل محذوف من ${deletedRecord.table_name}`
+    );
+
+    res.json({
+      success: true,
+      message: 'تم استرجاع السجل وجميع بياناته بنجاح',
+      data: {
+        table_name: deletedRecord.table_name,
+        record_id: deletedRecord.record_id,
+        restored_counts: restoredCounts
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في استرجاع السجل:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في استرجاع السجل',
+      code: 'RESTORE_RECORD_ERROR'
+    });
+  }
+});
+
+/**
+ * التخلص النهائي من لقطة سجل محذوف مع ملفات مرفقاتها (لا يمكن الاسترجاع بعدها)
+ * ملفات اللقطة المسترجعة لا تحذف لأنها أصبحت مرفقات المتطوع المسترجع
+ * DELETE /api/deleted-records/:id
+ */
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const recordResult = await query(
+      'DELETE FROM deleted_records WHERE id = $1 RETURNING *',
+      [id]
+    );
+    const deletedRecord = recordResult.rows[0];
+
+    if (!deletedRecord) {
+      return res.status(404).json({
+        success: false,
+        message: 'السجل المحذوف غير موجود',
+        code: 'DELETED_RECORD_NOT_FOUND'
+      });
+    }
+
+    // الملفات تحذف بعد حذف اللقطة حتى لا تبقى لقطة تشير لملفات غير موجودة
+    const attachmentPaths = deletedRecord.restored_at ? [] : snapshotAttachmentPaths(deletedRecord);
+    let removedFiles = 0;
+    for (const storagePath of attachmentPaths) {
+      try {
+        await removeAttachmentFile(storagePath);
+        removedFiles++;
+      } catch (error) {
+        console.error(`❌ خطأ في حذف ملف مرفق (${storagePath}):`, error);
+      }
+    }
+
+    // تسجيل العملية
+    await logAuditTrail(
+      req,
+      'DELETE',
+      'deleted_records',
+      deletedRecord.id,
+      { table_name: deletedRecord.table_name, record_id: deletedRecord.record_id, deleted_at: deletedRecord.deleted_at },
+      null,
+      `التخلص من لقطة سجل محذوف من ${deletedRecord.table_name} (${removedFiles} ملف مرفق)`
+    );
+
+    res.json({
+      success: true,
+      message: 'تم التخلص من السجل المحذوف نهائياً',
+      data: {
+        table_name: deletedRecord.table_name,
+        record_id: deletedRecord.record_id,
+        removed_attachment_files: removedFiles,
+        failed_attachment_files: attachmentPaths.length - removedFiles
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في التخلص من السجل المحذوف:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في التخلص من السجل المحذوف',
+      code: 'DISCARD_DELETED_RECORD_ERROR'
+    });
+  }
+});
+
+module.exports = router;
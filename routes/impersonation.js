@@ -0,0 +1,252 @@
+/**
+ * مسارات انتحال الأدمن لهوية مستخدم آخر ("العرض كمقيم")
+ * Admin Impersonation Routes
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, requireAdmin, logAuditTrail } = require('../middleware/auth');
+const { signImpersonationToken } = require('../utils/tokens');
+const {
+  IMPERSONATION_DEFAULT_MINUTES,
+  IMPERSONATION_MAX_MINUTES,
+  endImpersonation
+} = require('../utils/impersonation');
+
+const router = express.Router();
+
+/**
+ * بدء جلسة انتحال وإصدار رمز قصير العمر يعمل بهوية المستخدم المستهدف
+ * POST /api/impersonation
+ */
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  body('user_id').isUUID().withMessage('معرف المستخدم غير صالح'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('سبب الانتحال مطلوب'),
+  body('duration_minutes').optional().isInt({ min: 1, max: IMPERSONATION_MAX_MINUTES })
+    .withMessage(`المدة يجب أن تكون بين 1 و ${IMPERSONATION_MAX_MINUTES} دقيقة`),
+  body('allow_write').optional().isBoolean().withMessage('allow_write يجب أن تكون true أو false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { user_id, reason } = req.body;
+    const durationMinutes = parseInt(req.body.duration_minutes) || IMPERSONATION_DEFAULT_MINUTES;
+    const allowWrite = req.body.allow_write === true || req.body.allow_write === 'true';
+
+    // لا يمكن بدء انتحال من داخل جلسة انتحال أخرى
+    if (req.impersonation) {
+      return res.status(403).json({
+        success: false,
+        message: 'لا يمكن بدء انتحال أثناء العرض كمستخدم آخر',
+        code: 'IMPERSONATION_NESTED'
+      });
+    }
+
+    const targetResult = await query(
+      'SELECT id, username, full_name, role, permissions, is_active FROM users WHERE id = $1',
+      [user_id]
+    );
+    const target = targetResult.rows[0];
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (target.id === req.user.id || target.role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'لا يمكن العرض كأدمن أو كنفسك',
+        code: 'INVALID_IMPERSONATION_TARGET'
+      });
+    }
+
+    if (!target.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'حساب المستخدم معطل',
+        code: 'USER_DISABLED'
+      });
+    }
+
+    const sessionResult = await query(
+      `INSERT INTO impersonation_sessions (admin_id, target_user_id, reason, allow_write, ip_address, user_agent, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP + make_interval(mins => $7))
+       RETURNING *`,
+      [req.user.id, target.id, reason, allowWrite, req.clientIP, req.get('User-Agent'), durationMinutes]
+    );
+    const session = sessionResult.rows[0];
+
+    const token = signImpersonationToken(target, req.user, session.id, durationMinutes);
+
+    // تسجيل العملية
+    await logAuditTrail(
+      req,
+      'IMPERSONATION_START',
+      'impersonation_sessions',
+      session.id,
+      null,
+      { target_user_id: target.id, reason, allow_write: allowWrite, expires_at: session.expires_at },
+      `بدء العرض كالمستخدم: ${target.username}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: allowWrite
+        ? 'تم بدء العرض كمستخدم آخر مع السماح بالتعديل'
+        : 'تم بدء العرض كمستخدم آخر (قراءة فقط)',
+      data: {
+        impersonation: {
+          id: session.id,
+          allow_write: session.allow_write,
+          expires_at: session.expires_at
+        },
+        user: {
+          id: target.id,
+          username: target.username,
+          full_name: target.full_name,
+          role: target.role
+        },
+        access_token: token,
+        token_type: 'Bearer',
+        expires_in: `${durationMinutes}m`
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في بدء الانتحال:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في بدء العرض كمستخدم آخر',
+      code: 'START_IMPERSONATION_ERROR'
+    });
+  }
+});
+
+/**
+ * جلب جلسات الانتحال
+ * GET /api/impersonation
+ */
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, admin_id, target_user_id, active } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let whereClause = 'WHERE 1=1';
+    const queryParams = [];
+    let paramIndex = 1;
+
+    if (admin_id) {
+      whereClause += ` AND i.admin_id = $${paramIndex}`;
+      queryParams.push(admin_id);
+      paramIndex++;
+    }
+
+    if (target_user_id) {
+      whereClause += ` AND i.target_user_id = $${paramIndex}`;
+      queryParams.push(target_user_id);
+      paramIndex++;
+    }
+
+    if (active !== undefined) {
+      whereClause += active === 'true'
+        ? ' AND i.ended_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP'
+        : ' AND (i.ended_at IS NOT NULL OR i.expires_at <= CURRENT_TIMESTAMP)';
+    }
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM impersonation_sessions i ${whereClause}`, queryParams);
+    const total = parseInt(countResult.rows[0].total);
+
+    queryParams.push(parseInt(limit), offset);
+    const sessionsResult = await query(
+      `SELECT
+         i.*,
+         a.username as admin_username,
+         a.full_name as admin_name,
+         t.username as target_username,
+         t.full_name as target_name,
+         (SELECT COUNT(*) FROM audit_trail ar
+          WHERE ar.table_name = 'impersonation_sessions' AND ar.record_id = i.id
+            AND ar.action_type IN ('IMPERSONATED_REQUEST', 'IMPERSONATION_BLOCKED')) as requests_count
+       FROM impersonation_sessions i
+       LEFT JOIN users a ON i.admin_id = a.id
+       LEFT JOIN users t ON i.target_user_id = t.id
+       ${whereClause}
+       ORDER BY i.created_at DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessionsResult.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب جلسات الانتحال:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب جلسات الانتحال',
+      code: 'GET_IMPERSONATION_SESSIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * إنهاء جلسة انتحال (يستخدم رمز الأدمن الأصلي)
+ * POST /api/impersonation/:id/end
+ */
+router.post('/:id/end', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await endImpersonation(id, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'جلسة الانتحال غير موجودة أو منتهية',
+        code: 'IMPERSONATION_NOT_FOUND'
+      });
+    }
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'IMPERSONATION_END', 'impersonation_sessions', id, null, { ended_at: session.ended_at }, 'إنهاء جلسة عرض كمستخدم آخر');
+
+    res.json({
+      success: true,
+      message: 'تم إنهاء جلسة الانتحال'
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إنهاء الانتحال:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إنهاء جلسة الانتحال',
+      code: 'END_IMPERSONATION_ERROR'
+    });
+  }
+});
+
+module.exports = router;
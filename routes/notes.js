@@ -0,0 +1,559 @@
+/**
+ * مسارات الملاحظات التراكمية للمتطوع
+ * Volunteer Cumulative Notes Routes
+ *
+ * مركبة تحت /api/volunteers/:volunteerId/notes. الملاحظات التي ينشئها النظام (source = system)
+ * عند الإضافة وتغيير المرحلة وحل التنبيهات تبقى للقراءة فقط، ويمكن تثبيتها.
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, requirePermission, requireVolunteerAccess, logAuditTrail } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+
+const router = express.Router({ mergeParams: true });
+
+const NOTE_TYPES = ['achievement', 'improvement', 'behavior', 'general'];
+
+// private: للمقيمين فقط، shared: تظهر في تقرير المتطوع الذي يشارك معه
+const NOTE_VISIBILITIES = ['private', 'shared'];
+
+// الأعمدة المرجعة لكل ملاحظة مع أسماء المستخدمين
+const NOTE_SELECT = `
+  SELECT
+    cn.*,
+    u.full_name as created_by_name,
+    uu.full_name as updated_by_name,
+    pu.full_name as pinned_by_name
+  FROM cumulative_notes cn
+  LEFT JOIN users u ON cn.created_by = u.id
+  LEFT JOIN users uu ON cn.updated_by = uu.id
+  LEFT JOIN users pu ON cn.pinned_by = pu.id
+`;
+
+const volunteerAccess = requireVolunteerAccess(req => req.params.volunteerId);
+
+/**
+ * جلب ملاحظة تخص المتطوع المحدد في المسار
+ * @param {string} volunteerId - Volunteer id from the URL
+ * @param {string} noteId - Note id
+ * @returns {Promise<Object|undefined>} cumulative_notes row
+ */
+const findVolunteerNote = async (volunteerId, noteId) => {
+  const result = await query('SELECT * FROM cumulative_notes WHERE id = $1 AND volunteer_id = $2', [noteId, volunteerId]);
+  return result.rows[0];
+};
+
+/**
+ * سبب منع المستخدم من تعديل أو حذف ملاحظة (null إذا كان مسموحاً)
+ * @param {Object} user - req.user
+ * @param {Object} note - cumulative_notes row
+ * @returns {{status: number, message: string, code: string}|null} Error response parts
+ */
+const noteEditBlock = (user, note) => {
+  if (note.source === 'system') {
+    return { status: 409, message: 'ملاحظات النظام لا يمكن تعديلها أو حذفها', code: 'SYSTEM_NOTE_READONLY' };
+  }
+
+  const isOwner = Boolean(note.created_by) && note.created_by === user.id;
+  if (!isOwner && !hasPermission(user, 'notes.manage')) {
+    return { status: 403, message: 'يمكنك تعديل ملاحظاتك فقط', code: 'NOTE_NOT_OWNED' };
+  }
+
+  return null;
+};
+
+/**
+ * هل يرى المستخدم الملاحظات الخاصة؟ (الخاصة للمقيمين فقط، أي من لديه notes.write)
+ * @param {Object} user - req.user
+ * @returns {boolean} Whether private notes may be returned
+ */
+const canReadPrivateNotes = (user) => hasPermission(user, 'notes.write');
+
+/**
+ * سبب منع المستخدم من تثبيت ملاحظة (null إذا كان مسموحاً)
+ * ملاحظات النظام يثبتها أي مقيم، والملاحظات اليدوية صاحبها أو من لديه notes.manage
+ * @param {Object} user - req.user
+ * @param {Object} note - cumulative_notes row
+ * @returns {{status: number, message: string, code: string}|null} Error response parts
+ */
+const notePinBlock = (user, note) => {
+  if (note.source === 'system') return null;
+
+  const isOwner = Boolean(note.created_by) && note.created_by === user.id;
+  if (!isOwner && !hasPermission(user, 'notes.manage')) {
+    return { status: 403, message: 'يمكنك تثبيت ملاحظاتك فقط', code: 'NOTE_NOT_OWNED' };
+  }
+
+  return null;
+};
+
+/**
+ * جلب ملاحظات المتطوع مع فلترة وترقيم (المثبتة أولاً)
+ * الملاحظات الخاصة لا تظهر لمن ليس لديه notes.write
+ * GET /api/volunteers/:volunteerId/notes
+ */
+router.get('/', authenticateToken, requirePermission('volunteers.read'), volunteerAccess, async (req, res) => {
+  try {
+    const { volunteerId } = req.params;
+    const { page = 1, limit = 20, note_type, visibility, is_positive, pinned, source } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const volunteerResult = await query('SELECT id FROM volunteers WHERE id = $1', [volunteerId]);
+    if (volunteerResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المتطوع غير موجود',
+        code: 'VOLUNTEER_NOT_FOUND'
+      });
+    }
+
+    // بناء شروط البحث
+    let whereClause = 'WHERE cn.volunteer_id = $1';
+    const queryParams = [volunteerId];
+    let paramIndex = 2;
+
+    if (!canReadPrivateNotes(req.user)) {
+      whereClause += " AND cn.visibility = 'shared'";
+    }
+
+    if (note_type) {
+      whereClause += ` AND cn.note_type = $${paramIndex}`;
+      queryParams.push(note_type);
+      paramIndex++;
+    }
+
+    if (visibility) {
+      whereClause += ` AND cn.visibility = $${paramIndex}`;
+      queryParams.push(visibility);
+      paramIndex++;
+    }
+
+    if (is_positive !== undefined) {
+      whereClause += ` AND cn.is_positive = $${paramIndex}`;
+      queryParams.push(is_positive === 'true');
+      paramIndex++;
+    }
+
+    if (pinned !== undefined) {
+      whereClause += ` AND cn.is_pinned = $${paramIndex}`;
+      queryParams.push(pinned === 'true');
+      paramIndex++;
+    }
+
+    if (source) {
+      whereClause += ` AND cn.source = $${paramIndex}`;
+      queryParams.push(source);
+      paramIndex++;
+    }
+
+    // إحصاء إجمالي
+    const countResult = await query(`SELECT COUNT(*) as total FROM cumulative_notes cn ${whereClause}`, queryParams);
+    const total = parseInt(countResult.rows[0].total);
+
+    queryParams.push(parseInt(limit), offset);
+    const notesResult = await query(
+      `${NOTE_SELECT}
+       ${whereClause}
+       ORDER BY cn.is_pinned DESC, cn.pinned_at DESC NULLS LAST, cn.created_at DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        notes: notesResult.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        },
+        filters: {
+          note_type: note_type || null,
+          visibility: visibility || null,
+          is_positive: is_positive || null,
+          pinned: pinned || null,
+          source: source || null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب الملاحظات:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب الملاحظات',
+      code: 'GET_NOTES_ERROR'
+    });
+  }
+});
+
+/**
+ * جلب ملاحظة محددة
+ * GET /api/volunteers/:volunteerId/notes/:noteId
+ */
+router.get('/:noteId', authenticateToken, requirePermission('volunteers.read'), volunteerAccess, async (req, res) => {
+  try {
+    const { volunteerId, noteId } = req.params;
+
+    const noteResult = await query(`${NOTE_SELECT} WHERE cn.id = $1 AND cn.volunteer_id = $2`, [noteId, volunteerId]);
+    const hidden = noteResult.rows.length > 0 && noteResult.rows[0].visibility === 'private' && !canReadPrivateNotes(req.user);
+    if (noteResult.rows.length === 0 || hidden) {
+      return res.status(404).json({
+        success: false,
+        message: 'الملاحظة غير موجودة',
+        code: 'NOTE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        note: noteResult.rows[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب الملاحظة:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب الملاحظة',
+      code: 'GET_NOTE_ERROR'
+    });
+  }
+});
+
+/**
+ * إضافة ملاحظة
+ * POST /api/volunteers/:volunteerId/notes
+ */
+router.post('/', [
+  authenticateToken,
+  requirePermission('notes.write'),
+  volunteerAccess,
+  body('note_type').isIn(NOTE_TYPES).withMessage('نوع الملاحظة غير صالح'),
+  body('content').trim().isLength({ min: 2, max: 5000 }).withMessage('نص الملاحظة مطلوب (5000 حرف كحد أقصى)'),
+  body('is_positive').isBoolean().withMessage('is_positive يجب أن تكون true أو false'),
+  body('visibility').optional().isIn(NOTE_VISIBILITIES).withMessage('ظهور الملاحظة يجب أن يكون private أو shared'),
+  body('is_pinned').optional().isBoolean().withMessage('is_pinned يجب أن تكون true أو false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { volunteerId } = req.params;
+    const { note_type, content, is_positive, visibility = 'private', is_pinned = false } = req.body;
+
+    const volunteerResult = await query('SELECT id, full_name, archived_at FROM volunteers WHERE id = $1', [volunteerId]);
+    const volunteer = volunteerResult.rows[0];
+
+    if (!volunteer) {
+      return res.status(404).json({
+        success: false,
+        message: 'المتطوع غير موجود',
+        code: 'VOLUNTEER_NOT_FOUND'
+      });
+    }
+
+    if (volunteer.archived_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'لا يمكن إضافة ملاحظات لمتطوع مؤرشف',
+        code: 'VOLUNTEER_ARCHIVED'
+      });
+    }
+
+    const noteResult = await query(
+      `INSERT INTO cumulative_notes (
+         volunteer_id, note_type, content, is_positive, visibility, is_pinned, pinned_at, pinned_by, source, created_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $6 THEN CURRENT_TIMESTAMP END, CASE WHEN $6 THEN $7::uuid END, 'manual', $7)
+       RETURNING *`,
+      [volunteerId, note_type, content, is_positive, visibility, is_pinned, req.user.id]
+    );
+
+    const note = noteResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'CREATE', 'cumulative_notes', note.id, null, note, `إضافة ملاحظة للمتطوع: ${volunteer.full_name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم إضافة الملاحظة بنجاح',
+      data: {
+        note
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إضافة الملاحظة:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إضافة الملاحظة',
+      code: 'CREATE_NOTE_ERROR'
+    });
+  }
+});
+
+/**
+ * تعديل ملاحظة (صاحبها أو من لديه notes.manage)
+ * PUT /api/volunteers/:volunteerId/notes/:noteId
+ */
+router.put('/:noteId', [
+  authenticateToken,
+  requirePermission('notes.write'),
+  volunteerAccess,
+  body('note_type').optional().isIn(NOTE_TYPES).withMessage('نوع الملاحظة غير صالح'),
+  body('content').optional().trim().isLength({ min: 2, max: 5000 }).withMessage('نص الملاحظة لا يمكن أن يكون فارغاً (5000 حرف كحد أقصى)'),
+  body('is_positive').optional().isBoolean().withMessage('is_positive يجب أن تكون true أو false'),
+  body('visibility').optional().isIn(NOTE_VISIBILITIES).withMessage('ظهور الملاحظة يجب أن يكون private أو shared')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { volunteerId, noteId } = req.params;
+    const { note_type, content, is_positive, visibility } = req.body;
+
+    const oldNote = await findVolunteerNote(volunteerId, noteId);
+    if (!oldNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'الملاحظة غير موجودة',
+        code: 'NOTE_NOT_FOUND'
+      });
+    }
+
+    const block = noteEditBlock(req.user, oldNote);
+    if (block) {
+      return res.status(block.status).json({
+        success: false,
+        message: block.message,
+        code: block.code
+      });
+    }
+
+    // بناء الاستعلام التحديثي
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (note_type !== undefined) {
+      updates.push(`note_type = $${paramIndex}`);
+      values.push(note_type);
+      paramIndex++;
+    }
+
+    if (content !== undefined) {
+      updates.push(`content = $${paramIndex}`);
+      values.push(content);
+      paramIndex++;
+    }
+
+    if (is_positive !== undefined) {
+      updates.push(`is_positive = $${paramIndex}`);
+      values.push(is_positive);
+      paramIndex++;
+    }
+
+    if (visibility !== undefined) {
+      updates.push(`visibility = $${paramIndex}`);
+      values.push(visibility);
+      paramIndex++;
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا توجد بيانات للتحديث',
+        code: 'NO_UPDATES'
+      });
+    }
+
+    updates.push(`updated_by = $${paramIndex}`);
+    values.push(req.user.id);
+    paramIndex++;
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(noteId); // لشرط WHERE
+
+    const updatedResult = await query(
+      `UPDATE cumulative_notes SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    const newNote = updatedResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPDATE', 'cumulative_notes', noteId, oldNote, newNote, 'تحديث ملاحظة تراكمية');
+
+    res.json({
+      success: true,
+      message: 'تم تحديث الملاحظة بنجاح',
+      data: {
+        note: newNote
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في تحديث الملاحظة:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تحديث الملاحظة',
+      code: 'UPDATE_NOTE_ERROR'
+    });
+  }
+});
+
+/**
+ * تثبيت ملاحظة أو إلغاء تثبيتها (متاح لملاحظات النظام أيضاً، والملاحظات اليدوية لصاحبها أو من لديه notes.manage)
+ * PATCH /api/volunteers/:volunteerId/notes/:noteId/pin
+ */
+router.patch('/:noteId/pin', [
+  authenticateToken,
+  requirePermission('notes.write'),
+  volunteerAccess,
+  body('is_pinned').isBoolean().withMessage('is_pinned يجب أن تكون true أو false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { volunteerId, noteId } = req.params;
+    const { is_pinned } = req.body;
+
+    const volunteerResult = await query('SELECT archived_at FROM volunteers WHERE id = $1', [volunteerId]);
+    if (volunteerResult.rows.length > 0 && volunteerResult.rows[0].archived_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'لا يمكن تعديل ملاحظات متطوع مؤرشف',
+        code: 'VOLUNTEER_ARCHIVED'
+      });
+    }
+
+    const oldNote = await findVolunteerNote(volunteerId, noteId);
+    if (!oldNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'الملاحظة غير موجودة',
+        code: 'NOTE_NOT_FOUND'
+      });
+    }
+
+    const block = notePinBlock(req.user, oldNote);
+    if (block) {
+      return res.status(block.status).json({
+        success: false,
+        message: block.message,
+        code: block.code
+      });
+    }
+
+    const noteResult = await query(
+      `UPDATE cumulative_notes
+       SET is_pinned = $1,
+           pinned_at = CASE WHEN $1 THEN CURRENT_TIMESTAMP END,
+           pinned_by = CASE WHEN $1 THEN $2::uuid END
+       WHERE id = $3
+       RETURNING *`,
+      [is_pinned, req.user.id, noteId]
+    );
+
+    const note = noteResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(
+      req,
+      is_pinned ? 'PIN' : 'UNPIN',
+      'cumulative_notes',
+      noteId,
+      { is_pinned: !is_pinned },
+      { is_pinned },
+      is_pinned ? 'تثبيت ملاحظة تراكمية' : 'إلغاء تثبيت ملاحظة تراكمية'
+    );
+
+    res.json({
+      success: true,
+      message: is_pinned ? 'تم تثبيت الملاحظة' : 'تم إلغاء تثبيت الملاحظة',
+      data: {
+        note
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في تثبيت الملاحظة:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تثبيت الملاحظة',
+      code: 'PIN_NOTE_ERROR'
+    });
+  }
+});
+
+/**
+ * حذف ملاحظة (صاحبها أو من لديه notes.manage)
+ * DELETE /api/volunteers/:volunteerId/notes/:noteId
+ */
+router.delete('/:noteId', authenticateToken, requirePermission('notes.write'), volunteerAccess, async (req, res) => {
+  try {
+    const { volunteerId, noteId } = req.params;
+
+    const note = await findVolunteerNote(volunteerId, noteId);
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'الملاحظة غير موجودة',
+        code: 'NOTE_NOT_FOUND'
+      });
+    }
+
+    const block = noteEditBlock(req.user, note);
+    if (block) {
+      return res.status(block.status).json({
+        success: false,
+        message: block.message,
+        code: block.code
+      });
+    }
+
+    await query('DELETE FROM cumulative_notes WHERE id = $1', [noteId]);
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'DELETE', 'cumulative_notes', noteId, note, null, 'حذف ملاحظة تراكمية');
+
+    res.json({
+      success: true,
+      message: 'تم حذف الملاحظة بنجاح'
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في حذف الملاحظة:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في حذف الملاحظة',
+      code: 'DELETE_NOTE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,374 @@
+/**
+ * مسارات إدارة الفرق
+ * Teams Management Routes
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, requireAdmin, requirePermission, logAuditTrail } = require('../middleware/auth');
+const { volunteerScopeClause } = require('../utils/volunteerScope');
+const { membershipActiveAt, isActiveLeader } = require('../utils/teams');
+
+const router = express.Router();
+
+/**
+ * التحقق من أن الفرع موجود ونشط
+ * @param {string} branchId - Branch id
+ * @returns {Promise<boolean>} Whether the branch can receive teams
+ */
+const isActiveBranch = async (branchId) => {
+  const result = await query('SELECT 1 FROM branches WHERE id = $1 AND is_active = true', [branchId]);
+  return result.rows.length > 0;
+};
+
+/**
+ * جلب الفرق مع الفرع والقائد وعدد الأعضاء الحاليين
+ * GET /api/teams
+ */
+router.get('/', authenticateToken, requirePermission('volunteers.read'), async (req, res) => {
+  try {
+    const { branch_id, include_inactive } = req.query;
+
+    let whereClause = 'WHERE 1=1';
+    const queryParams = [];
+    let paramIndex = 1;
+
+    if (include_inactive !== 'true') {
+      whereClause += ' AND t.is_active = true';
+    }
+
+    if (branch_id) {
+      whereClause += ` AND t.branch_id = $${paramIndex}`;
+      queryParams.push(branch_id);
+      paramIndex++;
+    }
+
+    const teamsResult = await query(
+      `SELECT
+         t.*,
+         b.name as branch_name,
+         u.full_name as leader_name,
+         (SELECT COUNT(*) FROM volunteer_team_memberships tm
+          WHERE tm.team_id = t.id AND ${membershipActiveAt('tm', 'CURRENT_DATE')})::int as members_count
+       FROM teams t
+       INNER JOIN branches b ON t.branch_id = b.id
+       LEFT JOIN users u ON t.leader_id = u.id
+       ${whereClause}
+       ORDER BY b.name ASC, t.name ASC`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        teams: teamsResult.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب الفرق:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب الفرق',
+      code: 'GET_TEAMS_ERROR'
+    });
+  }
+});
+
+/**
+ * أعضاء الفريق في تاريخ محدد (اليوم افتراضياً)
+ * GET /api/teams/:id/members?as_of=YYYY-MM-DD
+ */
+router.get('/:id/members', authenticateToken, requirePermission('volunteers.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const asOf = req.query.as_of || new Date().toISOString().slice(0, 10);
+
+    if (Number.isNaN(new Date(asOf).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'التاريخ غير صالح',
+        code: 'INVALID_DATE'
+      });
+    }
+
+    const teamResult = await query(
+      `SELECT t.*, b.name as branch_name FROM teams t INNER JOIN branches b ON t.branch_id = b.id WHERE t.id = $1`,
+      [id]
+    );
+    if (teamResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'الفريق غير موجود',
+        code: 'TEAM_NOT_FOUND'
+      });
+    }
+
+    // المستخدم المقيد يرى المسندين إليه فقط
+    const scope = volunteerScopeClause(req.user, 'v.id', 3);
+
+    const membersResult = await query(
+      `SELECT
+         tm.id as membership_id,
+         tm.start_date,
+         tm.end_date,
+         v.id as volunteer_id,
+         v.full_name,
+         v.phone,
+         v.role_type,
+         v.is_active
+       FROM volunteer_team_memberships tm
+       INNER JOIN volunteers v ON tm.volunteer_id = v.id
+       WHERE tm.team_id = $1 AND ${membershipActiveAt('tm', '$2::date')} AND v.archived_at IS NULL${scope.clause}
+       ORDER BY v.full_name ASC`,
+      [id, asOf, ...scope.params]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        team: teamResult.rows[0],
+        as_of: asOf,
+        members: membersResult.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب أعضاء الفريق:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب أعضاء الفريق',
+      code: 'GET_TEAM_MEMBERS_ERROR'
+    });
+  }
+});
+
+/**
+ * إضافة فريق
+ * POST /api/teams
+ */
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  body('branch_id').isUUID().withMessage('معرف الفرع غير صالح'),
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('اسم الفريق مطلوب'),
+  body('leader_id').optional({ nullable: true }).isUUID().withMessage('معرف قائد الفريق غير صالح')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { branch_id, name, leader_id } = req.body;
+
+    if (!(await isActiveBranch(branch_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'الفرع غير موجود أو معطل',
+        code: 'INVALID_BRANCH'
+      });
+    }
+
+    if (leader_id && !(await isActiveLeader(leader_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'قائد الفريق يجب أن يكون مستخدماً نشطاً',
+        code: 'INVALID_LEADER'
+      });
+    }
+
+    const existingResult = await query('SELECT id FROM teams WHERE branch_id = $1 AND name = $2', [branch_id, name]);
+    if (existingResult.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'يوجد فريق بنفس الاسم في هذا الفرع',
+        code: 'TEAM_EXISTS'
+      });
+    }
+
+    const teamResult = await query(
+      `INSERT INTO teams (branch_id, name, leader_id, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [branch_id, name, leader_id || null, req.user.id]
+    );
+
+    const team = teamResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'CREATE', 'teams', team.id, null, team, `إضافة فريق: ${name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم إضافة الفريق بنجاح',
+      data: {
+        team
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إضافة الفريق:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إضافة الفريق',
+      code: 'CREATE_TEAM_ERROR'
+    });
+  }
+});
+
+/**
+ * تعديل فريق (بما في ذلك نقله لفرع آخر)
+ * PUT /api/teams/:id
+ */
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  body('branch_id').optional().isUUID().withMessage('معرف الفرع غير صالح'),
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('اسم الفريق لا يمكن أن يكون فارغاً'),
+  body('leader_id').optional({ nullable: true }).isUUID().withMessage('معرف قائد الفريق غير صالح'),
+  body('is_active').optional().isBoolean().withMessage('is_active يجب أن تكون true أو false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { branch_id, name, leader_id, is_active } = req.body;
+
+    const existingResult = await query('SELECT * FROM teams WHERE id = $1', [id]);
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'الفريق غير موجود',
+        code: 'TEAM_NOT_FOUND'
+      });
+    }
+
+    const oldTeam = existingResult.rows[0];
+
+    if (branch_id && branch_id !== oldTeam.branch_id && !(await isActiveBranch(branch_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'الفرع غير موجود أو معطل',
+        code: 'INVALID_BRANCH'
+      });
+    }
+
+    if (leader_id && !(await isActiveLeader(leader_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'قائد الفريق يجب أن يكون مستخدماً نشطاً',
+        code: 'INVALID_LEADER'
+      });
+    }
+
+    const targetBranch = branch_id || oldTeam.branch_id;
+    const targetName = name !== undefined ? name : oldTeam.name;
+    const nameResult = await query(
+      'SELECT id FROM teams WHERE branch_id = $1 AND name = $2 AND id != $3',
+      [targetBranch, targetName, id]
+    );
+    if (nameResult.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'يوجد فريق بنفس الاسم في هذا الفرع',
+        code: 'TEAM_EXISTS'
+      });
+    }
+
+    // لا يعطل فريق له أعضاء حاليون
+    if (is_active === false && oldTeam.is_active) {
+      const membersResult = await query(
+        'SELECT COUNT(*) as count FROM volunteer_team_memberships WHERE team_id = $1 AND end_date IS NULL',
+        [id]
+      );
+      if (parseInt(membersResult.rows[0].count) > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'لا يمكن تعطيل فريق له أعضاء حاليون، انقلهم أو أنه عضويتهم أولاً',
+          code: 'TEAM_HAS_MEMBERS'
+        });
+      }
+    }
+
+    // بناء الاستعلام التحديثي
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (branch_id !== undefined) {
+      updates.push(`branch_id = $${paramIndex}`);
+      values.push(branch_id);
+      paramIndex++;
+    }
+
+    if (name !== undefined) {
+      updates.push(`name = $${paramIndex}`);
+      values.push(name);
+      paramIndex++;
+    }
+
+    if (leader_id !== undefined) {
+      updates.push(`leader_id = $${paramIndex}`);
+      values.push(leader_id || null);
+      paramIndex++;
+    }
+
+    if (is_active !== undefined) {
+      updates.push(`is_active = $${paramIndex}`);
+      values.push(is_active);
+      paramIndex++;
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا توجد بيانات للتحديث',
+        code: 'NO_UPDATES'
+      });
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id); // لشرط WHERE
+
+    const updatedResult = await query(
+      `UPDATE teams SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    const newTeam = updatedResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPDATE', 'teams', id, oldTeam, newTeam, `تحديث فريق: ${newTeam.name}`);
+
+    res.json({
+      success: true,
+      message: 'تم تحديث الفريق بنجاح',
+      data: {
+        team: newTeam
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في تحديث الفريق:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تحديث الفريق',
+      code: 'UPDATE_TEAM_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1246 @@
+/**
+ * مسارات إدارة المستخدمين (المقيمين والأدمن)
+ * Users Management Routes
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requireAdmin, logAuditTrail } = require('../middleware/auth');
+const { revokeUserSessions, listActiveSessions } = require('../utils/sessions');
+const { PASSWORD_MIN_LENGTH, hashPassword, unusablePasswordHash } = require('../utils/passwords');
+const { createUserToken } = require('../utils/userTokens');
+const { sendMail } = require('../utils/mailer');
+const { invitationEmail } = require('../utils/emailTemplates');
+const { clearLockout } = require('../utils/loginAttempts');
+const { getSetting, setSetting } = require('../utils/settings');
+const {
+  PERMISSIONS,
+  ROLE_TEMPLATES,
+  getEffectivePermissions,
+  validatePermissions
+} = require('../utils/permissions');
+
+const router = express.Router();
+
+const USER_ROLES = ['admin', 'evaluator'];
+
+// الأعمدة المسموح بإرجاعها (بدون كلمة المرور)
+const USER_COLUMNS = 'id, username, email, full_name, role, permissions, is_active, last_login, failed_login_count, locked_until, totp_enabled, created_at, updated_at';
+
+/**
+ * التحقق من كائن الصلاحيات مقابل الكتالوج (للاستخدام مع express-validator)
+ * @param {*} value - Permissions value from the request body
+ * @returns {boolean} true when valid (throws with the first error otherwise)
+ */
+const isValidPermissions = (value) => {
+  const errors = validatePermissions(value);
+  if (errors.length > 0) {
+    throw new Error(errors.join('، '));
+  }
+  return true;
+};
+
+/**
+ * جلب جميع المستخدمين
+ * GET /api/users
+ */
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      search,
+      role,
+      is_active
+    } = req.query;
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    // بناء شروط البحث
+    let whereClause = 'WHERE 1=1';
+    const queryParams = [];
+    let paramIndex = 1;
+
+    if (search) {
+      whereClause += ` AND (username ILIKE $${paramIndex} OR email ILIKE $${paramIndex} OR full_name ILIKE $${paramIndex})`;
+      queryParams.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    if (role) {
+      whereClause += ` AND role = $${paramIndex}`;
+      queryParams.push(role);
+      paramIndex++;
+    }
+
+    if (is_active !== undefined) {
+      whereClause += ` AND is_active = $${paramIndex}`;
+      queryParams.push(is_active === 'true');
+      paramIndex++;
+    }
+
+    // إحصاء إجمالي
+    const countResult = await query(`SELECT COUNT(*) as total FROM users ${whereClause}`, queryParams);
+    const total = parseInt(countResult.rows[0].total);
+
+    queryParams.push(parseInt(limit), offset);
+    const usersResult = await query(
+      `SELECT ${USER_COLUMNS} FROM users
+       ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        users: usersResult.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        },
+        filters: {
+          search: search || null,
+          role: role || null,
+          is_active: is_active || null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب المستخدمين:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب المستخدمين',
+      code: 'GET_USERS_ERROR'
+    });
+  }
+});
+
+/**
+ * كتالوج الصلاحيات وقوالب الأدوار
+ * GET /api/users/permissions/catalog
+ */
+router.get('/permissions/catalog', authenticateToken, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([key, permission]) => ({
+        key,
+        ...permission
+      })),
+      templates: Object.entries(ROLE_TEMPLATES).map(([key, template]) => ({
+        key,
+        ...template
+      }))
+    }
+  });
+});
+
+/**
+ * إعدادات الأمان العامة
+ * GET /api/users/settings/security
+ */
+router.get('/settings/security', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const adminsWithoutTwoFactor = await query(
+      `SELECT id, username, full_name FROM users
+       WHERE role = 'admin' AND is_active = true AND totp_enabled = false
+       ORDER BY username`
+    );
+
+    res.json({
+      success: true,
+      data: {
+        require_admin_2fa: (await getSetting('require_admin_2fa', false)) === true,
+        admins_without_2fa: adminsWithoutTwoFactor.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب إعدادات الأمان:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب إعدادات الأمان',
+      code: 'GET_SECURITY_SETTINGS_ERROR'
+    });
+  }
+});
+
+/**
+ * تحديث إعدادات الأمان العامة (إلزام الأدمن بالمصادقة الثنائية)
+ * PUT /api/users/settings/security
+ */
+router.put('/settings/security', [
+  authenticateToken,
+  requireAdmin,
+  body('require_admin_2fa').isBoolean({ strict: true }).withMessage('قيمة الإلزام يجب أن تكون true أو false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { require_admin_2fa } = req.body;
+    const previousValue = await getSetting('require_admin_2fa', false);
+    await setSetting('require_admin_2fa', require_admin_2fa, req.user.id);
+
+    // تسجيل العملية
+    await logAuditTrail(
+      req,
+      'UPDATE',
+      'system_settings',
+      'require_admin_2fa',
+      { require_admin_2fa: previousValue },
+      { require_admin_2fa },
+      require_admin_2fa ? 'إلزام حسابات الأدمن بالمصادقة الثنائية' : 'إلغاء إلزام الأدمن بالمصادقة الثنائية'
+    );
+
+    res.json({
+      success: true,
+      message: 'تم تحديث إعدادات الأمان بنجاح',
+      data: {
+        require_admin_2fa
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في تحديث إعدادات الأمان:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تحديث إعدادات الأمان',
+      code: 'UPDATE_SECURITY_SETTINGS_ERROR'
+    });
+  }
+});
+
+/**
+ * جلب مستخدم محدد
+ * GET /api/users/:id
+ */
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const userResult = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    // إحصائيات نشاط المقيم
+    const activityResult = await query(
+      `SELECT
+        COUNT(*) as total_evaluations,
+        COUNT(*) FILTER (WHERE status = 'approved') as approved_evaluations,
+        MAX(created_at) as last_evaluation_at
+      FROM evaluations
+      WHERE evaluator_id = $1`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        user: userResult.rows[0],
+        activity: activityResult.rows[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب المستخدم:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب المستخدم',
+      code: 'GET_USER_ERROR'
+    });
+  }
+});
+
+/**
+ * إضافة مستخدم جديد (أدمن فقط)
+ * POST /api/users
+ */
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  body('username').trim().notEmpty().withMessage('اسم المستخدم مطلوب'),
+  body('email').isEmail().withMessage('البريد الإلكتروني غير صالح'),
+  body('full_name').notEmpty().withMessage('الاسم الكامل مطلوب'),
+  body('password').isLength({ min: PASSWORD_MIN_LENGTH }).withMessage(`كلمة المرور يجب ألا تقل عن ${PASSWORD_MIN_LENGTH} أحرف`),
+  body('role').optional().isIn(USER_ROLES).withMessage('الدور غير صالح'),
+  body('permissions').optional().custom(isValidPermissions)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      username,
+      email,
+      full_name,
+      password,
+      role = 'evaluator',
+      permissions = {}
+    } = req.body;
+
+    // التحقق من عدم تكرار اسم المستخدم أو البريد
+    const existingUser = await query(
+      'SELECT username, email FROM users WHERE username = $1 OR LOWER(email) = LOWER($2)',
+      [username, email]
+    );
+
+    if (existingUser.rows.length > 0) {
+      const usernameTaken = existingUser.rows.some(u => u.username === username);
+      return res.status(409).json({
+        success: false,
+        message: usernameTaken ? 'اسم المستخدم موجود بالفعل' : 'البريد الإلكتروني موجود بالفعل',
+        code: usernameTaken ? 'USERNAME_EXISTS' : 'EMAIL_EXISTS'
+      });
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    const newUserResult = await query(
+      `INSERT INTO users (username, email, full_name, password_hash, role, permissions)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${USER_COLUMNS}`,
+      [username, email, full_name, passwordHash, role, JSON.stringify(permissions)]
+    );
+
+    const user = newUserResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'CREATE', 'users', user.id, null, user, `إضافة مستخدم جديد: ${username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم إضافة المستخدم بنجاح',
+      data: {
+        user: user
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إضافة المستخدم:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إضافة المستخدم',
+      code: 'CREATE_USER_ERROR'
+    });
+  }
+});
+
+/**
+ * إرسال بريد الدعوة لمستخدم
+ * يستدعى داخل معاملة حتى يلغى الرمز (والمستخدم الجديد) إذا فشل الإرسال
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {Object} user - User row (id, username, email, full_name)
+ * @param {string} invitedBy - Id of the admin sending the invitation
+ * @returns {Promise<Date>} Invitation expiry
+ * @throws {Error} code INVITATION_MAIL_FAILED when the mail could not be sent
+ */
+const sendInvitation = async (client, user, invitedBy) => {
+  const { token, expiresAt } = await createUserToken(user.id, 'invitation', invitedBy, client);
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...invitationEmail({ fullName: user.full_name, username: user.username, token, expiresAt })
+    });
+  } catch (mailError) {
+    console.error('❌ خطأ في إرسال بريد الدعوة:', mailError);
+    const error = new Error('تعذر إرسال بريد الدعوة');
+    error.code = 'INVITATION_MAIL_FAILED';
+    throw error;
+  }
+
+  return expiresAt;
+};
+
+// رد فشل إرسال الدعوة (لم يحفظ شيء ويمكن إعادة المحاولة)
+const invitationMailFailed = (res) => res.status(502).json({
+  success: false,
+  message: 'تعذر إرسال بريد الدعوة، لم يتم حفظ أي تغيير ويمكن إعادة المحاولة',
+  code: 'INVITATION_MAIL_FAILED'
+});
+
+/**
+ * دعوة مستخدم جديد ليعين كلمة المرور بنفسه (أدمن فقط)
+ * POST /api/users/invite
+ */
+router.post('/invite', [
+  authenticateToken,
+  requireAdmin,
+  body('username').trim().notEmpty().withMessage('اسم المستخدم مطلوب'),
+  body('email').isEmail().withMessage('البريد الإلكتروني غير صالح'),
+  body('full_name').notEmpty().withMessage('الاسم الكامل مطلوب'),
+  body('role').optional().isIn(USER_ROLES).withMessage('الدور غير صالح'),
+  body('permissions').optional().custom(isValidPermissions)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      username,
+      email,
+      full_name,
+      role = 'evaluator',
+      permissions = {}
+    } = req.body;
+
+    const existingUser = await query(
+      'SELECT username, email FROM users WHERE username = $1 OR LOWER(email) = LOWER($2)',
+      [username, email]
+    );
+
+    if (existingUser.rows.length > 0) {
+      const usernameTaken = existingUser.rows.some(u => u.username === username);
+      return res.status(409).json({
+        success: false,
+        message: usernameTaken ? 'اسم المستخدم موجود بالفعل' : 'البريد الإلكتروني موجود بالفعل',
+        code: usernameTaken ? 'USERNAME_EXISTS' : 'EMAIL_EXISTS'
+      });
+    }
+
+    // كلمة مرور عشوائية حتى يعين المستخدم كلمته عبر رابط الدعوة
+    const passwordHash = await unusablePasswordHash();
+
+    // المستخدم والرمز في معاملة واحدة حتى لا يبقى حساب بدون دعوة إذا فشل الإرسال
+    const { user, expiresAt } = await transaction(async (client) => {
+      const newUserResult = await client.query(
+        `INSERT INTO users (username, email, full_name, password_hash, role, permissions)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${USER_COLUMNS}`,
+        [username, email, full_name, passwordHash, role, JSON.stringify(permissions)]
+      );
+
+      const createdUser = newUserResult.rows[0];
+      return { user: createdUser, expiresAt: await sendInvitation(client, createdUser, req.user.id) };
+    });
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'CREATE', 'users', user.id, null, user, `دعوة مستخدم جديد: ${username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم إنشاء المستخدم وإرسال الدعوة بنجاح',
+      data: {
+        user: user,
+        invitation_expires_at: expiresAt
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 'INVITATION_MAIL_FAILED') {
+      return invitationMailFailed(res);
+    }
+
+    console.error('❌ خطأ في دعوة المستخدم:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في دعوة المستخدم',
+      code: 'INVITE_USER_ERROR'
+    });
+  }
+});
+
+/**
+ * إعادة إرسال الدعوة (أدمن فقط)
+ * POST /api/users/:id/resend-invitation
+ */
+router.post('/:id/resend-invitation', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUserResult = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+    if (existingUserResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const user = existingUserResult.rows[0];
+
+    // الدعوة فقط لمن لم يقبل دعوته بعد
+    const acceptedResult = await query(
+      `SELECT 1 FROM user_tokens WHERE user_id = $1 AND purpose = 'invitation' AND used_at IS NOT NULL`,
+      [id]
+    );
+
+    if (user.last_login || acceptedResult.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'المستخدم قام بتفعيل حسابه بالفعل',
+        code: 'INVITATION_ALREADY_ACCEPTED'
+      });
+    }
+
+    // الرابط السابق يبقى صالحاً إذا فشل إرسال الجديد
+    const expiresAt = await transaction(client => sendInvitation(client, user, req.user.id));
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPDATE', 'users', id, null, { invitation_resent: true }, `إعادة إرسال الدعوة: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'تم إعادة إرسال الدعوة بنجاح',
+      data: {
+        invitation_expires_at: expiresAt
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 'INVITATION_MAIL_FAILED') {
+      return invitationMailFailed(res);
+    }
+
+    console.error('❌ خطأ في إعادة إرسال الدعوة:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إعادة إرسال الدعوة',
+      code: 'RESEND_INVITATION_ERROR'
+    });
+  }
+});
+
+/**
+ * تحديث بيانات مستخدم (أدمن فقط)
+ * PUT /api/users/:id
+ */
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  body('username').optional().trim().notEmpty().withMessage('اسم المستخدم لا يمكن أن يكون فارغاً'),
+  body('email').optional().isEmail().withMessage('البريد الإلكتروني غير صالح'),
+  body('full_name').optional().notEmpty().withMessage('الاسم الكامل لا يمكن أن يكون فارغاً'),
+  body('role').optional().isIn(USER_ROLES).withMessage('الدور غير صالح'),
+  body('permissions').optional().custom(isValidPermissions)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { username, email, full_name, role, permissions } = req.body;
+
+    // التحقق من وجود المستخدم
+    const existingUserResult = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+    if (existingUserResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const oldUser = existingUserResult.rows[0];
+
+    // منع الأدمن من إزالة صلاحياته بنفسه
+    if (id === req.user.id && role !== undefined && role !== 'admin') {
+      return res.status(409).json({
+        success: false,
+        message: 'لا يمكنك تغيير دورك بنفسك',
+        code: 'CANNOT_CHANGE_OWN_ROLE'
+      });
+    }
+
+    // التحقق من عدم تكرار اسم المستخدم أو البريد (إذا تم تغييره)
+    if ((username && username !== oldUser.username) || (email && email !== oldUser.email)) {
+      const duplicateResult = await query(
+        'SELECT username, email FROM users WHERE (username = $1 OR LOWER(email) = LOWER($2)) AND id != $3',
+        [username || oldUser.username, email || oldUser.email, id]
+      );
+
+      if (duplicateResult.rows.length > 0) {
+        const usernameTaken = duplicateResult.rows.some(u => u.username === (username || oldUser.username));
+        return res.status(409).json({
+          success: false,
+          message: usernameTaken ? 'اسم المستخدم موجود بالفعل' : 'البريد الإلكتروني موجود بالفعل',
+          code: usernameTaken ? 'USERNAME_EXISTS' : 'EMAIL_EXISTS'
+        });
+      }
+    }
+
+    // بناء الاستعلام التحديثي
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (username !== undefined) {
+      updates.push(`username = $${paramIndex}`);
+      values.push(username);
+      paramIndex++;
+    }
+
+    if (email !== undefined) {
+      updates.push(`email = $${paramIndex}`);
+      values.push(email);
+      paramIndex++;
+    }
+
+    if (full_name !== undefined) {
+      updates.push(`full_name = $${paramIndex}`);
+      values.push(full_name);
+      paramIndex++;
+    }
+
+    if (role !== undefined) {
+      updates.push(`role = $${paramIndex}`);
+      values.push(role);
+      paramIndex++;
+    }
+
+    if (permissions !== undefined) {
+      updates.push(`permissions = $${paramIndex}`);
+      values.push(JSON.stringify(permissions));
+      paramIndex++;
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا توجد بيانات للتحديث',
+        code: 'NO_UPDATES'
+      });
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id); // لشرط WHERE
+
+    const updatedUserResult = await query(
+      `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING ${USER_COLUMNS}`,
+      values
+    );
+
+    const newUser = updatedUserResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPDATE', 'users', id, oldUser, newUser, `تحديث بيانات المستخدم: ${newUser.username}`);
+
+    res.json({
+      success: true,
+      message: 'تم تحديث بيانات المستخدم بنجاح',
+      data: {
+        user: newUser
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في تحديث المستخدم:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تحديث بيانات المستخدم',
+      code: 'UPDATE_USER_ERROR'
+    });
+  }
+});
+
+/**
+ * تفعيل/تعطيل مستخدم (أدمن فقط)
+ * PATCH /api/users/:id/status
+ */
+router.patch('/:id/status', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { is_active, reason } = req.body;
+
+    if (typeof is_active !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'حالة التفعيل يجب أن تكون true أو false',
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    if (id === req.user.id && !is_active) {
+      return res.status(409).json({
+        success: false,
+        message: 'لا يمكنك تعطيل حسابك بنفسك',
+        code: 'CANNOT_DISABLE_SELF'
+      });
+    }
+
+    // التحقق من وجود المستخدم
+    const existingUserResult = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+    if (existingUserResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const oldUser = existingUserResult.rows[0];
+
+    const updatedUserResult = await query(
+      `UPDATE users SET is_active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+      [is_active, id]
+    );
+
+    const newUser = updatedUserResult.rows[0];
+
+    // إنهاء جلسات المستخدم المعطل وإلغاء روابط الدعوة وإعادة التعيين غير المستخدمة
+    if (!is_active) {
+      await revokeUserSessions(id, { revokedBy: req.user.id, reason: 'user_disabled' });
+      await query('DELETE FROM user_tokens WHERE user_id = $1 AND used_at IS NULL', [id]);
+    }
+
+    // تسجيل العملية
+    const statusText = is_active ? 'تفعيل' : 'تعطيل';
+    const description = reason
+      ? `${statusText} المستخدم: ${newUser.username} - السبب: ${reason}`
+      : `${statusText} المستخدم: ${newUser.username}`;
+    await logAuditTrail(req, 'UPDATE', 'users', id, oldUser, newUser, description);
+
+    res.json({
+      success: true,
+      message: `تم ${statusText} المستخدم بنجاح`,
+      data: {
+        user: newUser
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في تغيير حالة المستخدم:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تغيير حالة المستخدم',
+      code: 'UPDATE_USER_STATUS_ERROR'
+    });
+  }
+});
+
+/**
+ * إعادة تعيين كلمة مرور مستخدم (أدمن فقط)
+ * POST /api/users/:id/reset-password
+ */
+router.post('/:id/reset-password', [
+  authenticateToken,
+  requireAdmin,
+  body('new_password').isLength({ min: PASSWORD_MIN_LENGTH }).withMessage(`كلمة المرور يجب ألا تقل عن ${PASSWORD_MIN_LENGTH} أحرف`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { new_password } = req.body;
+
+    const existingUserResult = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+    if (existingUserResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const user = existingUserResult.rows[0];
+    const passwordHash = await hashPassword(new_password);
+
+    await query(
+      'UPDATE users SET password_hash = $1, failed_login_count = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [passwordHash, id]
+    );
+
+    // إجبار المستخدم على تسجيل الدخول بكلمة المرور الجديدة
+    const revokedCount = await revokeUserSessions(id, { revokedBy: req.user.id, reason: 'password_reset' });
+
+    // تسجيل العملية (بدون كلمة المرور)
+    await logAuditTrail(req, 'UPDATE', 'users', id, null, { password_reset: true }, `إعادة تعيين كلمة مرور المستخدم: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'تم إعادة تعيين كلمة المرور بنجاح',
+      data: {
+        user: user,
+        revoked_sessions: revokedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إعادة تعيين كلمة المرور:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إعادة تعيين كلمة المرور',
+      code: 'RESET_PASSWORD_ERROR'
+    });
+  }
+});
+
+/**
+ * الصلاحيات الفعلية لمستخدم (أدمن فقط)
+ * GET /api/users/:id/permissions
+ */
+router.get('/:id/permissions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const userResult = await query('SELECT id, username, role, permissions FROM users WHERE id = $1', [id]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const user = userResult.rows[0];
+
+    res.json({
+      success: true,
+      data: {
+        user_id: user.id,
+        role: user.role,
+        stored_permissions: user.permissions || {},
+        effective_permissions: getEffectivePermissions(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب صلاحيات المستخدم:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب صلاحيات المستخدم',
+      code: 'GET_USER_PERMISSIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * تعيين قالب دور وصلاحيات إضافية لمستخدم (أدمن فقط)
+ * PUT /api/users/:id/permissions
+ */
+router.put('/:id/permissions', [
+  authenticateToken,
+  requireAdmin,
+  body('template').optional({ nullable: true }).isIn(Object.keys(ROLE_TEMPLATES)).withMessage('قالب الدور غير معروف'),
+  body('overrides').optional().custom(isValidPermissions)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { template = null, overrides = {} } = req.body;
+
+    const existingUserResult = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+    if (existingUserResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const oldUser = existingUserResult.rows[0];
+
+    // القالب يحفظ بجانب الاستثناءات في نفس الكائن
+    const permissions = { ...overrides };
+    delete permissions.template;
+    if (template) {
+      permissions.template = template;
+    }
+
+    const updatedUserResult = await query(
+      `UPDATE users SET permissions = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+      [JSON.stringify(permissions), id]
+    );
+
+    const newUser = updatedUserResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPDATE', 'users', id, oldUser, newUser, `تعديل صلاحيات المستخدم: ${newUser.username}`);
+
+    res.json({
+      success: true,
+      message: 'تم تحديث صلاحيات المستخدم بنجاح',
+      data: {
+        user: newUser,
+        effective_permissions: getEffectivePermissions(newUser)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في تحديث صلاحيات المستخدم:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تحديث صلاحيات المستخدم',
+      code: 'UPDATE_USER_PERMISSIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * جلب الجلسات النشطة لمستخدم (أدمن فقط)
+ * GET /api/users/:id/sessions
+ */
+router.get('/:id/sessions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUserResult = await query('SELECT id FROM users WHERE id = $1', [id]);
+    if (existingUserResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const sessions = await listActiveSessions(id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions,
+        total: sessions.length
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب جلسات المستخدم:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب جلسات المستخدم',
+      code: 'GET_USER_SESSIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * إنهاء جميع جلسات مستخدم (أدمن فقط)
+ * DELETE /api/users/:id/sessions
+ */
+router.delete('/:id/sessions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const existingUserResult = await query('SELECT id, username FROM users WHERE id = $1', [id]);
+    if (existingUserResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const user = existingUserResult.rows[0];
+
+    const revokedCount = await revokeUserSessions(id, {
+      revokedBy: req.user.id,
+      reason: reason || 'admin_revoked'
+    });
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPDATE', 'user_sessions', id, null, { revoked_count: revokedCount }, `إنهاء جميع جلسات المستخدم: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'تم إنهاء جميع جلسات المستخدم بنجاح',
+      data: {
+        revoked_count: revokedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إنهاء جلسات المستخدم:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إنهاء جلسات المستخدم',
+      code: 'REVOKE_USER_SESSIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * سجل محاولات تسجيل الدخول لمستخدم (أدمن فقط)
+ * GET /api/users/:id/login-history
+ */
+router.get('/:id/login-history', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20, success } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const existingUserResult = await query('SELECT id, failed_login_count, locked_until, last_login FROM users WHERE id = $1', [id]);
+    if (existingUserResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    let whereClause = 'WHERE user_id = $1';
+    const queryParams = [id];
+    let paramIndex = 2;
+
+    if (success !== undefined) {
+      whereClause += ` AND success = $${paramIndex}`;
+      queryParams.push(success === 'true');
+      paramIndex++;
+    }
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM login_attempts ${whereClause}`, queryParams);
+    const total = parseInt(countResult.rows[0].total);
+
+    queryParams.push(parseInt(limit), offset);
+    const attemptsResult = await query(
+      `SELECT id, success, failure_reason, ip_address, user_agent, created_at
+       FROM login_attempts
+       ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        lockout: existingUserResult.rows[0],
+        attempts: attemptsResult.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب سجل الدخول:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب سجل الدخول',
+      code: 'GET_LOGIN_HISTORY_ERROR'
+    });
+  }
+});
+
+/**
+ * فك قفل حساب مستخدم (أدمن فقط)
+ * POST /api/users/:id/unlock
+ */
+router.post('/:id/unlock', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUserResult = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+    if (existingUserResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const user = existingUserResult.rows[0];
+
+    await clearLockout(id);
+
+    // تسجيل العملية
+    await logAuditTrail(
+      req,
+      'UPDATE',
+      'users',
+      id,
+      { failed_login_count: user.failed_login_count, locked_until: user.locked_until },
+      { failed_login_count: 0, locked_until: null },
+      `فك قفل حساب المستخدم: ${user.username}`
+    );
+
+    res.json({
+      success: true,
+      message: 'تم فك قفل الحساب بنجاح'
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في فك قفل الحساب:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في فك قفل الحساب',
+      code: 'UNLOCK_USER_ERROR'
+    });
+  }
+});
+
+/**
+ * إعادة تعيين المصادقة الثنائية لمستخدم فقد جهازه (أدمن فقط)
+ * POST /api/users/:id/reset-2fa
+ */
+router.post('/:id/reset-2fa', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUserResult = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+    if (existingUserResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const user = existingUserResult.rows[0];
+
+    if (!user.totp_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'المصادقة الثنائية غير مفعلة لهذا المستخدم',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    await transaction(async (client) => {
+      await client.query(
+        `UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+         updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [id]
+      );
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [id]);
+    });
+
+    // الجلسات الحالية قد تكون لمن استولى على الجهاز
+    const revokedCount = await revokeUserSessions(id, { revokedBy: req.user.id, reason: '2fa_reset' });
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UPDATE', 'users', id, { totp_enabled: true }, { totp_enabled: false }, `إعادة تعيين المصادقة الثنائية للمستخدم: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'تم إعادة تعيين المصادقة الثنائية، سيطلب من المستخدم إعدادها من جديد إذا كانت إلزامية',
+      data: {
+        revoked_sessions: revokedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إعادة تعيين المصادقة الثنائية:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إعادة تعيين المصادقة الثنائية',
+      code: 'RESET_USER_2FA_ERROR'
+    });
+  }
+});
+
+/**
+ * حذف مستخدم (أدمن فقط)
+ * DELETE /api/users/:id
+ */
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.user.id) {
+      return res.status(409).json({
+        success: false,
+        message: 'لا يمكنك حذف حسابك بنفسك',
+        code: 'CANNOT_DELETE_SELF'
+      });
+    }
+
+    const existingUserResult = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+    if (existingUserResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const user = existingUserResult.rows[0];
+
+    // لا نحذف مقيماً له تقييمات حتى لا نفقد السجل التاريخي
+    const usageResult = await query(
+      'SELECT COUNT(*) as evaluations_count FROM evaluations WHERE evaluator_id = $1',
+      [id]
+    );
+    const evaluationsCount = parseInt(usageResult.rows[0].evaluations_count);
+
+    if (evaluationsCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `لا يمكن حذف المستخدم لأنه قام بـ ${evaluationsCount} تقييم. يمكنك تعطيل الحساب بدلاً من ذلك`,
+        code: 'USER_HAS_EVALUATIONS',
+        evaluations_count: evaluationsCount
+      });
+    }
+
+    await query('DELETE FROM users WHERE id = $1', [id]);
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'DELETE', 'users', id, user, null, `حذف المستخدم: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'تم حذف المستخدم بنجاح',
+      data: {
+        deleted_user: {
+          id: user.id,
+          username: user.username
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في حذف المستخدم:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في حذف المستخدم',
+      code: 'DELETE_USER_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -17,11 +17,22 @@ const { testConnection } = require('./config/database');
 
 // استيراد المسارات
 const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const assignmentRoutes = require('./routes/assignments');
 const volunteerRoutes = require('./routes/volunteers');
 const evaluationRoutes = require('./routes/evaluations');
 const criteriaRoutes = require('./routes/criteria');
 const reportRoutes = require('./routes/reports');
 const alertRoutes = require('./routes/alerts');
+const auditRoutes = require('./routes/audit');
+const deletedRecordRoutes = require('./routes/deletedRecords');
+const impersonationRoutes = require('./routes/impersonation');
+const apiKeyRoutes = require('./routes/apiKeys');
+const customFieldRoutes = require('./routes/customFields');
+const branchRoutes = require('./routes/branches');
+const teamRoutes = require('./routes/teams');
+const noteRoutes = require('./routes/notes');
+const attachmentRoutes = require('./routes/attachments');
 
 // إنشاء التطبيق
 const app = express();
@@ -65,7 +76,7 @@ const corsOptions = {
     }
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
   credentials: true,
 };
 app.use(cors(corsOptions));
@@ -95,9 +106,6 @@ if (process.env.NODE_ENV === 'development') {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Middleware للملفات الثابتة
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // إضافة معلومات الطلب
 app.use((req, res, next) => {
   req.requestTime = new Date().toISOString();
@@ -136,11 +144,22 @@ app.get('/api', (req, res) => {
       ],
       endpoints: {
         auth: '/api/auth',
+        users: '/api/users',
+        assignments: '/api/assignments',
         volunteers: '/api/volunteers',
         evaluations: '/api/evaluations',
         criteria: '/api/criteria',
         reports: '/api/reports',
-        alerts: '/api/alerts'
+        alerts: '/api/alerts',
+        audit: '/api/audit',
+        deleted_records: '/api/deleted-records',
+        impersonation: '/api/impersonation',
+        api_keys: '/api/api-keys',
+        custom_fields: '/api/custom-fields',
+        branches: '/api/branches',
+        teams: '/api/teams',
+        notes: '/api/volunteers/:volunteerId/notes',
+        attachments: '/api/volunteers/:volunteerId/attachments'
       }
     }
   });
@@ -175,11 +194,22 @@ app.get('/api/health', async (req, res) => {
 
 // استخدام المسارات
 app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/assignments', assignmentRoutes);
+app.use('/api/volunteers/:volunteerId/notes', noteRoutes);
+app.use('/api/volunteers/:volunteerId/attachments', attachmentRoutes);
 app.use('/api/volunteers', volunteerRoutes);
 app.use('/api/evaluations', evaluationRoutes);
 app.use('/api/criteria', criteriaRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/alerts', alertRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/deleted-records', deletedRecordRoutes);
+app.use('/api/impersonation', impersonationRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/branches', branchRoutes);
+app.use('/api/teams', teamRoutes);
 
 // Middleware لمعالجة الأخطاء العامة
 app.use((err, req, res, next) => {
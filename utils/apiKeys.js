@@ -0,0 +1,162 @@
+/**
+ * مفاتيح API للعملاء الآليين
+ * API Keys for Machine Clients
+ *
+ * المفتاح يرسل في الهيدر X-API-Key أو Authorization: Bearer zad_...
+ * ويحفظ في قاعدة البيانات كبصمة SHA-256 فقط، مع أول حروفه للتعرف عليه في لوحة الإدارة.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { query } = require('../config/database');
+const { PERMISSIONS } = require('./permissions');
+
+const API_KEY_PREFIX = 'zad_';
+const API_KEY_DISPLAY_LENGTH = 12;
+
+// صلاحيات تفترض وجود مقيم بشري (التقييم يكتب باسم المقيم) فلا تمنح للمفاتيح
+const HUMAN_ONLY_PERMISSIONS = ['evaluations.create', 'evaluations.update', 'evaluations.approve'];
+
+const API_KEY_PERMISSIONS = Object.keys(PERMISSIONS).filter(permission => !HUMAN_ONLY_PERMISSIONS.includes(permission));
+
+/**
+ * بصمة مفتاح API
+ * @param {string} rawKey - Key as sent by the client
+ * @returns {string} SHA-256 hex digest
+ */
+const hashApiKey = (rawKey) => crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+
+/**
+ * توليد مفتاح جديد (القيمة الخام ترجع مرة واحدة فقط)
+ * @returns {{rawKey: string, prefix: string, hash: string}} Generated key
+ */
+const generateApiKey = () => {
+  const rawKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    rawKey,
+    prefix: rawKey.slice(0, API_KEY_DISPLAY_LENGTH),
+    hash: hashApiKey(rawKey)
+  };
+};
+
+/**
+ * هل القيمة المرسلة مفتاح API وليست JWT؟
+ * @param {string} credential - Bearer credential
+ * @returns {boolean} Whether the credential looks like an API key
+ */
+const isApiKey = (credential) => Boolean(credential) && credential.startsWith(API_KEY_PREFIX);
+
+/**
+ * جلب المفتاح من قيمته الخام
+ * @param {string} rawKey - Key as sent by the client
+ * @returns {Promise<Object|undefined>} api_keys row
+ */
+const findApiKey = async (rawKey) => {
+  const result = await query('SELECT * FROM api_keys WHERE key_hash = $1', [hashApiKey(rawKey)]);
+  return result.rows[0];
+};
+
+/**
+ * تحويل العنوان لصيغة قابلة للمقارنة (IPv4 داخل IPv6 يعامل كـ IPv4)
+ * @param {string} ip - Client IP
+ * @returns {string} Normalized IP
+ */
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+
+/**
+ * التحقق من صحة قائمة العناوين المسموحة (عنوان مفرد أو نطاق CIDR)
+ * @param {Array} allowedIps - Value to store in api_keys.allowed_ips
+ * @returns {string[]} Validation error messages (empty when valid)
+ */
+const validateAllowedIps = (allowedIps) => {
+  if (!Array.isArray(allowedIps)) {
+    return ['قائمة العناوين المسموحة يجب أن تكون مصفوفة'];
+  }
+
+  const errors = [];
+  allowedIps.forEach(entry => {
+    const [address, bits] = String(entry).split('/');
+    const version = net.isIP(address);
+    const maxBits = version === 6 ? 128 : 32;
+
+    if (!version || (bits !== undefined && !(/^\d+$/.test(bits) && parseInt(bits) <= maxBits))) {
+      errors.push(`عنوان IP غير صالح: ${entry}`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * هل عنوان العميل ضمن العناوين المسموحة للمفتاح؟
+ * @param {Object} apiKey - api_keys row
+ * @param {string} ip - Client IP
+ * @returns {boolean} Whether the request may use the key from this IP
+ */
+const isIpAllowed = (apiKey, ip) => {
+  if (!apiKey.allowed_ips || apiKey.allowed_ips.length === 0) return true;
+
+  const clientIp = normalizeIp(ip);
+  const clientVersion = net.isIP(clientIp);
+  if (!clientVersion) return false;
+
+  const blockList = new net.BlockList();
+  apiKey.allowed_ips.forEach(entry => {
+    const [address, bits] = entry.split('/');
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    if (bits === undefined) {
+      blockList.addAddress(address, type);
+    } else {
+      blockList.addSubnet(address, parseInt(bits), type);
+    }
+  });
+
+  return blockList.check(clientIp, clientVersion === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * بناء req.user لطلب موقع بمفتاح API (نفس شكل المستخدم مع صلاحيات المفتاح فقط)
+ * المفتاح ليس له معرف مستخدم ولا إسنادات، لذلك يحتاج volunteers.view_all لرؤية المتطوعين
+ * @param {Object} apiKey - api_keys row
+ * @returns {Object} req.user
+ */
+const toApiKeyUser = (apiKey) => ({
+  id: null,
+  username: `api_key:${apiKey.key_prefix}`,
+  email: null,
+  fullName: apiKey.name,
+  role: 'api_key',
+  permissions: Object.fromEntries(
+    (apiKey.permissions || [])
+      .filter(permission => API_KEY_PERMISSIONS.includes(permission))
+      .map(permission => [permission, true])
+  ),
+  sessionId: null,
+  apiKeyId: apiKey.id
+});
+
+/**
+ * تحديث آخر استخدام للمفتاح (مرة كل دقيقة على الأكثر)
+ * @param {string} apiKeyId - Key id
+ * @param {string} ip - Client IP
+ * @returns {Promise<void>}
+ */
+const touchApiKey = async (apiKeyId, ip) => {
+  await query(
+    `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')`,
+    [apiKeyId, ip || null]
+  );
+};
+
+module.exports = {
+  API_KEY_PREFIX,
+  API_KEY_PERMISSIONS,
+  HUMAN_ONLY_PERMISSIONS,
+  generateApiKey,
+  isApiKey,
+  findApiKey,
+  validateAllowedIps,
+  isIpAllowed,
+  toApiKeyUser,
+  touchApiKey
+};
@@ -0,0 +1,89 @@
+/**
+ * توحيد الأسماء العربية ومقارنتها
+ * Arabic Name Normalisation and Similarity
+ */
+
+const { toAsciiDigits } = require('./phone');
+
+// التشكيل وعلامة المد الصغيرة
+const ARABIC_DIACRITICS = /[\u064B-\u0652\u0670]/g;
+const TATWEEL = /\u0640/g;
+
+/**
+ * توحيد اسم عربي للمقارنة: حذف التشكيل والتطويل وتوحيد الألف والتاء المربوطة والياء
+ * ودمج "عبد" مع ما بعدها (عبد الله = عبدالله)
+ * دالة normalize_arabic في قاعدة البيانات (migrations/020) تطبق نفس الخطوات، وأي تعديل هنا يجب أن ينعكس هناك
+ * @param {string} name - Name as typed
+ * @returns {string} Normalized name
+ */
+const normalizeArabicName = (name) => {
+  if (!name) return '';
+
+  return toAsciiDigits(name)
+    .replace(ARABIC_DIACRITICS, '')
+    .replace(TATWEEL, '')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ة/g, 'ه')
+    .replace(/ى/g, 'ي')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/(^|\s)(عبد|ابو) (?=\S)/g, '$1$2');
+};
+
+/**
+ * مسافة التحرير بين نصين (Levenshtein)
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Minimum number of single-character edits
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * نسبة التشابه بين اسمين موحدين (1 = متطابقان)
+ * ترتيب الكلمات لا يؤثر ("محمد أحمد علي" و "علي محمد أحمد")
+ * @param {string} a - Normalized name
+ * @param {string} b - Normalized name
+ * @returns {number} Similarity between 0 and 1
+ */
+const nameSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const sortedA = a.split(' ').sort().join(' ');
+  const sortedB = b.split(' ').sort().join(' ');
+  const maxLength = Math.max(a.length, b.length);
+
+  const distance = Math.min(editDistance(a, b), editDistance(sortedA, sortedB));
+  return 1 - distance / maxLength;
+};
+
+/**
+ * تهريب رموز LIKE (% و _ و \) حتى يبحث عن النص كما هو (يستخدم مع ESCAPE '\')
+ * @param {string} text - Search text
+ * @returns {string} Text safe to embed in a LIKE pattern
+ */
+const escapeLike = (text) => String(text).replace(/[\\%_]/g, '\\$&');
+
+module.exports = {
+  normalizeArabicName,
+  escapeLike,
+  editDistance,
+  nameSimilarity
+};
@@ -0,0 +1,131 @@
+/**
+ * مرفقات المتطوعين: التعرف على نوع الملف من محتواه وتخزينه على القرص
+ * Volunteer Attachments Storage and MIME Sniffing
+ *
+ * نوع الملف يحدد من أول بايتات المحتوى وليس من الامتداد أو Content-Type المرسل،
+ * والملفات تحفظ باسم عشوائي خارج أي مسار ثابت وتنزل فقط عبر مسار التنزيل الموثق.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const UPLOAD_ROOT = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+const ATTACHMENTS_DIR = path.join(UPLOAD_ROOT, 'attachments');
+const MAX_ATTACHMENT_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+
+const ATTACHMENT_CATEGORIES = ['id_copy', 'consent_form', 'certificate', 'photo', 'other'];
+
+// الأنواع المقبولة مع الامتداد المستخدم عند الحفظ
+const ALLOWED_TYPES = {
+  'application/pdf': { ext: '.pdf', isImage: false },
+  'image/png': { ext: '.png', isImage: true },
+  'image/jpeg': { ext: '.jpg', isImage: true },
+  'image/gif': { ext: '.gif', isImage: true },
+  'image/webp': { ext: '.webp', isImage: true },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { ext: '.docx', isImage: false }
+};
+
+/**
+ * هل يبدأ المحتوى بهذه البايتات؟
+ * @param {Buffer} buffer - File content
+ * @param {number[]} bytes - Expected bytes
+ * @param {number} offset - Start offset
+ * @returns {boolean} Whether the bytes match
+ */
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+/**
+ * التعرف على نوع الملف من أول بايتاته
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} Sniffed MIME type from ALLOWED_TYPES (null if not recognised)
+ */
+const sniffMimeType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+
+  if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d])) return 'application/pdf'; // %PDF-
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, [0x47, 0x49, 0x46, 0x38, 0x37, 0x61]) || startsWith(buffer, [0x47, 0x49, 0x46, 0x38, 0x39, 0x61])) {
+    return 'image/gif';
+  }
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) return 'image/webp';
+
+  // DOCX ملف ZIP يحتوي على [Content_Types].xml ومجلد word/
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+    const head = buffer.subarray(0, Math.min(buffer.length, 64 * 1024)).toString('latin1');
+    if (head.includes('[Content_Types].xml') && head.includes('word/')) {
+      return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * حفظ محتوى مرفق على القرص باسم عشوائي
+ * @param {string} volunteerId - Volunteer id (used as the sub-directory)
+ * @param {Buffer} buffer - File content
+ * @param {string} mimeType - Sniffed MIME type (key of ALLOWED_TYPES)
+ * @returns {Promise<{storagePath: string, sha256: string}>} Path relative to UPLOAD_ROOT and content hash
+ */
+const saveAttachmentFile = async (volunteerId, buffer, mimeType) => {
+  const directory = path.join(ATTACHMENTS_DIR, volunteerId);
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  const fileName = `${crypto.randomUUID()}${ALLOWED_TYPES[mimeType].ext}`;
+  await fs.promises.writeFile(path.join(directory, fileName), buffer, { flag: 'wx' });
+
+  return {
+    storagePath: path.posix.join('attachments', volunteerId, fileName),
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+  };
+};
+
+/**
+ * المسار الكامل لمرفق محفوظ (يرفض أي مسار يخرج عن مجلد الرفع)
+ * @param {string} storagePath - volunteer_attachments.storage_path
+ * @returns {string} Absolute file path
+ */
+const resolveAttachmentPath = (storagePath) => {
+  const fullPath = path.resolve(UPLOAD_ROOT, storagePath);
+  if (!fullPath.startsWith(`${ATTACHMENTS_DIR}${path.sep}`)) {
+    throw new Error(`مسار مرفق غير صالح: ${storagePath}`);
+  }
+  return fullPath;
+};
+
+/**
+ * حذف ملف مرفق من القرص (غياب الملف لا يعتبر خطأ)
+ * @param {string} storagePath - volunteer_attachments.storage_path
+ * @returns {Promise<void>}
+ */
+const removeAttachmentFile = async (storagePath) => {
+  try {
+    await fs.promises.unlink(resolveAttachmentPath(storagePath));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+/**
+ * ترويسة Content-Disposition تحفظ الاسم العربي للملف
+ * @param {string} originalName - Uploaded file name
+ * @returns {string} Header value
+ */
+const contentDisposition = (originalName) => {
+  const fallback = originalName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(originalName)}`;
+};
+
+module.exports = {
+  MAX_ATTACHMENT_SIZE,
+  ATTACHMENT_CATEGORIES,
+  ALLOWED_TYPES,
+  sniffMimeType,
+  saveAttachmentFile,
+  resolveAttachmentPath,
+  removeAttachmentFile,
+  contentDisposition
+};
@@ -0,0 +1,166 @@
+/**
+ * سلسلة البصمات لسجل العمليات (Tamper-evident Hash Chain)
+ * Audit Trail Hash Chain
+ *
+ * كل عملية تحمل رقماً تسلسلياً (chain_seq) وبصمة SHA-256 لمحتواها مع بصمة العملية السابقة،
+ * فأي تعديل أو حذف لعملية في منتصف السلسلة يكسر التحقق من العمليات التالية.
+ */
+
+const crypto = require('crypto');
+const { parseAuditValues } = require('./auditDiff');
+
+// بصمة بداية السلسلة
+const GENESIS_HASH = '0'.repeat(64);
+
+// مفتاح القفل الاستشاري الذي يضمن تسلسل الكتابة في السلسلة
+const AUDIT_CHAIN_LOCK_KEY = 7203011;
+
+// الحقول الداخلة في البصمة دائماً
+const HASHED_FIELDS = [
+  'chain_seq',
+  'user_id',
+  'action_type',
+  'table_name',
+  'record_id',
+  'old_values',
+  'new_values',
+  'description',
+  'ip_address',
+  'user_agent',
+  'created_at'
+];
+
+// حقول أضيفت لاحقاً: تدخل البصمة فقط إذا كانت لها قيمة حتى تبقى بصمات العمليات القديمة صالحة
+const OPTIONAL_HASHED_FIELDS = ['impersonator_id', 'api_key_id'];
+
+/**
+ * تحويل قيمة إلى JSON بترتيب مفاتيح ثابت
+ * @param {*} value - Any JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * تجهيز محتوى العملية بالصيغة التي تحسب منها البصمة
+ * (نفس النتيجة عند الكتابة وعند القراءة من قاعدة البيانات)
+ * @param {Object} entry - audit_trail row or the values about to be inserted
+ * @returns {Object} Normalized payload
+ */
+const normalizeEntry = (entry) => {
+  const payload = {};
+
+  HASHED_FIELDS.forEach(field => {
+    payload[field] = entry[field] === undefined ? null : entry[field];
+  });
+
+  OPTIONAL_HASHED_FIELDS.forEach(field => {
+    if (entry[field] !== null && entry[field] !== undefined) {
+      payload[field] = entry[field];
+    }
+  });
+
+  payload.chain_seq = String(payload.chain_seq);
+  payload.record_id = payload.record_id === null ? null : String(payload.record_id);
+  payload.old_values = parseAuditValues(payload.old_values);
+  payload.new_values = parseAuditValues(payload.new_values);
+  payload.created_at = payload.created_at ? new Date(payload.created_at).toISOString() : null;
+
+  return payload;
+};
+
+/**
+ * حساب بصمة عملية
+ * @param {Object} entry - audit_trail row (or values about to be inserted)
+ * @param {string} prevHash - Previous entry's hash (GENESIS_HASH for the first entry)
+ * @returns {string} SHA-256 hex digest
+ */
+const computeEntryHash = (entry, prevHash) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${prevHash}\n${canonicalJson(normalizeEntry(entry))}`)
+    .digest('hex');
+};
+
+/**
+ * التحقق من السلسلة كاملة على دفعات
+ * @param {Function} runQuery - query(text, params) function
+ * @param {number} batchSize - Rows per batch
+ * @returns {Promise<Object>} { valid, checked, first_broken, head, unchained_entries }
+ */
+const verifyChain = async (runQuery, batchSize = 1000) => {
+  let expectedSeq = 1;
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+  let head = null;
+
+  for (;;) {
+    const batch = await runQuery(
+      `SELECT * FROM audit_trail WHERE chain_seq >= $1 ORDER BY chain_seq ASC LIMIT $2`,
+      [expectedSeq, batchSize]
+    );
+
+    for (const row of batch.rows) {
+      const seq = parseInt(row.chain_seq);
+      let reason = null;
+
+      if (seq !== expectedSeq) {
+        reason = 'sequence_gap';
+      } else if (row.prev_hash !== prevHash) {
+        reason = 'prev_hash_mismatch';
+      } else if (row.entry_hash !== computeEntryHash(row, prevHash)) {
+        reason = 'entry_hash_mismatch';
+      }
+
+      if (reason) {
+        return {
+          valid: false,
+          checked,
+          first_broken: {
+            id: row.id,
+            chain_seq: seq,
+            expected_chain_seq: expectedSeq,
+            reason,
+            created_at: row.created_at
+          },
+          head
+        };
+      }
+
+      prevHash = row.entry_hash;
+      head = { chain_seq: seq, entry_hash: row.entry_hash, created_at: row.created_at };
+      expectedSeq++;
+      checked++;
+    }
+
+    if (batch.rows.length < batchSize) break;
+  }
+
+  const unchainedResult = await runQuery('SELECT COUNT(*) as count FROM audit_trail WHERE chain_seq IS NULL');
+
+  return {
+    valid: true,
+    checked,
+    first_broken: null,
+    head,
+    unchained_entries: parseInt(unchainedResult.rows[0].count)
+  };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  AUDIT_CHAIN_LOCK_KEY,
+  OPTIONAL_HASHED_FIELDS,
+  canonicalJson,
+  computeEntryHash,
+  verifyChain
+};
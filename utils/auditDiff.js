@@ -0,0 +1,81 @@
+/**
+ * حساب الفروقات بين القيم القديمة والجديدة في سجل العمليات
+ * Field-level Diff for Audit Trail Entries
+ */
+
+/**
+ * تحويل قيمة مخزنة (JSON أو نص JSON) إلى كائن
+ * @param {*} value - Stored old_values/new_values
+ * @returns {Object|null} Parsed object, or null when empty
+ */
+const parseAuditValues = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return { value };
+    }
+  }
+  return value;
+};
+
+/**
+ * مقارنة قيمتين (تشمل الكائنات والمصفوفات)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether both values are equal
+ */
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * حساب الفروقات حقلاً بحقل
+ * @param {Object|null} oldValues - Values before the change
+ * @param {Object|null} newValues - Values after the change
+ * @returns {Array<{field: string, change: string, old_value: *, new_value: *}>} Changed fields only
+ */
+const computeDiff = (oldValues, newValues) => {
+  const before = parseAuditValues(oldValues) || {};
+  const after = parseAuditValues(newValues) || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+  return fields.reduce((changes, field) => {
+    const inBefore = Object.prototype.hasOwnProperty.call(before, field);
+    const inAfter = Object.prototype.hasOwnProperty.call(after, field);
+
+    if (inBefore && inAfter && isSameValue(before[field], after[field])) {
+      return changes;
+    }
+
+    changes.push({
+      field,
+      change: !inBefore ? 'added' : !inAfter ? 'removed' : 'modified',
+      old_value: inBefore ? before[field] : null,
+      new_value: inAfter ? after[field] : null
+    });
+    return changes;
+  }, []);
+};
+
+/**
+ * إضافة الفروقات لصف من سجل العمليات
+ * @param {Object} entry - audit_trail row
+ * @returns {Object} Row with parsed values and a `changes` array
+ */
+const withDiff = (entry) => {
+  const oldValues = parseAuditValues(entry.old_values);
+  const newValues = parseAuditValues(entry.new_values);
+
+  return {
+    ...entry,
+    old_values: oldValues,
+    new_values: newValues,
+    changes: computeDiff(oldValues, newValues)
+  };
+};
+
+module.exports = {
+  parseAuditValues,
+  computeDiff,
+  withDiff
+};
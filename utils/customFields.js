@@ -0,0 +1,292 @@
+/**
+ * حقول ملف المتطوع المخصصة
+ * Volunteer Custom Profile Fields
+ *
+ * تعريف الحقل في volunteer_custom_fields والقيم في volunteers.custom_fields بالشكل:
+ * { "district": "مدينة نصر", "skills": ["تصوير", "تصميم"], "has_car": true }
+ *
+ * options حسب النوع:
+ * - text: { max_length, pattern } (pattern حتى MAX_PATTERN_LENGTH حرف وبدون تكرار متداخل)
+ * - number: { min, max, integer }
+ * - date: { min, max } (YYYY-MM-DD)
+ * - select / multiselect: { choices: [...] }
+ */
+
+const { query } = require('../config/database');
+const { normalizePhone } = require('./phone');
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'select', 'multiselect', 'phone'];
+const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+// حدود صيغة الحقول النصية حتى لا يعطل تعبير نمطي كارثي الخادم (ReDoS)
+const MAX_PATTERN_LENGTH = 100;
+const MAX_TEXT_LENGTH = 1000;
+// مجموعة متكررة بداخلها تكرار أو بدائل مثل (a+)+ أو (a|aa)*
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}|](?:[^()\\]|\\.)*\)\s*[+*{]/;
+
+const TRUE_VALUES = [true, 'true', '1', 'نعم', 'yes'];
+const FALSE_VALUES = [false, 'false', '0', 'لا', 'no'];
+
+/**
+ * جلب تعريفات الحقول المفعلة بترتيب العرض
+ * @returns {Promise<Array>} volunteer_custom_fields rows
+ */
+const getActiveCustomFields = async () => {
+  const result = await query(
+    'SELECT * FROM volunteer_custom_fields WHERE is_active = true ORDER BY display_order ASC, created_at ASC'
+  );
+  return result.rows;
+};
+
+/**
+ * التحقق من صيغة حقل نصي
+ * @param {*} pattern - options.pattern
+ * @returns {string|null} Error message, or null when the pattern is acceptable
+ */
+const patternError = (pattern) => {
+  if (typeof pattern !== 'string') return 'pattern يجب أن يكون نصاً';
+  if (pattern.length > MAX_PATTERN_LENGTH) return `pattern لا يتجاوز ${MAX_PATTERN_LENGTH} حرف`;
+  if (NESTED_QUANTIFIER.test(pattern)) return 'pattern لا يسمح بتكرار أو بدائل داخل مجموعة متكررة مثل (a+)+ أو (a|aa)*';
+
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return 'pattern ليس تعبيراً نمطياً صالحاً';
+  }
+  return null;
+};
+
+/**
+ * التحقق من خيارات تعريف الحقل حسب نوعه
+ * @param {string} fieldType - One of CUSTOM_FIELD_TYPES
+ * @param {Object} options - Field options
+ * @returns {string[]} Validation error messages (empty when valid)
+ */
+const validateFieldOptions = (fieldType, options = {}) => {
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    return ['خيارات الحقل يجب أن تكون كائن JSON'];
+  }
+
+  const errors = [];
+
+  if (['select', 'multiselect'].includes(fieldType)) {
+    const { choices } = options;
+    if (!Array.isArray(choices) || choices.length === 0 || choices.some(choice => typeof choice !== 'string' || !choice.trim())) {
+      errors.push('حقول الاختيار تحتاج قائمة choices من النصوص');
+    } else if (new Set(choices).size !== choices.length) {
+      errors.push('قائمة choices تحتوي على قيم مكررة');
+    }
+  }
+
+  if (fieldType === 'number') {
+    ['min', 'max'].forEach(bound => {
+      if (options[bound] !== undefined && typeof options[bound] !== 'number') {
+        errors.push(`${bound} يجب أن يكون رقماً`);
+      }
+    });
+  }
+
+  if (fieldType === 'text' && options.pattern !== undefined) {
+    const error = patternError(options.pattern);
+    if (error) errors.push(error);
+  }
+
+  return errors;
+};
+
+/**
+ * تحويل قيمة حقل واحد حسب نوعه والتحقق منها
+ * @param {Object} field - Field definition
+ * @param {*} value - Submitted value (never null/empty here)
+ * @returns {{value: *, error: string|null}} Stored value or an error message
+ */
+const coerceFieldValue = (field, value) => {
+  const options = field.options || {};
+  const fail = (message) => ({ value: null, error: `${field.label_ar}: ${message}` });
+
+  switch (field.field_type) {
+    case 'text': {
+      const text = String(value).trim();
+      const maxLength = Math.min(options.max_length || MAX_TEXT_LENGTH, MAX_TEXT_LENGTH);
+      if (text.length > maxLength) return fail(`الحد الأقصى ${maxLength} حرف`);
+      // الصيغ المحفوظة قبل حدود الصيغة لا تطبق إذا لم تعد مقبولة
+      if (options.pattern && !patternError(options.pattern) && !new RegExp(options.pattern).test(text)) {
+        return fail('القيمة لا تطابق الصيغة المطلوبة');
+      }
+      return { value: text, error: null };
+    }
+
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return fail('يجب أن تكون رقماً');
+      if (options.integer && !Number.isInteger(number)) return fail('يجب أن تكون رقماً صحيحاً');
+      if (options.min !== undefined && number < options.min) return fail(`أقل قيمة ${options.min}`);
+      if (options.max !== undefined && number > options.max) return fail(`أكبر قيمة ${options.max}`);
+      return { value: number, error: null };
+    }
+
+    case 'date': {
+      const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value).trim();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(new Date(text).getTime())) return fail('تاريخ غير صالح (YYYY-MM-DD)');
+      if (options.min && text < options.min) return fail(`أقدم تاريخ ${options.min}`);
+      if (options.max && text > options.max) return fail(`أحدث تاريخ ${options.max}`);
+      return { value: text, error: null };
+    }
+
+    case 'boolean': {
+      const normalized = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      if (TRUE_VALUES.includes(normalized)) return { value: true, error: null };
+      if (FALSE_VALUES.includes(normalized)) return { value: false, error: null };
+      return fail('يجب أن تكون نعم أو لا');
+    }
+
+    case 'select': {
+      const text = String(value).trim();
+      if (!options.choices.includes(text)) return fail(`القيمة يجب أن تكون من: ${options.choices.join('، ')}`);
+      return { value: text, error: null };
+    }
+
+    case 'multiselect': {
+      // القيم المستوردة من الملفات تأتي نصاً مفصولاً بفواصل
+      const items = Array.isArray(value) ? value : String(value).split(/[,،]/);
+      const cleaned = [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+      const invalid = cleaned.filter(item => !options.choices.includes(item));
+      if (invalid.length > 0) return fail(`قيم غير مسموحة: ${invalid.join('، ')}`);
+      return { value: cleaned, error: null };
+    }
+
+    case 'phone': {
+      const phone = normalizePhone(value);
+      if (!phone) return fail('رقم الهاتف غير صالح');
+      return { value: phone, error: null };
+    }
+
+    default:
+      return fail('نوع حقل غير معروف');
+  }
+};
+
+/**
+ * التحقق من قيم الحقول المخصصة لمتطوع
+ * @param {Array} definitions - Active field definitions
+ * @param {Object} submitted - Submitted custom_fields object
+ * @param {Object} options - { existing: current stored values (for updates) }
+ *   عند التحديث يطبق شرط الحقول المطلوبة على الحقول المرسلة فقط، حتى لا يفشل تعديل لا يخصها
+ *   بسبب حقل مطلوب أضيف بعد إنشاء المتطوع
+ * @returns {{values: Object, errors: string[]}} Values to store (merged with existing) and errors
+ */
+const validateCustomFieldValues = (definitions, submitted = {}, { existing = null } = {}) => {
+  const errors = [];
+
+  if (submitted === null || typeof submitted !== 'object' || Array.isArray(submitted)) {
+    return { values: existing || {}, errors: ['الحقول المخصصة يجب أن تكون كائن JSON'] };
+  }
+
+  const definitionsByKey = new Map(definitions.map(field => [field.key, field]));
+  const values = { ...(existing || {}) };
+
+  Object.keys(submitted).forEach(key => {
+    if (!definitionsByKey.has(key)) {
+      errors.push(`حقل مخصص غير معروف: ${key}`);
+    }
+  });
+
+  definitions.forEach(field => {
+    const hasValue = Object.prototype.hasOwnProperty.call(submitted, field.key);
+    const value = submitted[field.key];
+    const isEmpty = value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+    if (hasValue && isEmpty) {
+      delete values[field.key];
+    } else if (hasValue) {
+      const result = coerceFieldValue(field, value);
+      if (result.error) {
+        errors.push(result.error);
+      } else {
+        values[field.key] = result.value;
+      }
+    }
+
+    const finalValue = values[field.key];
+    const checkRequired = !existing || hasValue;
+    if (field.is_required && checkRequired && (finalValue === undefined || finalValue === null)) {
+      errors.push(`${field.label_ar}: الحقل مطلوب`);
+    }
+  });
+
+  return { values, errors };
+};
+
+/**
+ * شروط فلترة القائمة بالحقول المخصصة: ?cf[district]=مدينة نصر&cf[skills]=تصوير
+ * النصوص تبحث بالاحتواء، والاختيار المتعدد بوجود القيمة، والباقي بالتساوي
+ * @param {Array} definitions - Active field definitions
+ * @param {Object} filters - req.query.cf
+ * @param {string} column - JSONB column (e.g. 'v.custom_fields')
+ * @param {number} paramIndex - Next free query parameter index
+ * @returns {{clause: string, params: Array, errors: string[]}} Clause starting with AND and its parameters
+ */
+const customFieldFilterClause = (definitions, filters, column, paramIndex) => {
+  const result = { clause: '', params: [], errors: [] };
+  if (!filters || typeof filters !== 'object') return result;
+
+  const definitionsByKey = new Map(definitions.map(field => [field.key, field]));
+  let index = paramIndex;
+
+  Object.entries(filters).forEach(([key, rawValue]) => {
+    const field = definitionsByKey.get(key);
+    if (!field) {
+      result.errors.push(`حقل مخصص غير معروف: ${key}`);
+      return;
+    }
+
+    if (field.field_type === 'text') {
+      result.clause += ` AND ${column}->>'${key}' ILIKE $${index}`;
+      result.params.push(`%${rawValue}%`);
+      index++;
+      return;
+    }
+
+    if (field.field_type === 'multiselect') {
+      result.clause += ` AND ${column}->'${key}' ? $${index}`;
+      result.params.push(String(rawValue));
+      index++;
+      return;
+    }
+
+    const coerced = coerceFieldValue(field, rawValue);
+    if (coerced.error) {
+      result.errors.push(coerced.error);
+      return;
+    }
+
+    result.clause += ` AND ${column} @> $${index}::jsonb`;
+    result.params.push(JSON.stringify({ [key]: coerced.value }));
+    index++;
+  });
+
+  return result;
+};
+
+/**
+ * عرض قيمة حقل مخصص كنص (للتصدير)
+ * @param {Object} field - Field definition
+ * @param {*} value - Stored value
+ * @returns {string|number|null} Display value
+ */
+const formatCustomFieldValue = (field, value) => {
+  if (value === null || value === undefined) return null;
+  if (field.field_type === 'boolean') return value ? 'نعم' : 'لا';
+  if (field.field_type === 'multiselect') return value.join('، ');
+  return value;
+};
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_KEY_PATTERN,
+  getActiveCustomFields,
+  validateFieldOptions,
+  validateCustomFieldValues,
+  customFieldFilterClause,
+  formatCustomFieldValue
+};
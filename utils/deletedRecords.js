@@ -0,0 +1,267 @@
+/**
+ * لقطات السجلات المحذوفة واسترجاعها
+ * Deleted Record Snapshots and Restore
+ *
+ * اللقطة تحفظ السجل الرئيسي وجميع السجلات التابعة التي يحذفها مسار الحذف:
+ * { record: {...}, dependants: { evaluations: [...], evaluation_details: [...], ... } }
+ */
+
+// الجداول التابعة لكل نوع سجل بترتيب الإدراج عند الاسترجاع
+const DEPENDANT_TABLES = {
+  volunteers: ['freeze_records', 'evaluations', 'evaluation_details', 'cumulative_notes', 'alert_records', 'volunteer_assignments', 'volunteer_team_memberships', 'volunteer_state_transitions', 'volunteer_role_history', 'volunteer_attachments'],
+  evaluations: ['evaluation_details']
+};
+
+// أعمدة تشير لمستخدمين ويمكن تفريغها إذا حذف المستخدم بعد حذف السجل
+const NULLABLE_USER_COLUMNS = ['created_by', 'updated_by', 'resolved_by', 'approved_by', 'assigned_by', 'changed_by', 'pinned_by', 'uploaded_by'];
+
+/**
+ * التقاط متطوع وجميع بياناته قبل حذفها
+ * @param {Object} client - Database client inside the delete transaction
+ * @param {string} volunteerId - Volunteer id
+ * @returns {Promise<Object>} Snapshot
+ */
+const snapshotVolunteer = async (client, volunteerId) => {
+  const volunteerResult = await client.query('SELECT * FROM volunteers WHERE id = $1', [volunteerId]);
+  const evaluationsResult = await client.query('SELECT * FROM evaluations WHERE volunteer_id = $1', [volunteerId]);
+  const detailsResult = await client.query(
+    'SELECT * FROM evaluation_details WHERE evaluation_id IN (SELECT id FROM evaluations WHERE volunteer_id = $1)',
+    [volunteerId]
+  );
+  const notesResult = await client.query('SELECT * FROM cumulative_notes WHERE volunteer_id = $1', [volunteerId]);
+  const alertsResult = await client.query('SELECT * FROM alert_records WHERE volunteer_id = $1', [volunteerId]);
+  const freezeResult = await client.query('SELECT * FROM freeze_records WHERE volunteer_id = $1', [volunteerId]);
+  const assignmentsResult = await client.query('SELECT * FROM volunteer_assignments WHERE volunteer_id = $1', [volunteerId]);
+  const membershipsResult = await client.query('SELECT * FROM volunteer_team_memberships WHERE volunteer_id = $1', [volunteerId]);
+  const transitionsResult = await client.query('SELECT * FROM volunteer_state_transitions WHERE volunteer_id = $1', [volunteerId]);
+  const rolesResult = await client.query('SELECT * FROM volunteer_role_history WHERE volunteer_id = $1', [volunteerId]);
+  const attachmentsResult = await client.query('SELECT * FROM volunteer_attachments WHERE volunteer_id = $1', [volunteerId]);
+
+  return {
+    record: volunteerResult.rows[0],
+    dependants: {
+      freeze_records: freezeResult.rows,
+      evaluations: evaluationsResult.rows,
+      evaluation_details: detailsResult.rows,
+      cumulative_notes: notesResult.rows,
+      alert_records: alertsResult.rows,
+      volunteer_assignments: assignmentsResult.rows,
+      volunteer_team_memberships: membershipsResult.rows,
+      volunteer_state_transitions: transitionsResult.rows,
+      volunteer_role_history: rolesResult.rows,
+      volunteer_attachments: attachmentsResult.rows
+    }
+  };
+};
+
+/**
+ * التقاط تقييم وتفاصيله قبل حذفه
+ * @param {Object} client - Database client inside the delete transaction
+ * @param {string} evaluationId - Evaluation id
+ * @returns {Promise<Object>} Snapshot
+ */
+const snapshotEvaluation = async (client, evaluationId) => {
+  const evaluationResult = await client.query('SELECT * FROM evaluations WHERE id = $1', [evaluationId]);
+  const detailsResult = await client.query('SELECT * FROM evaluation_details WHERE evaluation_id = $1', [evaluationId]);
+
+  return {
+    record: evaluationResult.rows[0],
+    dependants: {
+      evaluation_details: detailsResult.rows
+    }
+  };
+};
+
+/**
+ * حفظ لقطة سجل محذوف
+ * @param {Object} client - Database client inside the delete transaction
+ * @param {string} tableName - 'volunteers' or 'evaluations'
+ * @param {string} recordId - Deleted record id
+ * @param {Object} snapshot - Snapshot from snapshotVolunteer/snapshotEvaluation
+ * @param {string} deletedBy - Acting user id
+ * @returns {Promise<Object>} deleted_records row
+ */
+const saveDeletedSnapshot = async (client, tableName, recordId, snapshot, deletedBy) => {
+  const result = await client.query(
+    `INSERT INTO deleted_records (table_name, record_id, snapshot, deleted_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, table_name, record_id, deleted_at`,
+    [tableName, recordId, JSON.stringify(snapshot), deletedBy]
+  );
+  return result.rows[0];
+};
+
+/**
+ * مسارات ملفات المرفقات في لقطة متطوع محذوف
+ * (الملفات تبقى على القرص ما دامت اللقطة قابلة للاسترجاع، وتحذف عند التخلص من اللقطة)
+ * @param {Object} deletedRecord - deleted_records row
+ * @returns {string[]} volunteer_attachments.storage_path values
+ */
+const snapshotAttachmentPaths = (deletedRecord) => {
+  const dependants = (deletedRecord.snapshot && deletedRecord.snapshot.dependants) || {};
+  return (dependants.volunteer_attachments || []).map(attachment => attachment.storage_path);
+};
+
+/**
+ * إدراج صف كما هو محفوظ في اللقطة
+ * @param {Object} client - Database client
+ * @param {string} tableName - Table name (from DEPENDANT_TABLES or the snapshot's own table)
+ * @param {Object} row - Row values keyed by column name
+ * @returns {Promise<void>}
+ */
+const insertRow = async (client, tableName, row) => {
+  const columns = Object.keys(row);
+  const placeholders = columns.map((column, index) => `$${index + 1}`);
+  const values = columns.map(column => {
+    const value = row[column];
+    // أعمدة JSON تعود ككائنات ويجب إرسالها كنص JSON
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+  });
+
+  await client.query(
+    `INSERT INTO ${tableName} (${columns.map(column => `"${column}"`).join(', ')}) VALUES (${placeholders.join(', ')})`,
+    values
+  );
+};
+
+/**
+ * تعارض يمنع الاسترجاع
+ * @param {string} code - Conflict code
+ * @param {string} message - Arabic message
+ * @param {Object} details - Extra details for the client
+ * @returns {Object} Conflict
+ */
+const conflict = (code, message, details = {}) => ({ code, message, ...details });
+
+/**
+ * فحص تعارضات الاسترجاع مع البيانات التي أنشئت بعد الحذف
+ * @param {Object} client - Database client
+ * @param {Object} deletedRecord - deleted_records row
+ * @returns {Promise<Array>} Conflicts (empty when the restore is safe)
+ */
+const findRestoreConflicts = async (client, deletedRecord) => {
+  const { table_name: tableName, snapshot } = deletedRecord;
+  const { record, dependants } = snapshot;
+  const conflicts = [];
+
+  const existing = await client.query(`SELECT id FROM ${tableName} WHERE id = $1`, [record.id]);
+  if (existing.rows.length > 0) {
+    conflicts.push(conflict('RECORD_EXISTS', 'السجل موجود بالفعل (ربما تم استرجاعه مسبقاً)'));
+  }
+
+  const evaluations = tableName === 'evaluations' ? [record] : dependants.evaluations;
+
+  if (tableName === 'volunteers') {
+    const phoneResult = await client.query(
+      'SELECT id, full_name FROM volunteers WHERE phone = $1 AND id != $2',
+      [record.phone, record.id]
+    );
+    if (phoneResult.rows.length > 0) {
+      conflicts.push(conflict('PHONE_EXISTS', 'رقم الهاتف مستخدم الآن لمتطوع آخر', { volunteer: phoneResult.rows[0] }));
+    }
+  }
+
+  if (tableName === 'evaluations') {
+    const volunteerResult = await client.query('SELECT id FROM volunteers WHERE id = $1', [record.volunteer_id]);
+    if (volunteerResult.rows.length === 0) {
+      conflicts.push(conflict('VOLUNTEER_MISSING', 'المتطوع صاحب التقييم لم يعد موجوداً، استرجع المتطوع أولاً'));
+    }
+
+    const periodResult = await client.query(
+      `SELECT id FROM evaluations
+       WHERE volunteer_id = $1 AND evaluation_month = $2 AND evaluation_year = $3 AND id != $4`,
+      [record.volunteer_id, record.evaluation_month, record.evaluation_year, record.id]
+    );
+    if (periodResult.rows.length > 0) {
+      conflicts.push(conflict('EVALUATION_PERIOD_TAKEN', 'يوجد تقييم آخر لنفس المتطوع في نفس الشهر', { evaluation_id: periodResult.rows[0].id }));
+    }
+  }
+
+  const evaluatorIds = [...new Set(evaluations.map(evaluation => evaluation.evaluator_id).filter(Boolean))];
+  if (evaluatorIds.length > 0) {
+    const usersResult = await client.query('SELECT id FROM users WHERE id = ANY($1)', [evaluatorIds]);
+    const found = new Set(usersResult.rows.map(row => row.id));
+    const missing = evaluatorIds.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      conflicts.push(conflict('EVALUATOR_MISSING', 'بعض المقيمين لم يعودوا موجودين', { user_ids: missing }));
+    }
+  }
+
+  const criteriaIds = [...new Set(dependants.evaluation_details.map(detail => detail.criteria_id).filter(Boolean))];
+  if (criteriaIds.length > 0) {
+    const criteriaResult = await client.query('SELECT id FROM evaluation_criteria WHERE id = ANY($1)', [criteriaIds]);
+    const found = new Set(criteriaResult.rows.map(row => row.id));
+    const missing = criteriaIds.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      conflicts.push(conflict('CRITERIA_MISSING', 'بعض معايير التقييم المستخدمة حذفت', { criteria_ids: missing }));
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * تفريغ الإشارات لمستخدمين حذفوا بعد حذف السجل
+ * @param {Object} client - Database client
+ * @param {Array<Object>} rows - All rows to be restored
+ * @returns {Promise<void>}
+ */
+const clearMissingUserReferences = async (client, rows) => {
+  const userIds = [...new Set(rows.flatMap(row => NULLABLE_USER_COLUMNS.map(column => row[column]).filter(Boolean)))];
+  if (userIds.length === 0) return;
+
+  const usersResult = await client.query('SELECT id FROM users WHERE id = ANY($1)', [userIds]);
+  const found = new Set(usersResult.rows.map(row => row.id));
+
+  rows.forEach(row => {
+    NULLABLE_USER_COLUMNS.forEach(column => {
+      if (row[column] && !found.has(row[column])) {
+        row[column] = null;
+      }
+    });
+  });
+};
+
+/**
+ * استرجاع سجل محذوف وجميع توابعه
+ * @param {Object} client - Database client inside a transaction
+ * @param {Object} deletedRecord - deleted_records row
+ * @returns {Promise<Object>} Number of restored rows per table
+ */
+const restoreSnapshot = async (client, deletedRecord) => {
+  const { table_name: tableName, snapshot } = deletedRecord;
+  const { record, dependants } = snapshot;
+
+  // الإسنادات لمستخدمين محذوفين لا فائدة منها
+  const assignments = dependants.volunteer_assignments || [];
+  if (assignments.length > 0) {
+    const usersResult = await client.query('SELECT id FROM users WHERE id = ANY($1)', [assignments.map(row => row.user_id)]);
+    const found = new Set(usersResult.rows.map(row => row.id));
+    dependants.volunteer_assignments = assignments.filter(row => found.has(row.user_id));
+  }
+
+  const dependantTables = DEPENDANT_TABLES[tableName];
+  await clearMissingUserReferences(client, [record, ...dependantTables.flatMap(table => dependants[table] || [])]);
+
+  await insertRow(client, tableName, record);
+
+  const restoredCounts = { [tableName]: 1 };
+  for (const table of dependantTables) {
+    const rows = dependants[table] || [];
+    for (const row of rows) {
+      await insertRow(client, table, row);
+    }
+    restoredCounts[table] = rows.length;
+  }
+
+  return restoredCounts;
+};
+
+module.exports = {
+  snapshotVolunteer,
+  snapshotEvaluation,
+  saveDeletedSnapshot,
+  findRestoreConflicts,
+  restoreSnapshot,
+  snapshotAttachmentPaths
+};
@@ -0,0 +1,88 @@
+/**
+ * قوالب رسائل البريد الإلكتروني
+ * Email Templates
+ */
+
+const APP_NAME = process.env.APP_NAME || 'نظام تقييم متطوعي مشروع زاد';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3001';
+
+/**
+ * تنسيق تاريخ انتهاء الصلاحية
+ * @param {Date} date - Expiry date
+ * @returns {string} Localized date/time
+ */
+const formatExpiry = (date) => date.toLocaleString('ar-EG', { timeZone: process.env.TIMEZONE || 'Africa/Cairo' });
+
+/**
+ * تحويل نص الرسالة إلى HTML من اليمين لليسار مع جعل الرابط قابلاً للنقر
+ * @param {string} text - Plain text body
+ * @param {string} link - Link to render as an anchor
+ * @returns {string} HTML body
+ */
+const toHtml = (text, link) => {
+  const escape = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  const lines = text.split('\n').map(line => (
+    line === link ? `<a href="${escape(link)}">${escape(link)}</a>` : escape(line)
+  ));
+
+  return `<div dir="rtl">${lines.join('<br>')}</div>`;
+};
+
+/**
+ * رسالة دعوة مستخدم جديد
+ * @param {Object} params - { fullName, username, token, expiresAt }
+ * @returns {Object} { subject, text, html }
+ */
+const invitationEmail = ({ fullName, username, token, expiresAt }) => {
+  const link = `${FRONTEND_URL}/accept-invitation?token=${token}`;
+  const text = [
+    `مرحباً ${fullName}،`,
+    '',
+    `تمت دعوتك للانضمام إلى ${APP_NAME} باسم المستخدم: ${username}.`,
+    'لتعيين كلمة المرور وتفعيل حسابك افتح الرابط التالي:',
+    link,
+    '',
+    `ينتهي هذا الرابط في ${formatExpiry(expiresAt)} ويمكن استخدامه مرة واحدة فقط.`
+  ].join('\n');
+
+  return {
+    subject: `دعوة للانضمام إلى ${APP_NAME}`,
+    text,
+    html: toHtml(text, link)
+  };
+};
+
+/**
+ * رسالة إعادة تعيين كلمة المرور
+ * @param {Object} params - { fullName, token, expiresAt }
+ * @returns {Object} { subject, text, html }
+ */
+const passwordResetEmail = ({ fullName, token, expiresAt }) => {
+  const link = `${FRONTEND_URL}/reset-password?token=${token}`;
+  const text = [
+    `مرحباً ${fullName}،`,
+    '',
+    'تلقينا طلباً لإعادة تعيين كلمة المرور الخاصة بحسابك.',
+    'لتعيين كلمة مرور جديدة افتح الرابط التالي:',
+    link,
+    '',
+    `ينتهي هذا الرابط في ${formatExpiry(expiresAt)} ويمكن استخدامه مرة واحدة فقط.`,
+    'إذا لم تطلب ذلك يمكنك تجاهل هذه الرسالة.'
+  ].join('\n');
+
+  return {
+    subject: `إعادة تعيين كلمة المرور - ${APP_NAME}`,
+    text,
+    html: toHtml(text, link)
+  };
+};
+
+module.exports = {
+  invitationEmail,
+  passwordResetEmail
+};
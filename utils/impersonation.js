@@ -0,0 +1,83 @@
+/**
+ * جلسات انتحال الأدمن لهوية مستخدم آخر
+ * Admin Impersonation Sessions
+ */
+
+const { query } = require('../config/database');
+
+const IMPERSONATION_DEFAULT_MINUTES = parseInt(process.env.IMPERSONATION_DEFAULT_MINUTES) || 15;
+const IMPERSONATION_MAX_MINUTES = parseInt(process.env.IMPERSONATION_MAX_MINUTES) || 60;
+
+// طرق الطلب التي لا تعدل البيانات
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * جلب المستخدم المستهدف لرمز انتحال مع التحقق من أن الجلسة والأدمن ما زالا صالحين
+ * @param {Object} decoded - Decoded impersonation token ({ userId, impersonatorId, jti })
+ * @returns {Promise<Object|undefined>} User row with session_id (null if the impersonation ended)
+ */
+const findImpersonatedUser = async (decoded) => {
+  const userResult = await query(
+    `SELECT u.id, u.username, u.email, u.full_name, u.role, u.permissions, u.is_active,
+            i.id as session_id, i.allow_write,
+            a.id as impersonator_id, a.username as impersonator_username, a.full_name as impersonator_name
+     FROM users u
+     LEFT JOIN impersonation_sessions i ON i.id = $2 AND i.target_user_id = u.id AND i.admin_id = $3
+       AND i.ended_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP
+     LEFT JOIN users a ON a.id = i.admin_id AND a.is_active = true AND a.role = 'admin'
+     WHERE u.id = $1`,
+    [decoded.userId, decoded.jti || null, decoded.impersonatorId]
+  );
+
+  const user = userResult.rows[0];
+  // الجلسة لا تعتبر نشطة إذا عطل الأدمن أو سحبت صلاحياته
+  if (user && !user.impersonator_id) {
+    user.session_id = null;
+  }
+  return user;
+};
+
+/**
+ * هل الطلب يعدل البيانات؟
+ * @param {Object} req - Express request object
+ * @returns {boolean} Whether the request method is a mutation
+ */
+const isMutationRequest = (req) => !READ_ONLY_METHODS.includes(req.method);
+
+/**
+ * هل يسمح بهذا الطلب تحت الانتحال؟
+ * التعديلات ممنوعة ما لم يسمح بها عند بدء الجلسة، ومسارات حساب المستخدم (كلمة المرور، الجلسات، المصادقة الثنائية)
+ * ممنوعة دائماً حتى لا يغير الأدمن بيانات دخول المستخدم من خلال هويته
+ * @param {Object} req - Express request object with req.impersonation set
+ * @returns {boolean} Whether the request may proceed
+ */
+const isAllowedUnderImpersonation = (req) => {
+  if (!isMutationRequest(req)) return true;
+  if (req.baseUrl === '/api/auth') return false;
+  return req.impersonation.allowWrite;
+};
+
+/**
+ * إنهاء جلسة انتحال
+ * @param {string} impersonationId - impersonation_sessions id
+ * @param {string} endedBy - Acting admin id
+ * @returns {Promise<Object|undefined>} Ended session row (undefined if it was not active)
+ */
+const endImpersonation = async (impersonationId, endedBy) => {
+  const result = await query(
+    `UPDATE impersonation_sessions SET ended_at = CURRENT_TIMESTAMP, ended_by = $2
+     WHERE id = $1 AND ended_at IS NULL
+     RETURNING *`,
+    [impersonationId, endedBy]
+  );
+  return result.rows[0];
+};
+
+module.exports = {
+  IMPERSONATION_DEFAULT_MINUTES,
+  IMPERSONATION_MAX_MINUTES,
+  findImpersonatedUser,
+  isMutationRequest,
+  isAllowedUnderImpersonation,
+  endImpersonation
+};
@@ -0,0 +1,183 @@
+/**
+ * مراحل حياة المتطوع والانتقالات المسموحة بينها
+ * Volunteer Lifecycle States
+ *
+ * كل انتقال يسجل في volunteer_state_transitions (من، إلى، السبب، المنفذ، الوقت)،
+ * و volunteers.is_active يبقى متزامناً مع المرحلة للاستعلامات القديمة.
+ */
+
+const LIFECYCLE_STATES = {
+  applicant: { label: 'متقدم' },
+  onboarding: { label: 'تأهيل' },
+  probation: { label: 'فترة تجربة' },
+  active: { label: 'نشط' },
+  on_leave: { label: 'في إجازة' },
+  alumni: { label: 'متطوع سابق' },
+  removed: { label: 'مستبعد' }
+};
+
+// الانتقالات المسموحة من كل مرحلة (removed نهائية)
+const LIFECYCLE_TRANSITIONS = {
+  applicant: ['onboarding', 'removed'],
+  onboarding: ['probation', 'active', 'alumni', 'removed'],
+  probation: ['active', 'on_leave', 'alumni', 'removed'],
+  active: ['probation', 'on_leave', 'alumni', 'removed'],
+  on_leave: ['active', 'probation', 'alumni', 'removed'],
+  alumni: ['onboarding', 'active'],
+  removed: []
+};
+
+// المراحل التي يسمح فيها بإنشاء تقييمات
+const EVALUABLE_STATES = ['probation', 'active'];
+
+// المراحل التي يعتبر فيها المتطوع نشطاً (is_active = true)
+const ACTIVE_STATES = ['onboarding', 'probation', 'active'];
+
+// المراحل المسموحة عند إضافة متطوع جديد
+const INITIAL_STATES = ['applicant', 'onboarding', 'probation', 'active'];
+const DEFAULT_INITIAL_STATE = 'active';
+
+/**
+ * قائمة مراحل بصيغة SQL للاستخدام داخل IN (...)
+ * @param {string[]} states - Lifecycle state keys (from this module only)
+ * @returns {string} e.g. "'probation', 'active'"
+ */
+const stateListSql = (states) => states.map(state => `'${state}'`).join(', ');
+
+/**
+ * هل الانتقال مسموح؟
+ * @param {string} fromState - Current state
+ * @param {string} toState - Requested state
+ * @returns {boolean} Whether the transition is allowed
+ */
+const canTransition = (fromState, toState) => (LIFECYCLE_TRANSITIONS[fromState] || []).includes(toState);
+
+/**
+ * تسجيل انتقال في السجل
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {Object} transition - { volunteerId, fromState, toState, reason, userId }
+ * @returns {Promise<Object>} volunteer_state_transitions row
+ */
+const recordTransition = async (client, { volunteerId, fromState, toState, reason, userId }) => {
+  const result = await client.query(
+    `INSERT INTO volunteer_state_transitions (volunteer_id, from_state, to_state, reason, changed_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [volunteerId, fromState, toState, reason || null, userId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * نقل المتطوع لمرحلة جديدة (يفترض أن الانتقال تم التحقق منه بـ canTransition)
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {Object} volunteer - Current volunteers row
+ * @param {string} toState - Target state
+ * @param {string} reason - Why the change was made
+ * @param {string} userId - Acting user id
+ * @returns {Promise<{volunteer: Object, transition: Object}>} Updated volunteer and the recorded transition
+ */
+const transitionVolunteer = async (client, volunteer, toState, reason, userId) => {
+  const updatedResult = await client.query(
+    `UPDATE volunteers
+     SET lifecycle_state = $1, is_active = $2, lifecycle_changed_at = CURRENT_TIMESTAMP,
+         updated_by = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4
+     RETURNING *`,
+    [toState, ACTIVE_STATES.includes(toState), userId, volunteer.id]
+  );
+
+  const transition = await recordTransition(client, {
+    volunteerId: volunteer.id,
+    fromState: volunteer.lifecycle_state,
+    toState,
+    reason,
+    userId
+  });
+
+  return { volunteer: updatedResult.rows[0], transition };
+};
+
+/**
+ * مرحلة المتطوع في شهر تقييم: آخر انتقال حتى آخر يوم في الشهر (نفس تاريخ الدور وعضوية الفريق)،
+ * وللشهور السابقة لأول انتقال تستخدم أقدم مرحلة معروفة
+ * @param {Object} client - Database client or { query }
+ * @param {string} volunteerId - Volunteer id
+ * @param {number} year - Evaluation year
+ * @param {number} month - Evaluation month
+ * @returns {Promise<string|null>} Lifecycle state (null if the volunteer does not exist)
+ */
+const getStateForMonth = async (client, volunteerId, year, month) => {
+  const result = await client.query(
+    `SELECT
+       COALESCE(
+         (SELECT st.to_state FROM volunteer_state_transitions st
+          WHERE st.volunteer_id = v.id AND st.changed_at < make_date($2::int, $3::int, 1) + INTERVAL '1 month'
+          ORDER BY st.changed_at DESC
+          LIMIT 1),
+         (SELECT st.to_state FROM volunteer_state_transitions st
+          WHERE st.volunteer_id = v.id
+          ORDER BY st.changed_at ASC
+          LIMIT 1),
+         v.lifecycle_state
+       ) as state_at_month
+     FROM volunteers v
+     WHERE v.id = $1`,
+    [volunteerId, year, month]
+  );
+
+  return result.rows[0] ? result.rows[0].state_at_month : null;
+};
+
+/**
+ * استعلام مدد البقاء في كل مرحلة: كل انتقال يبدأ فترة تنتهي عند الانتقال التالي (أو الآن)
+ * @param {string} whereClause - Filter on the spans (alias st), e.g. 'WHERE st.volunteer_id = $1'
+ * @returns {string} SQL selecting state, volunteers_count, total_days, avg_days, current_count
+ */
+const stateDurationsSql = (whereClause) => `
+  WITH spans AS (
+    SELECT
+      st.volunteer_id,
+      st.to_state as state,
+      st.changed_at as started_at,
+      LEAD(st.changed_at) OVER (PARTITION BY st.volunteer_id ORDER BY st.changed_at) as ended_at
+    FROM volunteer_state_transitions st
+    ${whereClause}
+  )
+  SELECT
+    state,
+    COUNT(DISTINCT volunteer_id)::int as volunteers_count,
+    ROUND(SUM(EXTRACT(EPOCH FROM (COALESCE(ended_at, CURRENT_TIMESTAMP) - started_at)) / 86400)::numeric, 1) as total_days,
+    ROUND(AVG(EXTRACT(EPOCH FROM (COALESCE(ended_at, CURRENT_TIMESTAMP) - started_at)) / 86400)::numeric, 1) as avg_days,
+    COUNT(*) FILTER (WHERE ended_at IS NULL)::int as current_count
+  FROM spans
+  GROUP BY state
+`;
+
+/**
+ * إضافة الاسم العربي للمرحلة وترتيب النتائج حسب ترتيب المراحل
+ * @param {Array} rows - Rows with a state column
+ * @returns {Array} Rows with state_label, in lifecycle order
+ */
+const withStateLabels = (rows) => {
+  const order = Object.keys(LIFECYCLE_STATES);
+  return rows
+    .map(row => ({ ...row, state_label: LIFECYCLE_STATES[row.state] ? LIFECYCLE_STATES[row.state].label : row.state }))
+    .sort((a, b) => order.indexOf(a.state) - order.indexOf(b.state));
+};
+
+module.exports = {
+  LIFECYCLE_STATES,
+  LIFECYCLE_TRANSITIONS,
+  EVALUABLE_STATES,
+  ACTIVE_STATES,
+  INITIAL_STATES,
+  DEFAULT_INITIAL_STATE,
+  stateListSql,
+  canTransition,
+  recordTransition,
+  transitionVolunteer,
+  getStateForMonth,
+  stateDurationsSql,
+  withStateLabels
+};
@@ -0,0 +1,95 @@
+/**
+ * تتبع محاولات تسجيل الدخول وقفل الحسابات
+ * Login Attempt Tracking and Account Lockout
+ */
+
+const { query } = require('../config/database');
+
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5');
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+
+/**
+ * تسجيل محاولة دخول
+ * @param {Object} req - Express request object
+ * @param {Object} attempt - { userId, username, success, reason }
+ * @returns {Promise<void>}
+ */
+const recordLoginAttempt = async (req, { userId = null, username, success, reason = null }) => {
+  try {
+    await query(
+      `INSERT INTO login_attempts (user_id, username_attempted, success, failure_reason, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [userId, username, success, reason, req.clientIP, req.get('User-Agent')]
+    );
+  } catch (error) {
+    console.error('❌ خطأ في تسجيل محاولة الدخول:', error.message);
+  }
+};
+
+/**
+ * هل الحساب مقفل حالياً؟
+ * @param {Object} user - User row
+ * @returns {boolean} Whether the lockout is still in effect
+ */
+const isLocked = (user) => Boolean(user.locked_until && new Date(user.locked_until) > new Date());
+
+/**
+ * زيادة عداد المحاولات الفاشلة وقفل الحساب عند تجاوز الحد
+ * (العداد يبدأ من جديد إذا انتهت مدة قفل سابقة)
+ * @param {string} userId - User id
+ * @returns {Promise<{failedCount: number, lockedUntil: Date|null}>} Counter state after the failure
+ */
+const registerFailedLogin = async (userId) => {
+  const result = await query(
+    `UPDATE users SET
+       failed_login_count = CASE WHEN locked_until <= CURRENT_TIMESTAMP THEN 1 ELSE failed_login_count + 1 END,
+       locked_until = CASE
+         WHEN (CASE WHEN locked_until <= CURRENT_TIMESTAMP THEN 1 ELSE failed_login_count + 1 END) >= $2
+         THEN CURRENT_TIMESTAMP + make_interval(mins => $3)
+         ELSE NULL
+       END
+     WHERE id = $1
+     RETURNING failed_login_count, locked_until`,
+    [userId, LOGIN_MAX_FAILED_ATTEMPTS, LOGIN_LOCKOUT_MINUTES]
+  );
+
+  const row = result.rows[0] || {};
+  return { failedCount: row.failed_login_count || 0, lockedUntil: row.locked_until || null };
+};
+
+/**
+ * تسجيل دخول ناجح: تصفير العداد وتحديث آخر دخول
+ * @param {string} userId - User id
+ * @returns {Promise<void>}
+ */
+const registerSuccessfulLogin = async (userId) => {
+  await query(
+    `UPDATE users SET failed_login_count = 0, locked_until = NULL, last_login = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [userId]
+  );
+};
+
+/**
+ * فك قفل حساب وتصفير عداد المحاولات الفاشلة
+ * @param {string} userId - User id
+ * @param {Object} client - Optional database client (inside a transaction)
+ * @returns {Promise<void>}
+ */
+const clearLockout = async (userId, client = null) => {
+  const runner = client || { query };
+  await runner.query(
+    'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1',
+    [userId]
+  );
+};
+
+module.exports = {
+  LOGIN_MAX_FAILED_ATTEMPTS,
+  LOGIN_LOCKOUT_MINUTES,
+  recordLoginAttempt,
+  isLocked,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+  clearLockout
+};
@@ -0,0 +1,114 @@
+/**
+ * طبقة إرسال البريد الإلكتروني مع مشغلات قابلة للتبديل
+ * Mail Transport Abstraction (SMTP driver and file/outbox driver)
+ *
+ * يتم اختيار المشغل من MAIL_TRANSPORT:
+ * - smtp: الإرسال عبر خادم SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ * - file: حفظ الرسائل كملفات JSON في MAIL_OUTBOX_DIR (للتطوير والاختبار بدون اتصال)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FROM = process.env.SMTP_FROM || 'noreply@zad-project.org';
+
+/**
+ * مشغل SMTP
+ * @returns {Object} Driver with a send(message) method
+ */
+const createSmtpDriver = () => {
+  // يحمل عند الحاجة فقط حتى لا يلزم تثبيته في بيئة التطوير
+  const nodemailer = require('nodemailer');
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+/**
+ * مشغل الملفات (صندوق صادر محلي)
+ * @returns {Object} Driver with a send(message) method
+ */
+const createFileDriver = () => {
+  const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const filePath = path.join(outboxDir, `${id}.json`);
+
+      await fs.promises.writeFile(
+        filePath,
+        JSON.stringify({ id, created_at: new Date().toISOString(), ...message }, null, 2)
+      );
+
+      return { id, path: filePath };
+    }
+  };
+};
+
+const drivers = {
+  smtp: createSmtpDriver,
+  file: createFileDriver
+};
+
+let activeDriver = null;
+
+/**
+ * الحصول على المشغل الحالي (SMTP إذا تم ضبط SMTP_HOST، وإلا الملفات)
+ * @returns {Object} Mail driver
+ */
+const getDriver = () => {
+  if (!activeDriver) {
+    const driverName = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+    const createDriver = drivers[driverName];
+
+    if (!createDriver) {
+      throw new Error(`مشغل البريد غير معروف: ${driverName}`);
+    }
+
+    activeDriver = createDriver();
+  }
+  return activeDriver;
+};
+
+/**
+ * إرسال رسالة بريد إلكتروني
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} Driver result ({ id, ... })
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const driver = getDriver();
+  return driver.send({ from: DEFAULT_FROM, to, subject, text, html });
+};
+
+/**
+ * استبدال المشغل (للاختبارات أو مشغلات مخصصة)
+ * @param {Object|null} driver - Object with a send(message) method, or null to reset
+ */
+const setDriver = (driver) => {
+  activeDriver = driver;
+};
+
+module.exports = {
+  sendMail,
+  setDriver
+};
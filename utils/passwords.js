@@ -0,0 +1,29 @@
+/**
+ * تشفير كلمات المرور
+ * Password Hashing Helpers
+ */
+
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
+const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * تشفير كلمة مرور
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+/**
+ * كلمة مرور عشوائية لا يعرفها أحد (للحسابات المدعوة قبل تعيين كلمة المرور)
+ * @returns {Promise<string>} bcrypt hash of a random secret
+ */
+const unusablePasswordHash = () => hashPassword(crypto.randomBytes(32).toString('hex'));
+
+module.exports = {
+  PASSWORD_MIN_LENGTH,
+  hashPassword,
+  unusablePasswordHash
+};
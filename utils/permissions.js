@@ -0,0 +1,187 @@
+/**
+ * كتالوج الصلاحيات وقوالب الأدوار
+ * Permission Catalog and Role Templates
+ *
+ * حقل users.permissions عبارة عن كائن JSON بالشكل:
+ * { "template": "viewer", "reports.export": true, "alerts.create": false }
+ * - template: قالب الدور المستخدم كأساس (الافتراضي حسب users.role)
+ * - مفاتيح الكتالوج: true تمنح الصلاحية و false تسحبها من القالب
+ * - all_permissions: true تمنح جميع الصلاحيات (للتوافق مع البيانات القديمة)
+ */
+
+const PERMISSIONS = {
+  'volunteers.read': { group: 'volunteers', description: 'عرض المتطوعين وإحصائياتهم' },
+  'volunteers.view_all': { group: 'volunteers', description: 'الوصول لجميع المتطوعين وليس المسندين فقط' },
+  'volunteers.create': { group: 'volunteers', description: 'إضافة متطوعين' },
+  'volunteers.update': { group: 'volunteers', description: 'تعديل بيانات المتطوعين' },
+  'volunteers.change_status': { group: 'volunteers', description: 'تفعيل وإيقاف المتطوعين' },
+  'volunteers.delete': { group: 'volunteers', description: 'أرشفة المتطوعين واسترجاعهم من الأرشيف' },
+  'volunteers.purge': { group: 'volunteers', description: 'الحذف النهائي للمتطوعين المؤرشفين مع جميع بياناتهم' },
+
+  'evaluations.read': { group: 'evaluations', description: 'عرض التقييمات وإحصائياتها' },
+  'evaluations.create': { group: 'evaluations', description: 'إنشاء تقييمات شهرية' },
+  'evaluations.update': { group: 'evaluations', description: 'تعديل التقييمات' },
+  'evaluations.approve': { group: 'evaluations', description: 'اعتماد التقييمات' },
+  'evaluations.delete': { group: 'evaluations', description: 'حذف التقييمات' },
+
+  'notes.write': { group: 'notes', description: 'إضافة الملاحظات التراكمية وتعديل وحذف ملاحظاته' },
+  'notes.manage': { group: 'notes', description: 'تعديل وحذف ملاحظات المستخدمين الآخرين' },
+
+  'attachments.read': { group: 'attachments', description: 'عرض مرفقات المتطوعين وتنزيلها' },
+  'attachments.manage': { group: 'attachments', description: 'رفع مرفقات المتطوعين وحذفها' },
+
+  'criteria.read': { group: 'criteria', description: 'عرض معايير التقييم' },
+  'criteria.manage': { group: 'criteria', description: 'إضافة وتعديل وحذف معايير التقييم' },
+
+  'alerts.read': { group: 'alerts', description: 'عرض التنبيهات وإحصائياتها' },
+  'alerts.create': { group: 'alerts', description: 'إنشاء تنبيهات يدوية' },
+  'alerts.resolve': { group: 'alerts', description: 'حل التنبيهات' },
+  'alerts.delete': { group: 'alerts', description: 'حذف التنبيهات' },
+  'alerts.run_checks': { group: 'alerts', description: 'تشغيل فحص التنبيهات التلقائية' },
+
+  'reports.view': { group: 'reports', description: 'عرض التقارير' },
+  'reports.export': { group: 'reports', description: 'تصدير التقارير والبيانات' },
+
+  'audit.read': { group: 'audit', description: 'عرض سجل العمليات والتغييرات' }
+};
+
+const ROLE_TEMPLATES = {
+  evaluator: {
+    label: 'مقيم',
+    permissions: [
+      'volunteers.read',
+      'volunteers.create',
+      'volunteers.update',
+      'volunteers.change_status',
+      'evaluations.read',
+      'evaluations.create',
+      'evaluations.update',
+      'evaluations.approve',
+      'notes.write',
+      'attachments.read',
+      'attachments.manage',
+      'criteria.read',
+      'alerts.read',
+      'alerts.create',
+      'alerts.resolve',
+      'reports.view'
+    ]
+  },
+  supervisor: {
+    label: 'مشرف',
+    permissions: [
+      'volunteers.read',
+      'volunteers.create',
+      'volunteers.update',
+      'volunteers.change_status',
+      'evaluations.read',
+      'evaluations.create',
+      'evaluations.update',
+      'evaluations.approve',
+      'notes.write',
+      'notes.manage',
+      'attachments.read',
+      'attachments.manage',
+      'criteria.read',
+      'alerts.read',
+      'alerts.create',
+      'alerts.resolve',
+      'alerts.run_checks',
+      'reports.view',
+      'reports.export'
+    ]
+  },
+  viewer: {
+    label: 'مشاهد',
+    permissions: [
+      'volunteers.read',
+      'evaluations.read',
+      'criteria.read',
+      'alerts.read',
+      'reports.view'
+    ]
+  }
+};
+
+// القالب الافتراضي لكل دور في جدول users
+const ROLE_DEFAULT_TEMPLATES = {
+  evaluator: 'evaluator'
+};
+
+// مفاتيح مسموحة في users.permissions غير صلاحيات الكتالوج
+const RESERVED_KEYS = ['template', 'all_permissions'];
+
+/**
+ * حساب الصلاحيات الفعلية لمستخدم
+ * @param {Object} user - Object with role and permissions (req.user or a users row)
+ * @returns {string[]} Sorted list of effective permission keys
+ */
+const getEffectivePermissions = (user) => {
+  if (!user) return [];
+
+  const allPermissions = Object.keys(PERMISSIONS);
+  const overrides = user.permissions || {};
+
+  if (user.role === 'admin' || overrides.all_permissions === true) {
+    return allPermissions;
+  }
+
+  const templateName = overrides.template || ROLE_DEFAULT_TEMPLATES[user.role];
+  const template = ROLE_TEMPLATES[templateName];
+  const effective = new Set(template ? template.permissions : []);
+
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (!PERMISSIONS[key]) return;
+    if (value === true) effective.add(key);
+    if (value === false) effective.delete(key);
+  });
+
+  return allPermissions.filter(permission => effective.has(permission));
+};
+
+/**
+ * التحقق من امتلاك المستخدم لصلاحية
+ * @param {Object} user - Object with role and permissions
+ * @param {string} permission - Permission key from the catalog
+ * @returns {boolean} Whether the user has the permission
+ */
+const hasPermission = (user, permission) => getEffectivePermissions(user).includes(permission);
+
+/**
+ * التحقق من صحة كائن الصلاحيات قبل حفظه
+ * @param {Object} permissions - Value to store in users.permissions
+ * @returns {string[]} Validation error messages (empty when valid)
+ */
+const validatePermissions = (permissions) => {
+  const errors = [];
+
+  if (permissions === null || typeof permissions !== 'object' || Array.isArray(permissions)) {
+    return ['الصلاحيات يجب أن تكون كائن JSON'];
+  }
+
+  Object.entries(permissions).forEach(([key, value]) => {
+    if (key === 'template') {
+      if (value !== null && !ROLE_TEMPLATES[value]) {
+        errors.push(`قالب الدور غير معروف: ${value}`);
+      }
+      return;
+    }
+
+    if (!PERMISSIONS[key] && !RESERVED_KEYS.includes(key)) {
+      errors.push(`صلاحية غير معروفة: ${key}`);
+    } else if (typeof value !== 'boolean') {
+      errors.push(`قيمة الصلاحية ${key} يجب أن تكون true أو false`);
+    }
+  });
+
+  return errors;
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_TEMPLATES,
+  ROLE_DEFAULT_TEMPLATES,
+  getEffectivePermissions,
+  hasPermission,
+  validatePermissions
+};
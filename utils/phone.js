@@ -0,0 +1,69 @@
+/**
+ * توحيد أرقام الهواتف بصيغة E.164
+ * Phone Number Normalisation (E.164)
+ *
+ * مصر هي الدولة الافتراضية: 01012345678 و 0101 234 5678 و +201012345678 و ٠١٠١٢٣٤٥٦٧٨
+ * كلها تتحول إلى +201012345678. نفس القواعد مطبقة في دالة normalize_phone_e164 في قاعدة البيانات.
+ */
+
+const DEFAULT_COUNTRY_CODE = '20';
+
+// الأرقام العربية الهندية (٠-٩) والفارسية (۰-۹)
+const ARABIC_INDIC_DIGITS = /[\u0660-\u0669\u06F0-\u06F9]/g;
+
+/**
+ * تحويل الأرقام العربية الهندية إلى أرقام لاتينية
+ * @param {string} value - Text that may contain Arabic-Indic digits
+ * @returns {string} Text with ASCII digits
+ */
+const toAsciiDigits = (value) => String(value).replace(ARABIC_INDIC_DIGITS, (digit) => {
+  const code = digit.charCodeAt(0);
+  return String(code >= 0x06F0 ? code - 0x06F0 : code - 0x0660);
+});
+
+/**
+ * توحيد رقم هاتف بصيغة E.164
+ * @param {string} raw - Phone number as typed
+ * @returns {string|null} E.164 number (e.g. +201012345678) or null if it cannot be a valid number
+ */
+const normalizePhone = (raw) => {
+  if (raw === null || raw === undefined) return null;
+
+  const text = toAsciiDigits(raw).trim();
+  const hasPlus = text.startsWith('+');
+  let digits = text.replace(/\D/g, '');
+
+  if (!hasPlus) {
+    if (digits.startsWith('00')) {
+      // بادئة الاتصال الدولي
+      digits = digits.slice(2);
+    } else if (digits.startsWith('0')) {
+      // رقم محلي بالصفر
+      digits = DEFAULT_COUNTRY_CODE + digits.slice(1);
+    } else if (digits.length === 10 && digits.startsWith('1')) {
+      // موبايل مصري بدون الصفر
+      digits = DEFAULT_COUNTRY_CODE + digits;
+    }
+  }
+
+  if (digits.length < 8 || digits.length > 15) return null;
+
+  // الأرقام المصرية: موبايل 10 أرقام أو أرضي 9 أرقام بعد كود الدولة
+  if (digits.startsWith(DEFAULT_COUNTRY_CODE) && ![11, 12].includes(digits.length)) return null;
+
+  return `+${digits}`;
+};
+
+/**
+ * أرقام البحث بصيغة قابلة للمقارنة مع الأرقام المخزنة (بدون الصفر أو كود الدولة في البداية)
+ * @param {string} search - Search text
+ * @returns {string} Digits to match inside stored E.164 numbers (empty if the text has no digits)
+ */
+const phoneSearchDigits = (search) => toAsciiDigits(search).replace(/\D/g, '').replace(/^0+/, '');
+
+module.exports = {
+  DEFAULT_COUNTRY_CODE,
+  toAsciiDigits,
+  normalizePhone,
+  phoneSearchDigits
+};
@@ -0,0 +1,134 @@
+/**
+ * سجل أدوار المتطوع بتواريخ سريان
+ * Volunteer Role History
+ *
+ * volunteers.role_type هو الدور الحالي فقط، والتقييم يستخدم الدور الساري في آخر يوم من شهره
+ * (نفس التاريخ المعتمد لعضوية الفريق) حتى لا تتغير معايير التقييمات القديمة عند تغيير الدور.
+ */
+
+const { membershipActiveAt, evaluationTeamDate } = require('./teams');
+
+/**
+ * تعبير SQL للدور الساري في تاريخ، وللشهور السابقة لأول سجل يستخدم أقدم دور معروف
+ * @param {string} volunteerColumn - Volunteer id column (e.g. 'e.volunteer_id')
+ * @param {string} asOf - SQL date expression
+ * @returns {string} SQL scalar expression (NULL only when the volunteer has no history)
+ */
+const roleAtSql = (volunteerColumn, asOf) => `COALESCE(
+  (SELECT rh.role_type FROM volunteer_role_history rh
+   WHERE rh.volunteer_id = ${volunteerColumn} AND ${membershipActiveAt('rh', asOf)}
+   LIMIT 1),
+  (SELECT rh.role_type FROM volunteer_role_history rh
+   WHERE rh.volunteer_id = ${volunteerColumn}
+   ORDER BY rh.start_date ASC
+   LIMIT 1)
+)`;
+
+/**
+ * تعبير SQL لدور المتطوع في شهر تقييم
+ * @param {string} alias - evaluations alias
+ * @returns {string} SQL scalar expression
+ */
+const evaluationRoleSql = (alias) => roleAtSql(`${alias}.volunteer_id`, evaluationTeamDate(alias));
+
+/**
+ * الدور الذي كان يشغله المتطوع في شهر تقييم (يرجع للدور الحالي إذا لم يوجد سجل)
+ * @param {Object} client - Database client or { query }
+ * @param {string} volunteerId - Volunteer id
+ * @param {number} year - Evaluation year
+ * @param {number} month - Evaluation month
+ * @returns {Promise<string|null>} role_type (null if the volunteer does not exist)
+ */
+const getRoleForMonth = async (client, volunteerId, year, month) => {
+  const result = await client.query(
+    `SELECT
+       ${roleAtSql('v.id', "(make_date($2::int, $3::int, 1) + INTERVAL '1 month - 1 day')::date")} as role_at_month,
+       v.role_type
+     FROM volunteers v
+     WHERE v.id = $1`,
+    [volunteerId, year, month]
+  );
+
+  const row = result.rows[0];
+  if (!row) return null;
+  return row.role_at_month || row.role_type;
+};
+
+/**
+ * تسجيل دور جديد اعتباراً من تاريخ: الدور الساري ينتهي في اليوم السابق
+ * (لا يعدل volunteers.role_type، المسار يحدثه في نفس المعاملة)
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {Object} change - { volunteerId, roleType, effectiveDate, reason, userId }
+ * @returns {Promise<Object>} { status: 'changed', closed, role } or { status: 'date_conflict', current }
+ */
+const changeVolunteerRole = async (client, { volunteerId, roleType, effectiveDate, reason, userId }) => {
+  // الأدوار لا تتداخل، لذلك تكفي مقارنة التاريخ بآخر سجل
+  const latestResult = await client.query(
+    `SELECT *, ($2::date <= start_date) as blocks_start
+     FROM volunteer_role_history
+     WHERE volunteer_id = $1
+     ORDER BY start_date DESC
+     LIMIT 1
+     FOR UPDATE`,
+    [volunteerId, effectiveDate]
+  );
+  const latest = latestResult.rows[0];
+
+  if (latest && latest.blocks_start) {
+    return { status: 'date_conflict', current: latest };
+  }
+
+  let closed = null;
+  if (latest && !latest.end_date) {
+    const closedResult = await client.query(
+      'UPDATE volunteer_role_history SET end_date = $1::date - 1 WHERE id = $2 RETURNING *',
+      [effectiveDate, latest.id]
+    );
+    closed = closedResult.rows[0];
+  }
+
+  const roleResult = await client.query(
+    `INSERT INTO volunteer_role_history (volunteer_id, role_type, start_date, reason, changed_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [volunteerId, roleType, effectiveDate, reason || null, userId]
+  );
+
+  return { status: 'changed', closed, role: roleResult.rows[0] };
+};
+
+/**
+ * استعلام تغييرات الدور (مثل ميداني → مسئول ملف)، الدور السابق يحسب على سجل المتطوع كاملاً
+ * @param {string} extraClause - Conditions on the changes (alias rc) starting with AND, e.g. ' AND rc.volunteer_id = $1'
+ * @returns {string} SQL selecting volunteer, from_role, to_role, change_label, effective_date, reason, changed_by_name
+ */
+const roleChangesSql = (extraClause = '') => `
+  WITH role_changes AS (
+    SELECT
+      rh.*,
+      LAG(rh.role_type) OVER (PARTITION BY rh.volunteer_id ORDER BY rh.start_date) as from_role
+    FROM volunteer_role_history rh
+  )
+  SELECT
+    rc.volunteer_id,
+    v.full_name as volunteer_name,
+    rc.from_role,
+    rc.role_type as to_role,
+    rc.from_role || ' → ' || rc.role_type as change_label,
+    rc.start_date as effective_date,
+    rc.reason,
+    u.full_name as changed_by_name
+  FROM role_changes rc
+  INNER JOIN volunteers v ON rc.volunteer_id = v.id
+  LEFT JOIN users u ON rc.changed_by = u.id
+  WHERE rc.from_role IS NOT NULL AND rc.from_role <> rc.role_type${extraClause}
+  ORDER BY rc.start_date DESC
+`;
+
+module.exports = {
+  roleAtSql,
+  evaluationRoleSql,
+  getRoleForMonth,
+  changeVolunteerRole,
+  roleChangesSql
+};
@@ -0,0 +1,173 @@
+/**
+ * سجل الجلسات على الخادم
+ * Server-side Session Registry
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { query, transaction } = require('../config/database');
+const { ACCESS_TOKEN_EXPIRES_IN, signAccessToken, signRefreshToken } = require('./tokens');
+
+/**
+ * إصدار رمز تحديث مرتبط بجلسة وحفظه
+ * @param {Object} client - Database client inside a transaction
+ * @param {Object} user - User row
+ * @param {string} sessionId - Session id
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Refresh token id, token and expiry
+ */
+const storeRefreshToken = async (client, user, sessionId, req) => {
+  const tokenId = uuidv4();
+  const { token, expiresAt } = signRefreshToken(user, tokenId);
+
+  await client.query(
+    `INSERT INTO refresh_tokens (id, user_id, session_id, expires_at, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [tokenId, user.id, sessionId, expiresAt, req.clientIP, req.get('User-Agent')]
+  );
+
+  return { id: tokenId, token, expiresAt };
+};
+
+/**
+ * تجهيز الرموز بالصيغة المرجعة للعميل
+ * @param {string} accessToken - Signed access token
+ * @param {string} refreshToken - Signed refresh token
+ * @returns {Object} Token pair as returned to the client
+ */
+const formatTokens = (accessToken, refreshToken) => ({
+  access_token: accessToken,
+  refresh_token: refreshToken,
+  token_type: 'Bearer',
+  expires_in: ACCESS_TOKEN_EXPIRES_IN
+});
+
+/**
+ * بدء جلسة جديدة وإصدار رموزها
+ * @param {Object} user - User row
+ * @param {Object} req - Express request object
+ * @returns {Promise<{tokens: Object, sessionId: string}>} Issued tokens and the session id
+ */
+const startSession = async (user, req) => {
+  return transaction(async (client) => {
+    const sessionId = uuidv4();
+    const jti = uuidv4();
+
+    // تاريخ الانتهاء يتحدد من رمز التحديث، لذلك ننشئ الجلسة أولاً ثم نحدثه
+    await client.query(
+      `INSERT INTO user_sessions (id, user_id, jti, ip_address, user_agent, expires_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)`,
+      [sessionId, user.id, jti, req.clientIP, req.get('User-Agent')]
+    );
+
+    const refreshToken = await storeRefreshToken(client, user, sessionId, req);
+
+    await client.query(
+      'UPDATE user_sessions SET expires_at = $1 WHERE id = $2',
+      [refreshToken.expiresAt, sessionId]
+    );
+
+    return {
+      tokens: formatTokens(signAccessToken(user, jti), refreshToken.token),
+      sessionId
+    };
+  });
+};
+
+/**
+ * تدوير رموز جلسة قائمة (رمز دخول جديد برقم jti جديد ورمز تحديث جديد)
+ * @param {Object} user - User row
+ * @param {string} sessionId - Session id
+ * @param {string} previousTokenId - Refresh token being replaced
+ * @param {Object} req - Express request object
+ * @returns {Promise<{tokens: Object, sessionId: string}>} Issued tokens and the session id
+ */
+const rotateSession = async (user, sessionId, previousTokenId, req) => {
+  return transaction(async (client) => {
+    const jti = uuidv4();
+    const refreshToken = await storeRefreshToken(client, user, sessionId, req);
+
+    await client.query(
+      `UPDATE user_sessions
+       SET jti = $1, expires_at = $2, last_seen_at = CURRENT_TIMESTAMP, ip_address = $3, user_agent = $4
+       WHERE id = $5`,
+      [jti, refreshToken.expiresAt, req.clientIP, req.get('User-Agent'), sessionId]
+    );
+
+    await client.query(
+      'UPDATE refresh_tokens SET replaced_by = $1 WHERE id = $2',
+      [refreshToken.id, previousTokenId]
+    );
+
+    return {
+      tokens: formatTokens(signAccessToken(user, jti), refreshToken.token),
+      sessionId
+    };
+  });
+};
+
+/**
+ * إلغاء جلسة محددة ورموز التحديث التابعة لها
+ * @param {string} sessionId - Session id
+ * @param {Object} options - { revokedBy, reason }
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, { revokedBy = null, reason = null } = {}) => {
+  const result = await query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $1, revoke_reason = $2
+     WHERE id = $3 AND revoked_at IS NULL`,
+    [revokedBy, reason, sessionId]
+  );
+
+  await query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE session_id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+
+  return result.rowCount > 0;
+};
+
+/**
+ * إلغاء جميع جلسات مستخدم
+ * @param {string} userId - User id
+ * @param {Object} options - { revokedBy, reason, exceptSessionId }
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+const revokeUserSessions = async (userId, { revokedBy = null, reason = null, exceptSessionId = null } = {}) => {
+  const result = await query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $1, revoke_reason = $2
+     WHERE user_id = $3 AND revoked_at IS NULL AND ($4::uuid IS NULL OR id != $4::uuid)`,
+    [revokedBy, reason, userId, exceptSessionId]
+  );
+
+  await query(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR session_id IS DISTINCT FROM $2::uuid)`,
+    [userId, exceptSessionId]
+  );
+
+  return result.rowCount;
+};
+
+/**
+ * جلب الجلسات النشطة لمستخدم
+ * @param {string} userId - User id
+ * @returns {Promise<Array>} Active sessions (newest activity first)
+ */
+const listActiveSessions = async (userId) => {
+  const result = await query(
+    `SELECT id, ip_address, user_agent, created_at, last_seen_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+};
@@ -0,0 +1,40 @@
+/**
+ * إعدادات النظام العامة
+ * System-wide Settings (system_settings table)
+ */
+
+const { query } = require('../config/database');
+
+/**
+ * قراءة إعداد
+ * @param {string} key - Setting key
+ * @param {*} defaultValue - Value returned when the setting is missing
+ * @returns {Promise<*>} Stored JSON value
+ */
+const getSetting = async (key, defaultValue = null) => {
+  const result = await query('SELECT value FROM system_settings WHERE key = $1', [key]);
+  return result.rows.length > 0 ? result.rows[0].value : defaultValue;
+};
+
+/**
+ * حفظ إعداد
+ * @param {string} key - Setting key
+ * @param {*} value - JSON-serializable value
+ * @param {string|null} updatedBy - Acting user id
+ * @returns {Promise<*>} Stored value
+ */
+const setSetting = async (key, value, updatedBy = null) => {
+  const result = await query(
+    `INSERT INTO system_settings (key, value, updated_by, updated_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+     RETURNING value`,
+    [key, JSON.stringify(value), updatedBy]
+  );
+  return result.rows[0].value;
+};
+
+module.exports = {
+  getSetting,
+  setSetting
+};
@@ -0,0 +1,189 @@
+/**
+ * قراءة ملفات CSV و XLSX المرفوعة
+ * Spreadsheet (CSV/XLSX) Reading
+ */
+
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// بداية UTF-8 BOM حتى يفتح Excel الملف بالعربية بشكل صحيح
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * تحويل قيمة خلية ExcelJS إلى قيمة بسيطة
+ * @param {*} value - Cell value (string, number, Date, rich text, hyperlink, formula...)
+ * @returns {string|Date|null} Plain value (Dates are kept as Date objects)
+ */
+const cellToValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellToValue(value.text);
+    if (value.result !== undefined) return cellToValue(value.result);
+    return null;
+  }
+  return String(value);
+};
+
+/**
+ * هل امتداد الملف مدعوم؟
+ * @param {string} filename - Original file name
+ * @returns {boolean} Whether the file is CSV or XLSX
+ */
+const isSpreadsheetFile = (filename) => SPREADSHEET_EXTENSIONS.includes(path.extname(filename || '').toLowerCase());
+
+/**
+ * قراءة أول ورقة في الملف: الصف الأول عناوين والباقي بيانات
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original file name (decides CSV vs XLSX)
+ * @returns {Promise<{headers: string[], rows: Array<{rowNumber: number, values: Object}>}>} Parsed sheet
+ */
+const readSpreadsheet = async (buffer, filename) => {
+  const workbook = new ExcelJS.Workbook();
+
+  if (path.extname(filename).toLowerCase() === '.csv') {
+    // إبقاء القيم كنصوص حتى لا تضيع الأصفار في بداية أرقام الهواتف
+    await workbook.csv.read(Readable.from(buffer), { map: value => value });
+  } else {
+    await workbook.xlsx.load(buffer);
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+    const header = cellToValue(cell.value);
+    headers[columnNumber - 1] = header ? header.replace(/^\uFEFF/, '').trim() : '';
+  });
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    let hasValue = false;
+
+    headers.forEach((header, index) => {
+      if (!header) return;
+      let value = cellToValue(row.getCell(index + 1).value);
+      if (typeof value === 'string') {
+        value = value.trim();
+      }
+      if (value !== null && value !== '') {
+        values[header] = value;
+        hasValue = true;
+      }
+    });
+
+    if (hasValue) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+/**
+ * تجهيز قيمة للتصدير
+ * @param {*} value - Row value
+ * @returns {string|number|null} Exported value
+ */
+const toExportValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value);
+};
+
+/**
+ * قيمة خلية CSV: القيم التي تبدأ بـ = + - @ تعامل كنص حتى لا تنفذ كمعادلات عند فتح الملف
+ * (خلايا XLSX النصية لا تنفذ كمعادلات فتكتب كما هي). أرقام الهواتف مثل +201001234567 تبقى كما هي
+ * @param {*} value - Row value
+ * @returns {string|number|null} Safe value
+ */
+const toCsvValue = (value) => {
+  const exported = toExportValue(value);
+  if (typeof exported !== 'string') return exported;
+
+  if (/^[=+\-@\t\r]/.test(exported) && !/^\+?\d[\d\s]*$/.test(exported)) {
+    return `'${exported}`;
+  }
+  return exported;
+};
+
+/**
+ * بناء ملف CSV (UTF-8 مع BOM ونهايات أسطر CRLF)
+ * @param {Array<{header: string, key: string}>} columns - Column definitions
+ * @param {Array<Object>} rows - Rows keyed by column key
+ * @returns {Buffer} CSV file contents
+ */
+const buildCsv = (columns, rows) => {
+  const escape = (value) => {
+    if (value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [
+    columns.map(column => escape(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escape(toCsvValue(row[column.key]))).join(','))
+  ];
+
+  return Buffer.from(`${UTF8_BOM}${lines.join('\r\n')}\r\n`, 'utf8');
+};
+
+/**
+ * بناء ملف XLSX بورقة من اليمين لليسار
+ * @param {Array<{header: string, key: string, width: number}>} columns - Column definitions
+ * @param {Array<Object>} rows - Rows keyed by column key
+ * @param {string} sheetName - Worksheet name
+ * @returns {Promise<Buffer>} XLSX file contents
+ */
+const buildXlsx = async (columns, rows, sheetName) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet(sheetName, {
+    views: [{ rightToLeft: true, state: 'frozen', ySplit: 1 }]
+  });
+
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: column.width || 15
+  }));
+
+  rows.forEach(row => {
+    const values = {};
+    columns.forEach(column => {
+      values[column.key] = toExportValue(row[column.key]);
+    });
+    sheet.addRow(values);
+  });
+
+  sheet.getRow(1).font = { bold: true };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = {
+  SPREADSHEET_EXTENSIONS,
+  EXPORT_CONTENT_TYPES,
+  isSpreadsheetFile,
+  readSpreadsheet,
+  buildCsv,
+  buildXlsx
+};
@@ -0,0 +1,124 @@
+/**
+ * الفروع والفرق: شروط الفلترة حسب عضوية المتطوع في تاريخ محدد
+ * Team and Branch Filters
+ *
+ * العضوية سارية في تاريخ ما إذا بدأت قبله أو فيه ولم تنته قبله.
+ * القوائم والإحصائيات الحالية تستخدم CURRENT_DATE، والتقييمات تستخدم آخر يوم في شهر التقييم
+ * حتى يحسب كل تقييم لفريق واحد فقط.
+ */
+
+const { query } = require('../config/database');
+const { volunteerScopeClause } = require('./volunteerScope');
+
+/**
+ * شرط SQL لسريان العضوية في تاريخ
+ * @param {string} alias - volunteer_team_memberships alias
+ * @param {string} asOf - SQL date expression
+ * @returns {string} SQL condition
+ */
+const membershipActiveAt = (alias, asOf) =>
+  `${alias}.start_date <= ${asOf} AND (${alias}.end_date IS NULL OR ${alias}.end_date >= ${asOf})`;
+
+/**
+ * تاريخ العضوية المعتمد لتقييم: آخر يوم في شهر التقييم
+ * @param {string} alias - evaluations alias (or table name)
+ * @returns {string} SQL date expression
+ */
+const evaluationTeamDate = (alias) =>
+  `(make_date(${alias}.evaluation_year, ${alias}.evaluation_month, 1) + INTERVAL '1 month - 1 day')::date`;
+
+/**
+ * شرط SQL يقصر النتائج على متطوعي فريق أو فرع
+ * @param {Object} filters - { team_id, branch_id } (usually req.query)
+ * @param {string} column - Volunteer id column to filter (e.g. 'v.id', 'e.volunteer_id')
+ * @param {number} paramIndex - Next free query parameter index
+ * @param {string} asOf - SQL date expression the membership must be active at
+ * @returns {{clause: string, params: Array}} Clause starting with AND (empty without filters) and its parameters
+ */
+const teamFilterClause = (filters, column, paramIndex, asOf = 'CURRENT_DATE') => {
+  const { team_id, branch_id } = filters;
+  if (!team_id && !branch_id) {
+    return { clause: '', params: [] };
+  }
+
+  let conditions = membershipActiveAt('tm', asOf);
+  const params = [];
+  let index = paramIndex;
+
+  if (team_id) {
+    conditions += ` AND tm.team_id = $${index}`;
+    params.push(team_id);
+    index++;
+  }
+
+  if (branch_id) {
+    conditions += ` AND t.branch_id = $${index}`;
+    params.push(branch_id);
+    index++;
+  }
+
+  return {
+    clause: ` AND ${column} IN (
+      SELECT tm.volunteer_id FROM volunteer_team_memberships tm
+      INNER JOIN teams t ON t.id = tm.team_id
+      WHERE ${conditions}
+    )`,
+    params
+  };
+};
+
+/**
+ * دمج شرط الفريق/الفرع مع شرط الإسناد بترقيم متتابع للمعاملات
+ * @param {Object} user - req.user
+ * @param {Object} filters - { team_id, branch_id }
+ * @param {string} column - Volunteer id column
+ * @param {number} paramIndex - Next free query parameter index
+ * @param {string} asOf - SQL date expression for the membership
+ * @returns {{clause: string, params: Array}} Combined clause and parameters
+ */
+const volunteerFilterClause = (user, filters, column, paramIndex, asOf = 'CURRENT_DATE') => {
+  const team = teamFilterClause(filters, column, paramIndex, asOf);
+  const scope = volunteerScopeClause(user, column, paramIndex + team.params.length);
+
+  return {
+    clause: team.clause + scope.clause,
+    params: [...team.params, ...scope.params]
+  };
+};
+
+/**
+ * التحقق من أن قائد الفرع/الفريق مستخدم نشط
+ * @param {string} userId - Leader user id
+ * @returns {Promise<boolean>} Whether the user exists and is active
+ */
+const isActiveLeader = async (userId) => {
+  const result = await query('SELECT 1 FROM users WHERE id = $1 AND is_active = true', [userId]);
+  return result.rows.length > 0;
+};
+
+/**
+ * إنهاء عضوية المتطوع عند أرشفته أو دمجه: العضوية الجارية تنتهي اليوم والمجدولة مستقبلاً تلغى
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {string} volunteerId - Volunteer id
+ * @returns {Promise<number>} Number of ended or cancelled memberships
+ */
+const endVolunteerMemberships = async (client, volunteerId) => {
+  const cancelled = await client.query(
+    'DELETE FROM volunteer_team_memberships WHERE volunteer_id = $1 AND start_date > CURRENT_DATE',
+    [volunteerId]
+  );
+  const ended = await client.query(
+    'UPDATE volunteer_team_memberships SET end_date = CURRENT_DATE WHERE volunteer_id = $1 AND end_date IS NULL',
+    [volunteerId]
+  );
+  return cancelled.rowCount + ended.rowCount;
+};
+
+module.exports = {
+  membershipActiveAt,
+  evaluationTeamDate,
+  teamFilterClause,
+  volunteerFilterClause,
+  isActiveLeader,
+  endVolunteerMemberships
+};
@@ -0,0 +1,124 @@
+/**
+ * توقيع رموز الدخول والتحديث
+ * Access and Refresh Token Signing
+ */
+
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+const LOGIN_CHALLENGE_EXPIRES_IN = '5m';
+
+/**
+ * مفتاح توقيع رموز التحديث (يستخدم JWT_SECRET إذا لم يحدد مفتاح مستقل)
+ * @returns {string} Refresh token secret
+ */
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+/**
+ * مفتاح توقيع رموز خطوة الدخول الثانية (مشتق من JWT_SECRET حتى لا تقبل كرموز دخول)
+ * @returns {string} Login challenge secret
+ */
+const getChallengeSecret = () => `${process.env.JWT_SECRET}:login_challenge`;
+
+/**
+ * توقيع رمز دخول (Access Token)
+ * @param {Object} user - User row from the users table
+ * @param {string} jti - Token id registered in user_sessions
+ * @returns {string} Signed access token
+ */
+const signAccessToken = (user, jti) => {
+  return jwt.sign(
+    {
+      userId: user.id,
+      username: user.username,
+      role: user.role
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: jti }
+  );
+};
+
+/**
+ * توقيع رمز تحديث
+ * @param {Object} user - User row from the users table
+ * @param {string} tokenId - Refresh token id stored in refresh_tokens
+ * @returns {{token: string, expiresAt: Date}} Signed refresh token and its expiry
+ */
+const signRefreshToken = (user, tokenId) => {
+  const token = jwt.sign(
+    { userId: user.id, tokenId },
+    getRefreshSecret(),
+    { expiresIn: REFRESH_TOKEN_EXPIRES_IN }
+  );
+
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * توقيع رمز مؤقت لخطوة الدخول الثانية (لا يصلح كرمز دخول)
+ * @param {Object} user - User row from the users table
+ * @param {string} purpose - 'verify' (code required) or 'enroll' (2FA setup required by policy)
+ * @returns {string} Signed challenge token
+ */
+const signLoginChallenge = (user, purpose) => {
+  return jwt.sign(
+    { userId: user.id, purpose },
+    getChallengeSecret(),
+    { expiresIn: LOGIN_CHALLENGE_EXPIRES_IN }
+  );
+};
+
+/**
+ * التحقق من رمز خطوة الدخول الثانية
+ * @param {string} token - Challenge token sent by the client
+ * @param {string} purpose - Expected purpose
+ * @returns {Object} Decoded payload ({ userId, purpose })
+ */
+const verifyLoginChallenge = (token, purpose) => {
+  const decoded = jwt.verify(token, getChallengeSecret());
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('invalid challenge purpose');
+  }
+  return decoded;
+};
+
+/**
+ * توقيع رمز انتحال (يعمل كرمز دخول للمستخدم المستهدف ويحمل هوية الأدمن)
+ * @param {Object} targetUser - Impersonated user row
+ * @param {Object} admin - Acting admin (req.user)
+ * @param {string} impersonationId - impersonation_sessions id (used as jti)
+ * @param {number} minutes - Token lifetime in minutes
+ * @returns {string} Signed impersonation token
+ */
+const signImpersonationToken = (targetUser, admin, impersonationId, minutes) => {
+  return jwt.sign(
+    {
+      userId: targetUser.id,
+      username: targetUser.username,
+      role: targetUser.role,
+      impersonatorId: admin.id
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: `${minutes}m`, jwtid: impersonationId }
+  );
+};
+
+/**
+ * التحقق من توقيع رمز التحديث
+ * @param {string} token - Refresh token sent by the client
+ * @returns {Object} Decoded payload ({ userId, tokenId })
+ */
+const verifyRefreshToken = (token) => jwt.verify(token, getRefreshSecret());
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  LOGIN_CHALLENGE_EXPIRES_IN,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  signLoginChallenge,
+  verifyLoginChallenge,
+  signImpersonationToken
+};
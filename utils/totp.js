@@ -0,0 +1,148 @@
+/**
+ * رموز TOTP للمصادقة الثنائية (RFC 6238)
+ * Time-based One-Time Passwords
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// عدد الخطوات المقبولة قبل/بعد الخطوة الحالية (لفرق التوقيت بين الخادم والهاتف)
+const TOTP_WINDOW = 1;
+
+/**
+ * ترميز Base32 (بدون حشو) كما تتوقعه تطبيقات المصادقة
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * فك ترميز Base32
+ * @param {string} input - Base32 string (case and spaces ignored)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('مفتاح Base32 غير صالح');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * توليد مفتاح سري جديد (160 بت)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * الخطوة الزمنية لوقت معين
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number} Time step counter
+ */
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * حساب رمز HOTP لخطوة محددة
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Counter value
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * التحقق من رمز TOTP
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastUsedStep - Last accepted step (codes at or before it are rejected)
+ * @returns {number|null} Matched time step, or null if the code is invalid
+ */
+const verifyCode = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * رابط otpauth لتوليد رمز QR في تطبيق المصادقة
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (username or email)
+ * @param {string} issuer - Issuer name shown in the app
+ * @returns {string} otpauth:// URI
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  verifyCode,
+  buildOtpauthUri
+};
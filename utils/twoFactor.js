@@ -0,0 +1,122 @@
+/**
+ * المصادقة الثنائية: التحقق من الرموز ورموز الاسترداد وسياسة الإلزام
+ * Two-factor Authentication Helpers
+ */
+
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { verifyCode } = require('./totp');
+const { getSetting } = require('./settings');
+
+const TWO_FACTOR_ISSUER = process.env.APP_NAME || 'Zad';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * بصمة رمز الاسترداد (بدون الشرطات وبحروف صغيرة)
+ * @param {string} code - Recovery code as typed by the user
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * توليد رموز استرداد جديدة (تلغي الرموز السابقة)
+ * @param {string} userId - User id
+ * @param {Object} client - Optional database client (inside a transaction)
+ * @returns {Promise<string[]>} Raw recovery codes (only returned once)
+ */
+const generateRecoveryCodes = async (userId, client = null) => {
+  const runner = client || { query };
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await runner.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+
+  for (const code of codes) {
+    await runner.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashRecoveryCode(code)]
+    );
+  }
+
+  return codes;
+};
+
+/**
+ * عدد رموز الاسترداد المتبقية
+ * @param {string} userId - User id
+ * @returns {Promise<number>} Unused recovery codes
+ */
+const countRecoveryCodes = async (userId) => {
+  const result = await query(
+    'SELECT COUNT(*) as remaining FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return parseInt(result.rows[0].remaining);
+};
+
+/**
+ * التحقق من رمز TOTP وتسجيل خطوته لمنع إعادة استخدامه
+ * @param {Object} user - User row with totp_secret and totp_last_step
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>} Whether the code was accepted
+ */
+const verifyTotpCode = async (user, code) => {
+  if (!user.totp_secret) return false;
+
+  const lastStep = user.totp_last_step === null || user.totp_last_step === undefined
+    ? null
+    : parseInt(user.totp_last_step);
+  const step = verifyCode(user.totp_secret, code, lastStep);
+  if (step === null) return false;
+
+  // التحديث المشروط يمنع قبول نفس الرمز في طلبين متزامنين
+  const result = await query(
+    `UPDATE users SET totp_last_step = $1
+     WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)`,
+    [step, user.id]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * التحقق من العامل الثاني (رمز TOTP أو رمز استرداد)
+ * @param {Object} user - User row
+ * @param {string} code - TOTP code or recovery code
+ * @returns {Promise<string|null>} 'totp', 'recovery_code', or null if rejected
+ */
+const verifySecondFactor = async (user, code) => {
+  if (await verifyTotpCode(user, code)) {
+    return 'totp';
+  }
+
+  const result = await query(
+    `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+    [user.id, hashRecoveryCode(code)]
+  );
+  return result.rowCount > 0 ? 'recovery_code' : null;
+};
+
+/**
+ * هل سياسة النظام تلزم هذا المستخدم بالمصادقة الثنائية؟
+ * @param {Object} user - User row or req.user
+ * @returns {Promise<boolean>} Whether 2FA is mandatory for the user
+ */
+const isTwoFactorRequired = async (user) => {
+  if (user.role !== 'admin') return false;
+  return (await getSetting('require_admin_2fa', false)) === true;
+};
+
+module.exports = {
+  TWO_FACTOR_ISSUER,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  verifyTotpCode,
+  verifySecondFactor,
+  isTwoFactorRequired
+};
@@ -0,0 +1,69 @@
+/**
+ * رموز الاستخدام الواحد للمستخدمين (إعادة تعيين كلمة المرور والدعوات)
+ * Single-use User Tokens (password reset and invitations)
+ */
+
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+const TOKEN_TTL_MINUTES = {
+  password_reset: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60,
+  invitation: (parseInt(process.env.INVITATION_EXPIRES_HOURS) || 72) * 60
+};
+
+/**
+ * بصمة الرمز كما تحفظ في قاعدة البيانات
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * إنشاء رمز جديد (يحذف الرموز السابقة غير المستخدمة لنفس الغرض)
+ * @param {string} userId - User id
+ * @param {string} purpose - 'password_reset' or 'invitation'
+ * @param {string|null} createdBy - User who requested the token
+ * @param {Object} client - Optional database client (inside a transaction)
+ * @returns {Promise<{token: string, expiresAt: Date}>} Raw token (only returned once) and expiry
+ */
+const createUserToken = async (userId, purpose, createdBy = null, client = null) => {
+  const runner = client || { query };
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000);
+
+  await runner.query(
+    'DELETE FROM user_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+
+  await runner.query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, purpose, hashToken(token), expiresAt, createdBy]
+  );
+
+  return { token, expiresAt };
+};
+
+/**
+ * استهلاك رمز (مرة واحدة فقط)
+ * @param {string} token - Raw token sent by the user
+ * @param {string} purpose - Expected purpose
+ * @param {Object} client - Optional database client (inside a transaction)
+ * @returns {Promise<Object|null>} Token row, or null if invalid, used or expired
+ */
+const consumeUserToken = async (token, purpose, client = null) => {
+  const runner = client || { query };
+  const result = await runner.query(
+    `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING *`,
+    [hashToken(token), purpose]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  createUserToken,
+  consumeUserToken
+};
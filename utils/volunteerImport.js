@@ -0,0 +1,186 @@
+/**
+ * استيراد المتطوعين من ملفات CSV/XLSX
+ * Bulk Volunteer Import
+ *
+ * كل صف يتحقق منه بنفس قواعد POST /api/volunteers (volunteerCreateRules والحقول المخصصة)
+ * بالإضافة لتكرار رقم الهاتف داخل الملف وفي قاعدة البيانات.
+ */
+
+const { validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { VOLUNTEER_FIELDS, volunteerCreateRules } = require('./volunteerRecords');
+const { validateCustomFieldValues } = require('./customFields');
+
+const IMPORT_MAX_ROWS = parseInt(process.env.VOLUNTEER_IMPORT_MAX_ROWS) || 1000;
+
+// أسماء الأعمدة المتعارف عليها لكل حقل (المقارنة بدون حالة الأحرف والمسافات الزائدة)
+const IMPORT_COLUMN_ALIASES = {
+  full_name: ['full_name', 'name', 'full name', 'الاسم', 'الاسم الكامل', 'اسم المتطوع'],
+  phone: ['phone', 'mobile', 'phone number', 'الهاتف', 'رقم الهاتف', 'الموبايل', 'رقم الموبايل'],
+  join_date: ['join_date', 'join date', 'تاريخ الانضمام'],
+  role_type: ['role_type', 'role', 'role type', 'نوع الدور', 'الدور'],
+  personality_notes: ['personality_notes', 'notes', 'ملاحظات', 'ملاحظات شخصية', 'الملاحظات']
+};
+
+const REQUIRED_IMPORT_FIELDS = ['full_name', 'phone'];
+
+/**
+ * توحيد اسم العمود للمقارنة
+ * @param {string} header - Column header
+ * @returns {string} Normalized header
+ */
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * تحديد العمود المقابل لكل حقل (ربط صريح من المستخدم أو بالأسماء المتعارف عليها)
+ * الحقول المخصصة تربط بمفتاحها أو بعنوانها العربي
+ * @param {string[]} headers - Headers found in the file
+ * @param {Object} explicitMapping - Optional { field: header } sent with the request
+ * @param {Array} customFields - Active custom field definitions
+ * @returns {{mapping: Object, errors: string[]}} Field to header mapping and mapping errors
+ */
+const resolveColumnMapping = (headers, explicitMapping = {}, customFields = []) => {
+  const mapping = {};
+  const errors = [];
+  const customKeys = customFields.map(field => field.key);
+
+  Object.entries(explicitMapping).forEach(([field, header]) => {
+    if (!VOLUNTEER_FIELDS.includes(field) && !customKeys.includes(field)) {
+      errors.push(`حقل غير معروف في الربط: ${field}`);
+    } else if (!headers.includes(header)) {
+      errors.push(`العمود "${header}" غير موجود في الملف`);
+    } else {
+      mapping[field] = header;
+    }
+  });
+
+  VOLUNTEER_FIELDS.forEach(field => {
+    if (mapping[field] || explicitMapping[field]) return;
+    const header = headers.find(candidate => IMPORT_COLUMN_ALIASES[field].includes(normalizeHeader(candidate)));
+    if (header) {
+      mapping[field] = header;
+    }
+  });
+
+  customFields.forEach(field => {
+    if (mapping[field.key] || explicitMapping[field.key]) return;
+    const aliases = [field.key, normalizeHeader(field.label_ar)];
+    const header = headers.find(candidate => aliases.includes(normalizeHeader(candidate)));
+    if (header) {
+      mapping[field.key] = header;
+    }
+  });
+
+  REQUIRED_IMPORT_FIELDS.forEach(field => {
+    if (!mapping[field] && !explicitMapping[field]) {
+      errors.push(`لم يتم العثور على عمود للحقل المطلوب: ${field}`);
+    }
+  });
+
+  return { mapping, errors };
+};
+
+/**
+ * تحويل صف من الملف إلى بيانات متطوع
+ * @param {Object} values - Row values keyed by header
+ * @param {Object} mapping - Field to header mapping
+ * @returns {Object} Volunteer data (empty cells are omitted so the create defaults apply)
+ */
+const toVolunteerData = (values, mapping) => {
+  const data = { custom_fields: {} };
+
+  Object.entries(mapping).forEach(([field, header]) => {
+    let value = values[header];
+    if (value === undefined || value === null) return;
+
+    if (value instanceof Date) {
+      value = value.toISOString().slice(0, 10);
+    }
+    if (VOLUNTEER_FIELDS.includes(field)) {
+      data[field] = String(value);
+    } else {
+      data.custom_fields[field] = typeof value === 'string' ? value : String(value);
+    }
+  });
+
+  return data;
+};
+
+/**
+ * التحقق من صف واحد بقواعد إنشاء المتطوع
+ * @param {Object} data - Volunteer data
+ * @returns {Promise<Array<{field: string, message: string}>>} Row errors
+ */
+const validateVolunteerData = async (data) => {
+  const rowRequest = { body: data };
+  for (const rule of volunteerCreateRules()) {
+    await rule.run(rowRequest);
+  }
+
+  return validationResult(rowRequest).array().map(error => ({ field: error.param, message: error.msg }));
+};
+
+/**
+ * التحقق من جميع صفوف الملف
+ * @param {Array<{rowNumber: number, values: Object}>} rows - Parsed rows
+ * @param {Object} mapping - Field to header mapping
+ * @param {Array} customFields - Active custom field definitions
+ * @returns {Promise<Array<{row: number, data: Object, errors: Array}>>} Validated rows
+ */
+const validateImportRows = async (rows, mapping, customFields = []) => {
+  const results = [];
+  const rowsByPhone = new Map();
+
+  for (const { rowNumber, values } of rows) {
+    const data = toVolunteerData(values, mapping);
+    const errors = await validateVolunteerData(data);
+
+    const customResult = validateCustomFieldValues(customFields, data.custom_fields);
+    data.custom_fields = customResult.values;
+    customResult.errors.forEach(message => errors.push({ field: 'custom_fields', message }));
+
+    if (data.phone) {
+      if (rowsByPhone.has(data.phone)) {
+        errors.push({
+          field: 'phone',
+          message: `رقم الهاتف مكرر في الملف (الصف ${rowsByPhone.get(data.phone)})`,
+          code: 'PHONE_DUPLICATE_IN_FILE'
+        });
+      } else {
+        rowsByPhone.set(data.phone, rowNumber);
+      }
+    }
+
+    results.push({ row: rowNumber, data, errors });
+  }
+
+  // التحقق من عدم تكرار رقم الهاتف مع المتطوعين الحاليين
+  const phones = [...rowsByPhone.keys()];
+  if (phones.length > 0) {
+    const existingResult = await query(
+      'SELECT id, full_name, phone FROM volunteers WHERE phone = ANY($1)',
+      [phones]
+    );
+    const existingByPhone = new Map(existingResult.rows.map(row => [row.phone, row]));
+
+    results.forEach(result => {
+      const existing = existingByPhone.get(result.data.phone);
+      if (existing) {
+        result.errors.push({
+          field: 'phone',
+          message: `رقم الهاتف موجود بالفعل للمتطوع: ${existing.full_name}`,
+          code: 'PHONE_EXISTS'
+        });
+      }
+    });
+  }
+
+  return results;
+};
+
+module.exports = {
+  IMPORT_MAX_ROWS,
+  IMPORT_COLUMN_ALIASES,
+  resolveColumnMapping,
+  validateImportRows
+};
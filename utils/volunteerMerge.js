@@ -0,0 +1,210 @@
+/**
+ * دمج متطوعين مكررين في سجل واحد
+ * Merge Duplicate Volunteers
+ *
+ * جميع السجلات التابعة تنقل من المتطوع المكرر (source) إلى المتطوع الباقي (target)،
+ * والمتطوع المكرر يبقى مؤرشفاً مع الإشارة إلى الباقي في merged_into.
+ *
+ * سجل المراحل وسجل الأدوار: سجل الباقي هو المعتمد (مرحلته ودوره الحاليان لا يتغيران)، ومن سجل المكرر
+ * تنسخ فقط الفترات السابقة لبداية سجل الباقي حتى تقيم التقييمات المنقولة بمرحلة ودور شهرها.
+ * سجلات المكرر الأصلية تبقى عليه كتاريخ.
+ */
+
+const { snapshotEvaluation, saveDeletedSnapshot } = require('./deletedRecords');
+const { endVolunteerMemberships } = require('./teams');
+
+// الجداول التي تنقل سجلاتها بتغيير volunteer_id
+const MOVED_TABLES = ['evaluations', 'cumulative_notes', 'alert_records', 'freeze_records', 'volunteer_attachments'];
+
+const MAX_FREEZES_PER_YEAR = 2;
+
+// سبب الفترات المنسوخة من سجل المتطوع المكرر
+const MERGED_HISTORY_REASON = 'منسوخ من سجل المتطوع المدمج';
+
+/**
+ * التقييمات التي تخص نفس الشهر عند المتطوعين
+ * @param {Object} client - Database client
+ * @param {string} targetId - Surviving volunteer id
+ * @param {string} sourceId - Duplicate volunteer id
+ * @returns {Promise<Array>} Conflicts: { evaluation_year, evaluation_month, target_evaluation, source_evaluation }
+ */
+const findEvaluationConflicts = async (client, targetId, sourceId) => {
+  const result = await client.query(
+    `SELECT
+       t.evaluation_year,
+       t.evaluation_month,
+       json_build_object('id', t.id, 'percentage', t.percentage, 'status', t.status, 'is_frozen', t.is_frozen, 'created_at', t.created_at) as target_evaluation,
+       json_build_object('id', s.id, 'percentage', s.percentage, 'status', s.status, 'is_frozen', s.is_frozen, 'created_at', s.created_at) as source_evaluation
+     FROM evaluations t
+     INNER JOIN evaluations s
+       ON s.volunteer_id = $2
+       AND s.evaluation_year = t.evaluation_year
+       AND s.evaluation_month = t.evaluation_month
+     WHERE t.volunteer_id = $1
+     ORDER BY t.evaluation_year, t.evaluation_month`,
+    [targetId, sourceId]
+  );
+  return result.rows;
+};
+
+/**
+ * التحقق من أن كل تعارض له اختيار
+ * @param {Array} conflicts - From findEvaluationConflicts
+ * @param {Array} choices - [{ evaluation_year, evaluation_month, keep: 'target'|'source' }]
+ * @returns {Array} Conflicts without a choice
+ */
+const findUnresolvedConflicts = (conflicts, choices = []) => {
+  return conflicts.filter(conflict => !choices.some(choice =>
+    parseInt(choice.evaluation_year) === parseInt(conflict.evaluation_year) &&
+    parseInt(choice.evaluation_month) === parseInt(conflict.evaluation_month)
+  ));
+};
+
+/**
+ * نسخ فترات المراحل والأدوار من سجل المكرر السابقة لبداية سجل الباقي
+ * (آخر دور منسوخ ينتهي قبل أول دور للباقي بيوم)
+ * @param {Object} client - Database client inside a transaction
+ * @param {string} targetId - Surviving volunteer id
+ * @param {string} sourceId - Duplicate volunteer id
+ * @param {string} userId - Acting user id
+ * @returns {Promise<{state_transitions: number, role_history: number}>} Copied row counts
+ */
+const copyEarlierHistory = async (client, targetId, sourceId, userId) => {
+  const transitionsResult = await client.query(
+    `INSERT INTO volunteer_state_transitions (volunteer_id, from_state, to_state, reason, changed_by, changed_at)
+     SELECT $1, s.from_state, s.to_state, concat_ws(' - ', $3::text, s.reason), COALESCE(s.changed_by, $4), s.changed_at
+     FROM volunteer_state_transitions s
+     WHERE s.volunteer_id = $2
+       AND s.changed_at < (SELECT MIN(t.changed_at) FROM volunteer_state_transitions t WHERE t.volunteer_id = $1)`,
+    [targetId, sourceId, MERGED_HISTORY_REASON, userId]
+  );
+
+  const rolesResult = await client.query(
+    `WITH target_start AS (
+       SELECT MIN(start_date) as first_start FROM volunteer_role_history WHERE volunteer_id = $1
+     )
+     INSERT INTO volunteer_role_history (volunteer_id, role_type, start_date, end_date, reason, changed_by)
+     SELECT
+       $1,
+       s.role_type,
+       s.start_date,
+       LEAST(COALESCE(s.end_date, ts.first_start - 1), ts.first_start - 1),
+       concat_ws(' - ', $3::text, s.reason),
+       COALESCE(s.changed_by, $4)
+     FROM volunteer_role_history s
+     CROSS JOIN target_start ts
+     WHERE s.volunteer_id = $2 AND s.start_date < ts.first_start`,
+    [targetId, sourceId, MERGED_HISTORY_REASON, userId]
+  );
+
+  return { state_transitions: transitionsResult.rowCount, role_history: rolesResult.rowCount };
+};
+
+/**
+ * دمج المتطوع المكرر في الباقي
+ * @param {Object} client - Database client inside a transaction
+ * @param {Object} options - { target, source, conflicts, choices, userId }
+ * @returns {Promise<Object>} { moved, copied_history, discarded_evaluations, freeze_warnings }
+ */
+const mergeVolunteers = async (client, { target, source, conflicts, choices, userId }) => {
+  const discardedEvaluations = [];
+
+  // حذف التقييم غير المختار لكل شهر متعارض (مع حفظ لقطة لإمكانية استرجاعه)
+  for (const conflict of conflicts) {
+    const choice = choices.find(item =>
+      parseInt(item.evaluation_year) === parseInt(conflict.evaluation_year) &&
+      parseInt(item.evaluation_month) === parseInt(conflict.evaluation_month)
+    );
+    const discarded = choice.keep === 'source' ? conflict.target_evaluation : conflict.source_evaluation;
+    const discardedOwner = choice.keep === 'source' ? target.id : source.id;
+
+    const snapshot = await snapshotEvaluation(client, discarded.id);
+    const savedSnapshot = await saveDeletedSnapshot(client, 'evaluations', discarded.id, snapshot, userId);
+
+    await client.query('DELETE FROM evaluation_details WHERE evaluation_id = $1', [discarded.id]);
+    await client.query('DELETE FROM evaluations WHERE id = $1', [discarded.id]);
+
+    // تجميد الشهر المحذوف لا يحسب ضمن حد التجميد السنوي
+    await client.query(
+      `UPDATE freeze_records SET is_active = false
+       WHERE volunteer_id = $1 AND evaluation_year = $2 AND evaluation_month = $3`,
+      [discardedOwner, conflict.evaluation_year, conflict.evaluation_month]
+    );
+
+    discardedEvaluations.push({
+      evaluation_id: discarded.id,
+      evaluation_year: conflict.evaluation_year,
+      evaluation_month: conflict.evaluation_month,
+      kept: choice.keep,
+      deleted_record_id: savedSnapshot.id
+    });
+  }
+
+  const moved = {};
+  for (const table of MOVED_TABLES) {
+    const result = await client.query(
+      `UPDATE ${table} SET volunteer_id = $1 WHERE volunteer_id = $2`,
+      [target.id, source.id]
+    );
+    moved[table] = result.rowCount;
+  }
+
+  const copiedHistory = await copyEarlierHistory(client, target.id, source.id, userId);
+
+  // نقل الإسنادات بدون تكرار
+  const assignmentsResult = await client.query(
+    `INSERT INTO volunteer_assignments (volunteer_id, user_id, assigned_by)
+     SELECT $1, user_id, assigned_by FROM volunteer_assignments WHERE volunteer_id = $2
+     ON CONFLICT (volunteer_id, user_id) DO NOTHING`,
+    [target.id, source.id]
+  );
+  await client.query('DELETE FROM volunteer_assignments WHERE volunteer_id = $1', [source.id]);
+  moved.volunteer_assignments = assignmentsResult.rowCount;
+
+  // الحقول المخصصة الناقصة عند الباقي تكمل من المكرر (قيم الباقي لها الأولوية)
+  await client.query(
+    `UPDATE volunteers SET custom_fields = $1::jsonb || custom_fields WHERE id = $2`,
+    [JSON.stringify(source.custom_fields || {}), target.id]
+  );
+
+  // عضويات المكرر تبقى في سجله كتاريخ وتنتهي الجارية منها
+  await endVolunteerMemberships(client, source.id);
+
+  // أرشفة المتطوع المكرر مع الإشارة للباقي
+  await client.query(
+    `UPDATE volunteers
+     SET merged_into = $1, merged_at = CURRENT_TIMESTAMP, merged_by = $2,
+         archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP), archive_reason = $3, archived_by = $2,
+         updated_by = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4`,
+    [target.id, userId, `تم دمجه في المتطوع: ${target.full_name}`, source.id]
+  );
+
+  // السنوات التي تجاوزت حد التجميد بعد الدمج تحتاج مراجعة يدوية
+  const freezeResult = await client.query(
+    `SELECT freeze_year, COUNT(*) as freeze_count
+     FROM freeze_records
+     WHERE volunteer_id = $1 AND is_active = true
+     GROUP BY freeze_year
+     HAVING COUNT(*) > $2
+     ORDER BY freeze_year`,
+    [target.id, MAX_FREEZES_PER_YEAR]
+  );
+
+  return {
+    moved,
+    copied_history: copiedHistory,
+    discarded_evaluations: discardedEvaluations,
+    freeze_warnings: freezeResult.rows.map(row => ({
+      freeze_year: row.freeze_year,
+      freeze_count: parseInt(row.freeze_count),
+      limit: MAX_FREEZES_PER_YEAR
+    }))
+  };
+};
+
+module.exports = {
+  findEvaluationConflicts,
+  findUnresolvedConflicts,
+  mergeVolunteers
+};
@@ -0,0 +1,121 @@
+/**
+ * قواعد إنشاء المتطوعين المشتركة بين الإضافة الفردية والاستيراد
+ * Shared Volunteer Creation Rules
+ */
+
+const { body } = require('express-validator');
+const { isScopedUser, assignVolunteer } = require('./volunteerScope');
+const { normalizePhone } = require('./phone');
+const { ACTIVE_STATES, INITIAL_STATES, DEFAULT_INITIAL_STATE, recordTransition } = require('./lifecycle');
+
+const VOLUNTEER_ROLE_TYPES = ['ميداني', 'إداري', 'مسئول ملف'];
+const DEFAULT_ROLE_TYPE = 'ميداني';
+
+// الحقول التي يقبلها إنشاء المتطوع
+const VOLUNTEER_FIELDS = ['full_name', 'phone', 'join_date', 'role_type', 'personality_notes'];
+
+/**
+ * التحقق من إمكانية توحيد رقم الهاتف (express-validator custom)
+ * @param {string} value - Phone number as typed
+ * @returns {boolean} true when valid (throws otherwise)
+ */
+const isValidPhone = (value) => {
+  if (!normalizePhone(value)) {
+    throw new Error('رقم الهاتف غير صالح');
+  }
+  return true;
+};
+
+/**
+ * قواعد التحقق من بيانات متطوع جديد (express-validator)
+ * رقم الهاتف يخزن موحداً بصيغة E.164 بعد التحقق
+ * @returns {Array} Validation chains
+ */
+const volunteerCreateRules = () => [
+  body('full_name').notEmpty().withMessage('الاسم الكامل مطلوب'),
+  body('phone').notEmpty().withMessage('رقم الهاتف مطلوب').bail().custom(isValidPhone).bail().customSanitizer(normalizePhone),
+  body('role_type').optional().isIn(VOLUNTEER_ROLE_TYPES).withMessage('نوع الدور غير صالح'),
+  body('join_date').optional().isISO8601().withMessage('تاريخ الانضمام غير صالح'),
+  body('lifecycle_state').optional().isIn(INITIAL_STATES).withMessage('المرحلة الابتدائية غير صالحة'),
+  body('custom_fields').optional().isObject().withMessage('الحقول المخصصة يجب أن تكون كائن JSON')
+];
+
+/**
+ * إدراج متطوع مع إسناده لمن أضافه وملاحظة الترحيب وأول انتقال في سجل المراحل وأول دور في سجل الأدوار
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {Object} data - { full_name, phone, join_date, role_type, personality_notes, custom_fields, lifecycle_state }
+ * @param {Object} user - Acting user (req.user)
+ * @returns {Promise<Object>} Created volunteer row
+ */
+const insertVolunteer = async (client, data, user) => {
+  const {
+    full_name,
+    phone,
+    join_date,
+    role_type = DEFAULT_ROLE_TYPE,
+    personality_notes,
+    custom_fields = {},
+    lifecycle_state = DEFAULT_INITIAL_STATE
+  } = data;
+
+  const newVolunteer = await client.query(
+    `INSERT INTO volunteers (full_name, phone, join_date, role_type, personality_notes, custom_fields, lifecycle_state, is_active, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      full_name,
+      phone,
+      join_date || null,
+      role_type,
+      personality_notes || null,
+      JSON.stringify(custom_fields),
+      lifecycle_state,
+      ACTIVE_STATES.includes(lifecycle_state),
+      user.id
+    ]
+  );
+
+  const volunteer = newVolunteer.rows[0];
+
+  await recordTransition(client, {
+    volunteerId: volunteer.id,
+    fromState: null,
+    toState: lifecycle_state,
+    reason: 'إضافة المتطوع',
+    userId: user.id
+  });
+
+  // أول دور في سجل الأدوار يسري من تاريخ الانضمام
+  await client.query(
+    `INSERT INTO volunteer_role_history (volunteer_id, role_type, start_date, reason, changed_by)
+     VALUES ($1, $2, COALESCE($3::date, CURRENT_DATE), 'إضافة المتطوع', $4)`,
+    [volunteer.id, role_type, join_date || null, user.id]
+  );
+
+  // إسناد المتطوع لمن أضافه حتى يظل ضمن نطاقه (مفاتيح API ليس لها إسنادات)
+  if (user.id && isScopedUser(user)) {
+    await assignVolunteer(volunteer.id, user.id, user.id, client);
+  }
+
+  // إضافة ملاحظة ترحيبية
+  await client.query(
+    `INSERT INTO cumulative_notes (volunteer_id, note_type, content, is_positive, created_by)
+     VALUES ($1, 'achievement', $2, true, $3)`,
+    [
+      volunteer.id,
+      `مرحباً بانضمام ${full_name} لفريق متطوعي مشروع زاد. نتطلع لعطائه وإسهامه في خدمة المجتمع.`,
+      user.id
+    ]
+  );
+
+  return volunteer;
+};
+
+module.exports = {
+  VOLUNTEER_ROLE_TYPES,
+  DEFAULT_ROLE_TYPE,
+  VOLUNTEER_FIELDS,
+  isValidPhone,
+  volunteerCreateRules,
+  insertVolunteer
+};
@@ -0,0 +1,77 @@
+/**
+ * تقييد الوصول للمتطوعين حسب الإسناد
+ * Volunteer Access Scoping by Assignment
+ *
+ * المستخدم غير الأدمن يرى فقط المتطوعين المسندين إليه في volunteer_assignments،
+ * إلا إذا كان يملك صلاحية volunteers.view_all.
+ */
+
+const { query } = require('../config/database');
+const { hasPermission } = require('./permissions');
+
+/**
+ * هل وصول المستخدم مقيد بالمتطوعين المسندين إليه؟
+ * @param {Object} user - req.user
+ * @returns {boolean} Whether queries must be filtered by assignment
+ */
+const isScopedUser = (user) => !hasPermission(user, 'volunteers.view_all');
+
+/**
+ * شرط SQL يقصر النتائج على المتطوعين المسندين للمستخدم
+ * @param {Object} user - req.user
+ * @param {string} column - Volunteer id column to filter (e.g. 'v.id', 'e.volunteer_id')
+ * @param {number} paramIndex - Next free query parameter index
+ * @returns {{clause: string, params: Array}} Clause starting with AND (empty when unscoped) and its parameters
+ */
+const volunteerScopeClause = (user, column, paramIndex) => {
+  if (!isScopedUser(user)) {
+    return { clause: '', params: [] };
+  }
+
+  return {
+    clause: ` AND ${column} IN (SELECT volunteer_id FROM volunteer_assignments WHERE user_id = $${paramIndex})`,
+    params: [user.id]
+  };
+};
+
+/**
+ * التحقق من إمكانية وصول المستخدم لمتطوع محدد
+ * @param {Object} user - req.user
+ * @param {string} volunteerId - Volunteer id
+ * @returns {Promise<boolean>} Whether the user may access the volunteer
+ */
+const canAccessVolunteer = async (user, volunteerId) => {
+  if (!isScopedUser(user)) return true;
+
+  const result = await query(
+    'SELECT 1 FROM volunteer_assignments WHERE user_id = $1 AND volunteer_id = $2',
+    [user.id, volunteerId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * إسناد متطوع لمستخدم (بدون خطأ إذا كان مسنداً مسبقاً)
+ * @param {string} volunteerId - Volunteer id
+ * @param {string} userId - Assigned user id
+ * @param {string} assignedBy - Acting user id
+ * @param {Object} client - Optional database client (inside a transaction)
+ * @returns {Promise<boolean>} Whether a new assignment was created
+ */
+const assignVolunteer = async (volunteerId, userId, assignedBy, client = null) => {
+  const runner = client || { query };
+  const result = await runner.query(
+    `INSERT INTO volunteer_assignments (volunteer_id, user_id, assigned_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (volunteer_id, user_id) DO NOTHING`,
+    [volunteerId, userId, assignedBy]
+  );
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  isScopedUser,
+  volunteerScopeClause,
+  canAccessVolunteer,
+  assignVolunteer
+};
@@ -6,15 +6,194 @@
 const express = require('express');
 const { body, validationResult, query: expressQuery } = require('express-validator');
 const { query, transaction } = require('../config/database');
-const { authenticateToken, requireAdmin, requireEvaluator, logAuditTrail } = require('../middleware/auth');
+const { authenticateToken, requireAdmin, requirePermission, requireVolunteerAccess, logAuditTrail } = require('../middleware/auth');
+const multer = require('multer');
+const { hasPermission } = require('../utils/permissions');
+const { volunteerScopeClause } = require('../utils/volunteerScope');
+const {
+  membershipActiveAt,
+  evaluationTeamDate,
+  teamFilterClause,
+  volunteerFilterClause,
+  endVolunteerMemberships
+} = require('../utils/teams');
+const { snapshotVolunteer, saveDeletedSnapshot } = require('../utils/deletedRecords');
+const { VOLUNTEER_ROLE_TYPES, isValidPhone, volunteerCreateRules, insertVolunteer } = require('../utils/volunteerRecords');
+const {
+  LIFECYCLE_STATES,
+  LIFECYCLE_TRANSITIONS,
+  ACTIVE_STATES,
+  canTransition,
+  transitionVolunteer,
+  stateDurationsSql,
+  withStateLabels
+} = require('../utils/lifecycle');
+const { changeVolunteerRole, roleChangesSql } = require('../utils/roleHistory');
+const { normalizePhone, phoneSearchDigits } = require('../utils/phone');
+const { normalizeArabicName, nameSimilarity, escapeLike } = require('../utils/arabic');
+const { findEvaluationConflicts, findUnresolvedConflicts, mergeVolunteers } = require('../utils/volunteerMerge');
+const { EXPORT_CONTENT_TYPES, isSpreadsheetFile, readSpreadsheet, buildCsv, buildXlsx } = require('../utils/spreadsheet');
+const { IMPORT_MAX_ROWS, resolveColumnMapping, validateImportRows } = require('../utils/volunteerImport');
+const {
+  getActiveCustomFields,
+  validateCustomFieldValues,
+  customFieldFilterClause,
+  formatCustomFieldValue
+} = require('../utils/customFields');
 
 const router = express.Router();
 
+// رفع ملف الاستيراد في الذاكرة (لا يحفظ على القرص)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, callback) => callback(null, isSpreadsheetFile(file.originalname))
+});
+
+/**
+ * Middleware رفع ملف الاستيراد مع إرجاع أخطاء الرفع بصيغة الـ API
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const handleImportUpload = (req, res, next) => {
+  importUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE' ? 'حجم الملف أكبر من 5 ميجابايت' : 'خطأ في رفع الملف',
+        code: 'INVALID_IMPORT_FILE'
+      });
+    }
+    next();
+  });
+};
+
+// الفريق والفرع الحاليان للمتطوع v
+const CURRENT_TEAM_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT tm.team_id, t.name as team_name, t.branch_id, b.name as branch_name
+    FROM volunteer_team_memberships tm
+    INNER JOIN teams t ON tm.team_id = t.id
+    INNER JOIN branches b ON t.branch_id = b.id
+    WHERE tm.volunteer_id = v.id AND ${membershipActiveAt('tm', 'CURRENT_DATE')}
+    ORDER BY tm.start_date DESC
+    LIMIT 1
+  ) ct ON true
+`;
+
+/**
+ * بناء شروط وترتيب قائمة المتطوعين (مشتركة بين القائمة والتصدير)
+ * المؤرشفون مستبعدون افتراضياً: archived=true للمؤرشفين فقط و archived=all للجميع
+ * الحقول المخصصة تفلتر بالصيغة cf[key]=value، والفريق والفرع حسب العضوية الحالية
+ * البحث يقارن الاسم بعد normalize_arabic (أحمد = احمد، فاطمة = فاطمه) والنتائج ترتب حسب الصلة ما لم يحدد sort_by
+ * @param {Object} filters - req.query: search, role_type, is_active, lifecycle_state (comma separated), archived, team_id, branch_id, cf, sort_by, sort_order
+ * @param {Object} user - req.user (for assignment scoping)
+ * @param {Array} customFields - Active custom field definitions (needed when filtering by cf)
+ * @returns {{whereClause: string, queryParams: Array, orderBy: string, errors: string[]}} Query parts for the volunteers v alias
+ */
+const buildVolunteerListQuery = (filters, user, customFields = []) => {
+  const {
+    search,
+    role_type,
+    is_active,
+    lifecycle_state,
+    archived,
+    cf,
+    sort_by,
+    sort_order = 'desc'
+  } = filters;
+
+  let whereClause = 'WHERE 1=1';
+  const queryParams = [];
+  let paramIndex = 1;
+
+  if (archived === 'true') {
+    whereClause += ' AND v.archived_at IS NOT NULL';
+  } else if (archived !== 'all') {
+    whereClause += ' AND v.archived_at IS NULL';
+  }
+
+  let relevanceOrder = null;
+  if (search) {
+    // الاسم يوحد بنفس قواعد normalize_arabic في قاعدة البيانات (مفهرس بـ pg_trgm)
+    // والأرقام مخزنة بصيغة E.164 لذلك يبحث بالأرقام فقط بدون الصفر في البداية
+    // (نص البحث داخل LIKE مهرب حتى لا تعمل % و _ كرموز بدل)
+    const name = normalizeArabicName(search) || search;
+    const digits = phoneSearchDigits(search);
+    const nameIndex = paramIndex;
+    const likeIndex = paramIndex + 1;
+    const phoneIndex = paramIndex + 2;
+    const searchName = 'normalize_arabic(v.full_name)';
+
+    whereClause += ` AND (${searchName} LIKE '%' || $${likeIndex}::text || '%' ESCAPE '\\' OR v.phone LIKE $${phoneIndex} ESCAPE '\\')`;
+    queryParams.push(name, escapeLike(name), `%${escapeLike(digits.length >= 3 ? digits : search)}%`);
+    paramIndex += 3;
+
+    // الصلة: تطابق كامل ثم بداية الاسم ثم بداية كلمة ثم أي موضع، والتشابه يفاضل داخل كل درجة
+    relevanceOrder = `(CASE
+      WHEN ${searchName} = $${nameIndex} THEN 4
+      WHEN ${searchName} LIKE $${likeIndex} || '%' ESCAPE '\\' THEN 3
+      WHEN v.phone LIKE $${phoneIndex} ESCAPE '\\' THEN 3
+      WHEN ${searchName} LIKE '% ' || $${likeIndex} || '%' ESCAPE '\\' THEN 2
+      ELSE 1
+    END + similarity(${searchName}, $${nameIndex})) DESC, v.full_name ASC`;
+  }
+
+  if (role_type) {
+    whereClause += ` AND v.role_type = $${paramIndex}`;
+    queryParams.push(role_type);
+    paramIndex++;
+  }
+
+  if (is_active !== undefined) {
+    whereClause += ` AND v.is_active = $${paramIndex}`;
+    queryParams.push(is_active === 'true');
+    paramIndex++;
+  }
+
+  if (lifecycle_state) {
+    whereClause += ` AND v.lifecycle_state = ANY($${paramIndex})`;
+    queryParams.push(String(lifecycle_state).split(','));
+    paramIndex++;
+  }
+
+  const teamFilter = teamFilterClause(filters, 'v.id', paramIndex);
+  whereClause += teamFilter.clause;
+  queryParams.push(...teamFilter.params);
+  paramIndex += teamFilter.params.length;
+
+  const customFilter = customFieldFilterClause(customFields, cf, 'v.custom_fields', paramIndex);
+  whereClause += customFilter.clause;
+  queryParams.push(...customFilter.params);
+  paramIndex += customFilter.params.length;
+
+  // قصر النتائج على المتطوعين المسندين للمستخدم
+  const scope = volunteerScopeClause(user, 'v.id', paramIndex);
+  whereClause += scope.clause;
+  queryParams.push(...scope.params);
+
+  // التحقق من صحة ترتيب النتائج
+  const validSortFields = ['full_name', 'created_at', 'join_date', 'role_type'];
+  const validSortOrders = ['asc', 'desc'];
+
+  const sortBy = validSortFields.includes(sort_by) ? sort_by : 'created_at';
+  const sortOrder = validSortOrders.includes(String(sort_order).toLowerCase()) ? String(sort_order).toLowerCase() : 'desc';
+  const useRelevance = relevanceOrder && (sort_by === undefined || sort_by === 'relevance');
+
+  return {
+    whereClause,
+    queryParams,
+    orderBy: useRelevance ? relevanceOrder : `v.${sortBy} ${sortOrder}`,
+    errors: customFilter.errors
+  };
+};
+
 /**
  * جلب جميع المتطوعين
  * GET /api/volunteers
  */
-router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('volunteers.read'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -22,44 +201,31 @@ router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
       search, 
       role_type, 
       is_active,
-      sort_by = 'created_at',
-      sort_order = 'desc'
+      lifecycle_state,
+      archived,
+      team_id,
+      branch_id,
+      cf
     } = req.query;
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    // بناء شروط البحث
-    let whereClause = 'WHERE 1=1';
-    const queryParams = [];
-    let paramIndex = 1;
-
-    if (search) {
-      whereClause += ` AND (full_name ILIKE $${paramIndex} OR phone ILIKE $${paramIndex})`;
-      queryParams.push(`%${search}%`);
-      paramIndex++;
-    }
-
-    if (role_type) {
-      whereClause += ` AND role_type = $${paramIndex}`;
-      queryParams.push(role_type);
-      paramIndex++;
-    }
+    // بناء شروط البحث والترتيب
+    const customFields = cf ? await getActiveCustomFields() : [];
+    const { whereClause, queryParams, orderBy, errors: filterErrors } = buildVolunteerListQuery(req.query, req.user, customFields);
+    const paramIndex = queryParams.length + 1;
 
-    if (is_active !== undefined) {
-      whereClause += ` AND is_active = $${paramIndex}`;
-      queryParams.push(is_active === 'true');
-      paramIndex++;
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'فلاتر الحقول المخصصة غير صحيحة',
+        code: 'INVALID_CUSTOM_FIELD_FILTER',
+        errors: filterErrors
+      });
     }
 
-    // التحقق من صحة ترتيب النتائج
-    const validSortFields = ['full_name', 'created_at', 'join_date', 'role_type'];
-    const validSortOrders = ['asc', 'desc'];
-    
-    const sortBy = validSortFields.includes(sort_by) ? sort_by : 'created_at';
-    const sortOrder = validSortOrders.includes(sort_order.toLowerCase()) ? sort_order.toLowerCase() : 'desc';
-
     // إحصاء إجمالي
-    const countQuery = `SELECT COUNT(*) as total FROM volunteers ${whereClause}`;
+    const countQuery = `SELECT COUNT(*) as total FROM volunteers v ${whereClause}`;
     const countResult = await query(countQuery, queryParams);
     const total = parseInt(countResult.rows[0].total);
 
@@ -79,10 +245,15 @@ router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
             AND fr2.is_active = true
           ) THEN true 
           ELSE false 
-        END as is_currently_frozen
+        END as is_currently_frozen,
+        ct.team_id as current_team_id,
+        ct.team_name as current_team_name,
+        ct.branch_id as current_branch_id,
+        ct.branch_name as current_branch_name
       FROM volunteers v
       LEFT JOIN users u1 ON v.created_by = u1.id
       LEFT JOIN users u2 ON v.updated_by = u2.id
+      ${CURRENT_TEAM_JOIN}
       LEFT JOIN (
         SELECT volunteer_id, COUNT(*) as freeze_count
         FROM freeze_records
@@ -90,7 +261,7 @@ router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
         GROUP BY volunteer_id
       ) fr ON v.id = fr.volunteer_id
       ${whereClause}
-      ORDER BY ${sortBy} ${sortOrder}
+      ORDER BY ${orderBy}
       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
     `;
 
@@ -109,7 +280,12 @@ router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
         filters: {
           search: search || null,
           role_type: role_type || null,
-          is_active: is_active || null
+          is_active: is_active || null,
+          lifecycle_state: lifecycle_state || null,
+          archived: archived || 'false',
+          team_id: team_id || null,
+          branch_id: branch_id || null,
+          custom_fields: cf || null
         }
       }
     });
@@ -124,11 +300,288 @@ router.get('/', authenticateToken, requireEvaluator, async (req, res) => {
   }
 });
 
+// أعمدة ملف تصدير المتطوعين بعناوين عربية
+const VOLUNTEER_EXPORT_COLUMNS = [
+  { header: 'الاسم الكامل', key: 'full_name', width: 30 },
+  { header: 'رقم الهاتف', key: 'phone', width: 18 },
+  { header: 'نوع الدور', key: 'role_type', width: 14 },
+  { header: 'الفرع', key: 'branch_name', width: 18 },
+  { header: 'الفريق', key: 'team_name', width: 18 },
+  { header: 'تاريخ الانضمام', key: 'join_date', width: 15 },
+  { header: 'المرحلة', key: 'status', width: 14 },
+  { header: 'مجمد حالياً', key: 'frozen', width: 12 },
+  { header: 'عدد التجميدات هذا العام', key: 'current_freeze_count', width: 22 },
+  { header: 'آخر تقييم', key: 'latest_evaluation_period', width: 12 },
+  { header: 'نسبة آخر تقييم %', key: 'latest_evaluation_percentage', width: 16 },
+  { header: 'ملاحظات', key: 'personality_notes', width: 40 }
+];
+
+/**
+ * تصدير قائمة المتطوعين (بنفس فلاتر القائمة) إلى CSV أو XLSX
+ * GET /api/volunteers/export?format=csv|xlsx
+ */
+router.get('/export', authenticateToken, requirePermission('volunteers.read'), requirePermission('reports.export'), async (req, res) => {
+  try {
+    const { format = 'xlsx', search, role_type, is_active, lifecycle_state, archived, team_id, branch_id, cf } = req.query;
+
+    if (!EXPORT_CONTENT_TYPES[format]) {
+      return res.status(400).json({
+        success: false,
+        message: 'صيغة التصدير يجب أن تكون csv أو xlsx',
+        code: 'INVALID_EXPORT_FORMAT'
+      });
+    }
+
+    const customFields = await getActiveCustomFields();
+    const { whereClause, queryParams, orderBy, errors: filterErrors } = buildVolunteerListQuery(req.query, req.user, customFields);
+
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'فلاتر الحقول المخصصة غير صحيحة',
+        code: 'INVALID_CUSTOM_FIELD_FILTER',
+        errors: filterErrors
+      });
+    }
+
+    const volunteersResult = await query(
+      `SELECT
+         v.full_name,
+         v.phone,
+         v.role_type,
+         v.join_date,
+         v.lifecycle_state,
+         v.personality_notes,
+         v.custom_fields,
+         ct.team_name,
+         ct.branch_name,
+         COALESCE(fr.freeze_count, 0)::int as current_freeze_count,
+         EXISTS(
+           SELECT 1 FROM freeze_records fr2
+           WHERE fr2.volunteer_id = v.id
+           AND CURRENT_DATE BETWEEN fr2.start_date AND fr2.end_date
+           AND fr2.is_active = true
+         ) as is_currently_frozen,
+         le.percentage as latest_evaluation_percentage,
+         le.evaluation_month as latest_evaluation_month,
+         le.evaluation_year as latest_evaluation_year
+       FROM volunteers v
+       LEFT JOIN (
+         SELECT volunteer_id, COUNT(*) as freeze_count
+         FROM freeze_records
+         WHERE freeze_year = EXTRACT(YEAR FROM CURRENT_DATE) AND is_active = true
+         GROUP BY volunteer_id
+       ) fr ON v.id = fr.volunteer_id
+       ${CURRENT_TEAM_JOIN}
+       LEFT JOIN LATERAL (
+         SELECT percentage, evaluation_month, evaluation_year
+         FROM evaluations
+         WHERE volunteer_id = v.id
+         ORDER BY evaluation_year DESC, evaluation_month DESC
+         LIMIT 1
+       ) le ON true
+       ${whereClause}
+       ORDER BY ${orderBy}`,
+      queryParams
+    );
+
+    // أعمدة الحقول المخصصة المفعلة بعد الأعمدة الأساسية
+    const columns = [
+      ...VOLUNTEER_EXPORT_COLUMNS,
+      ...customFields.map(field => ({ header: field.label_ar, key: `cf_${field.key}`, width: 18 }))
+    ];
+
+    const rows = volunteersResult.rows.map(volunteer => ({
+      ...volunteer,
+      ...Object.fromEntries(customFields.map(field => [
+        `cf_${field.key}`,
+        formatCustomFieldValue(field, volunteer.custom_fields[field.key])
+      ])),
+      status: LIFECYCLE_STATES[volunteer.lifecycle_state].label,
+      frozen: volunteer.is_currently_frozen ? 'نعم' : 'لا',
+      latest_evaluation_period: volunteer.latest_evaluation_year
+        ? `${volunteer.latest_evaluation_month}/${volunteer.latest_evaluation_year}`
+        : null,
+      latest_evaluation_percentage: volunteer.latest_evaluation_percentage === null
+        ? null
+        : parseFloat(volunteer.latest_evaluation_percentage)
+    }));
+
+    const file = format === 'csv'
+      ? buildCsv(columns, rows)
+      : await buildXlsx(columns, rows, 'المتطوعين');
+
+    // تسجيل العملية
+    await logAuditTrail(
+      req,
+      'EXPORT',
+      'volunteers',
+      null,
+      null,
+      {
+        format,
+        filters: { search: search || null, role_type: role_type || null, is_active: is_active || null, lifecycle_state: lifecycle_state || null, archived: archived || 'false', team_id: team_id || null, branch_id: branch_id || null, custom_fields: cf || null },
+        count: rows.length
+      },
+      `تصدير قائمة المتطوعين (${rows.length} متطوع) بصيغة ${format}`
+    );
+
+    const filename = `volunteers-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(file);
+
+  } catch (error) {
+    console.error('❌ خطأ في تصدير المتطوعين:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في تصدير بيانات المتطوعين',
+      code: 'EXPORT_VOLUNTEERS_ERROR'
+    });
+  }
+});
+
+// أقصى عدد أزواج مرشحة تفحص في طلب واحد، وأدنى حد Trigram للتصفية الأولية
+const DUPLICATE_PAIR_LIMIT = 5000;
+const DUPLICATE_TRIGRAM_FLOOR = 0.3;
+
+/**
+ * المتطوعون المحتمل تكرارهم: نفس رقم الهاتف بعد التوحيد أو أسماء عربية شبه متطابقة
+ * GET /api/volunteers/duplicates
+ */
+router.get('/duplicates', authenticateToken, requirePermission('volunteers.read'), async (req, res) => {
+  try {
+    const { include_archived = 'false', threshold = 0.85, limit = 100 } = req.query;
+    const minSimilarity = Math.min(Math.max(parseFloat(threshold) || 0.85, 0.5), 1);
+
+    let whereClause = 'WHERE 1=1';
+    if (include_archived !== 'true') {
+      whereClause += ' AND v.archived_at IS NULL';
+    }
+
+    const scope = volunteerScopeClause(req.user, 'v.id', 1);
+    whereClause += scope.clause;
+
+    // الأزواج المرشحة تولد في قاعدة البيانات: نفس الهاتف الموحد، أو تشابه Trigram بين الأسماء الموحدة
+    // (فهرس idx_volunteers_name_search). حد الـ Trigram أوسع من حد التشابه لأنه مجرد تصفية أولية،
+    // والنسبة النهائية تحسب بـ nameSimilarity على الأزواج المرشحة فقط
+    const trigramThreshold = Math.max(DUPLICATE_TRIGRAM_FLOOR, minSimilarity - 0.3);
+
+    const { pairs, checkedVolunteers } = await transaction(async (client) => {
+      await client.query(`SELECT set_config('pg_trgm.similarity_threshold', $1, true)`, [String(trigramThreshold)]);
+
+      const pairsResult = await client.query(
+        `WITH scoped AS (
+           SELECT v.id, normalize_phone_e164(v.phone) as normalized_phone, normalize_arabic(v.full_name) as normalized_name
+           FROM volunteers v
+           ${whereClause}
+         ),
+         phone_pairs AS (
+           SELECT a.id as first_id, b.id as second_id
+           FROM scoped a
+           JOIN scoped b ON b.normalized_phone = a.normalized_phone AND b.id > a.id
+         ),
+         name_pairs AS (
+           SELECT a.id as first_id, b.id as second_id
+           FROM scoped a
+           JOIN volunteers bv ON normalize_arabic(bv.full_name) % a.normalized_name AND bv.id > a.id
+           JOIN scoped b ON b.id = bv.id
+           WHERE a.normalized_name <> ''
+         )
+         SELECT
+           pairs.first_id,
+           pairs.second_id,
+           bool_or(pairs.same_phone) as same_phone
+         FROM (
+           SELECT first_id, second_id, true as same_phone FROM phone_pairs
+           UNION ALL
+           SELECT first_id, second_id, false as same_phone FROM name_pairs
+         ) pairs
+         GROUP BY pairs.first_id, pairs.second_id
+         ORDER BY bool_or(pairs.same_phone) DESC
+         LIMIT $${scope.params.length + 1}`,
+        [...scope.params, DUPLICATE_PAIR_LIMIT + 1]
+      );
+
+      const countResult = await client.query(
+        `SELECT COUNT(*) as total FROM volunteers v ${whereClause}`,
+        scope.params
+      );
+
+      return { pairs: pairsResult.rows, checkedVolunteers: parseInt(countResult.rows[0].total) };
+    });
+
+    const truncated = pairs.length > DUPLICATE_PAIR_LIMIT;
+    const candidatePairs = pairs.slice(0, DUPLICATE_PAIR_LIMIT);
+
+    const candidateIds = [...new Set(candidatePairs.flatMap(pair => [pair.first_id, pair.second_id]))];
+    const volunteersResult = candidateIds.length === 0
+      ? { rows: [] }
+      : await query(
+        `SELECT v.id, v.full_name, v.phone, v.role_type, v.is_active, v.archived_at, v.created_at
+         FROM volunteers v
+         WHERE v.id = ANY($1::uuid[])`,
+        [candidateIds]
+      );
+
+    const volunteersById = new Map(volunteersResult.rows.map(volunteer => [volunteer.id, volunteer]));
+
+    const candidates = [];
+    for (const pair of candidatePairs) {
+      // الأقدم أولاً كما في نتائج الدمج
+      const [a, b] = [volunteersById.get(pair.first_id), volunteersById.get(pair.second_id)]
+        .sort((x, y) => new Date(x.created_at) - new Date(y.created_at));
+      const reasons = pair.same_phone ? ['same_phone'] : [];
+
+      // الأسماء الفارغة بعد التوحيد لا تقارن
+      const nameA = normalizeArabicName(a.full_name);
+      const nameB = normalizeArabicName(b.full_name);
+      const similarity = nameA && nameB ? nameSimilarity(nameA, nameB) : 0;
+
+      if (similarity >= minSimilarity) {
+        reasons.push(similarity === 1 ? 'same_name' : 'similar_name');
+      }
+
+      if (reasons.length > 0) {
+        candidates.push({
+          reasons,
+          name_similarity: Math.round(similarity * 100) / 100,
+          volunteers: [a, b]
+        });
+      }
+    }
+
+    // تطابق الهاتف أولاً ثم الأعلى تشابهاً
+    candidates.sort((x, y) =>
+      (y.reasons.includes('same_phone') - x.reasons.includes('same_phone')) || (y.name_similarity - x.name_similarity)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        candidates: candidates.slice(0, parseInt(limit)),
+        total_candidates: candidates.length,
+        checked_volunteers: checkedVolunteers,
+        threshold: minSimilarity,
+        truncated
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في البحث عن المتطوعين المكررين:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في البحث عن المتطوعين المكررين',
+      code: 'GET_DUPLICATE_VOLUNTEERS_ERROR'
+    });
+  }
+});
+
 /**
  * جلب بيانات متطوع محدد
  * GET /api/volunteers/:id
  */
-router.get('/:id', authenticateToken, requireEvaluator, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('volunteers.read'), requireVolunteerAccess(req => req.params.id), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -146,10 +599,17 @@ router.get('/:id', authenticateToken, requireEvaluator, async (req, res) => {
             AND fr2.is_active = true
           ) THEN true 
           ELSE false 
-        END as is_currently_frozen
+        END as is_currently_frozen,
+        ct.team_id as current_team_id,
+        ct.team_name as current_team_name,
+        ct.branch_id as current_branch_id,
+        ct.branch_name as current_branch_name,
+        mv.full_name as merged_into_name
       FROM volunteers v
       LEFT JOIN users u1 ON v.created_by = u1.id
       LEFT JOIN users u2 ON v.updated_by = u2.id
+      LEFT JOIN volunteers mv ON v.merged_into = mv.id
+      ${CURRENT_TEAM_JOIN}
       LEFT JOIN (
         SELECT volunteer_id, COUNT(*) as freeze_count
         FROM freeze_records
@@ -189,15 +649,15 @@ router.get('/:id', authenticateToken, requireEvaluator, async (req, res) => {
 
     const evaluationsResult = await query(recentEvaluationsQuery, [id]);
 
-    // جلب الملاحظات التراكمية
+    // جلب الملاحظات التراكمية (الخاصة للمقيمين فقط)
     const cumulativeNotesQuery = `
       SELECT 
         cn.*,
         u.full_name as created_by_name
       FROM cumulative_notes cn
       LEFT JOIN users u ON cn.created_by = u.id
-      WHERE cn.volunteer_id = $1
-      ORDER BY cn.created_at DESC
+      WHERE cn.volunteer_id = $1${hasPermission(req.user, 'notes.write') ? '' : " AND cn.visibility = 'shared'"}
+      ORDER BY cn.is_pinned DESC, cn.created_at DESC
       LIMIT 10
     `;
 
@@ -222,7 +682,9 @@ router.get('/:id', authenticateToken, requireEvaluator, async (req, res) => {
         volunteer: volunteer,
         recent_evaluations: evaluationsResult.rows,
         cumulative_notes: notesResult.rows,
-        active_alerts: alertsResult.rows
+        active_alerts: alertsResult.rows,
+        // المتطوع المدمج نقلت تقييماته وملاحظاته للمتطوع الباقي
+        merged_into: volunteer.merged_into ? { id: volunteer.merged_into, full_name: volunteer.merged_into_name } : null
       }
     });
 
@@ -242,11 +704,8 @@ router.get('/:id', authenticateToken, requireEvaluator, async (req, res) => {
  */
 router.post('/', [
   authenticateToken,
-  requireEvaluator,
-  body('full_name').notEmpty().withMessage('الاسم الكامل مطلوب'),
-  body('phone').notEmpty().withMessage('رقم الهاتف مطلوب'),
-  body('role_type').optional().isIn(['ميداني', 'إداري', 'مسئول ملف']).withMessage('نوع الدور غير صالح'),
-  body('join_date').optional().isISO8601().withMessage('تاريخ الانضمام غير صالح')
+  requirePermission('volunteers.create'),
+  ...volunteerCreateRules()
 ], async (req, res) => {
   try {
     // التحقق من صحة البيانات
@@ -259,13 +718,19 @@ router.post('/', [
       });
     }
 
-    const { 
-      full_name, 
-      phone, 
-      join_date, 
-      role_type = 'ميداني', 
-      personality_notes 
-    } = req.body;
+    const { full_name, phone } = req.body;
+
+    // التحقق من الحقول المخصصة حسب تعريفاتها الحالية
+    const customFields = await getActiveCustomFields();
+    const customResult = validateCustomFieldValues(customFields, req.body.custom_fields || {});
+    if (customResult.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'قيم الحقول المخصصة غير صحيحة',
+        code: 'INVALID_CUSTOM_FIELDS',
+        errors: customResult.errors
+      });
+    }
 
     // التحقق من عدم تكرار رقم الهاتف
     const existingVolunteer = await query(
@@ -281,38 +746,16 @@ router.post('/', [
       });
     }
 
-    // إضافة المتطوع الجديد
-    const newVolunteerQuery = `
-      INSERT INTO volunteers (full_name, phone, join_date, role_type, personality_notes, created_by)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING *
-    `;
-
-    const newVolunteer = await query(newVolunteerQuery, [
-      full_name,
-      phone,
-      join_date || null,
-      role_type,
-      personality_notes || null,
-      req.user.id
-    ]);
-
-    const volunteer = newVolunteer.rows[0];
+    // إضافة المتطوع الجديد مع إسناده وملاحظة الترحيب
+    const volunteer = await transaction(client => insertVolunteer(
+      client,
+      { ...req.body, custom_fields: customResult.values },
+      req.user
+    ));
 
     // تسجيل العملية
     await logAuditTrail(req, 'CREATE', 'volunteers', volunteer.id, null, volunteer, `إضافة متطوع جديد: ${full_name}`);
 
-    // إضافة ملاحظة ترحيبية
-    await query(
-      `INSERT INTO cumulative_notes (volunteer_id, note_type, content, is_positive, created_by)
-       VALUES ($1, 'achievement', $2, true, $3)`,
-      [
-        volunteer.id,
-        `مرحباً بانضمام ${full_name} لفريق متطوعي مشروع زاد. نتطلع لعطائه وإسهامه في خدمة المجتمع.`,
-        req.user.id
-      ]
-    );
-
     res.status(201).json({
       success: true,
       message: 'تم إضافة المتطوع بنجاح',
@@ -331,17 +774,168 @@ router.post('/', [
   }
 });
 
+/**
+ * استيراد متطوعين من ملف CSV أو XLSX
+ * POST /api/volunteers/import
+ *
+ * multipart/form-data: file (الملف)، dry_run=true للتحقق فقط،
+ * mapping (اختياري) JSON بالشكل {"full_name": "اسم العمود", ...} ويقبل مفاتيح الحقول المخصصة
+ */
+router.post('/import', [
+  authenticateToken,
+  requirePermission('volunteers.create'),
+  handleImportUpload
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'ملف الاستيراد مطلوب (CSV أو XLSX)',
+        code: 'IMPORT_FILE_REQUIRED'
+      });
+    }
+
+    const dryRun = req.body.dry_run === 'true' || req.query.dry_run === 'true';
+
+    let explicitMapping = {};
+    if (req.body.mapping) {
+      try {
+        explicitMapping = JSON.parse(req.body.mapping);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'ربط الأعمدة يجب أن يكون JSON صالح',
+          code: 'INVALID_IMPORT_MAPPING'
+        });
+      }
+    }
+
+    let sheet;
+    try {
+      sheet = await readSpreadsheet(req.file.buffer, req.file.originalname);
+    } catch (readError) {
+      return res.status(400).json({
+        success: false,
+        message: 'تعذرت قراءة الملف، تأكد أنه CSV أو XLSX صالح',
+        code: 'INVALID_IMPORT_FILE'
+      });
+    }
+
+    const customFields = await getActiveCustomFields();
+    const { mapping, errors: mappingErrors } = resolveColumnMapping(sheet.headers, explicitMapping, customFields);
+    if (mappingErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'تعذر ربط أعمدة الملف بحقول المتطوع',
+        code: 'INVALID_IMPORT_COLUMNS',
+        errors: mappingErrors,
+        headers: sheet.headers
+      });
+    }
+
+    if (sheet.rows.length === 0 || sheet.rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `عدد الصفوف يجب أن يكون بين 1 و ${IMPORT_MAX_ROWS}`,
+        code: 'INVALID_IMPORT_ROW_COUNT'
+      });
+    }
+
+    const rows = await validateImportRows(sheet.rows, mapping, customFields);
+    const invalidRows = rows.filter(row => row.errors.length > 0);
+
+    const summary = {
+      total_rows: rows.length,
+      valid_rows: rows.length - invalidRows.length,
+      invalid_rows: invalidRows.length
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: invalidRows.length === 0 ? 'جميع الصفوف صالحة للاستيراد' : 'توجد أخطاء في بعض الصفوف',
+        data: {
+          dry_run: true,
+          mapping,
+          summary,
+          rows
+        }
+      });
+    }
+
+    // الاستيراد يتم كاملاً أو لا يتم
+    if (invalidRows.length > 0) {
+      return res.status(422).json({
+        success: false,
+        message: 'لم يتم استيراد أي متطوع لوجود أخطاء في بعض الصفوف',
+        code: 'IMPORT_VALIDATION_FAILED',
+        data: {
+          mapping,
+          summary,
+          errors: invalidRows.map(({ row, errors }) => ({ row, errors }))
+        }
+      });
+    }
+
+    const volunteers = await transaction(async (client) => {
+      const created = [];
+      for (const row of rows) {
+        created.push(await insertVolunteer(client, row.data, req.user));
+      }
+      return created;
+    });
+
+    // تسجيل العمليات
+    for (const volunteer of volunteers) {
+      await logAuditTrail(req, 'CREATE', 'volunteers', volunteer.id, null, volunteer, `إضافة متطوع جديد بالاستيراد: ${volunteer.full_name}`);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `تم استيراد ${volunteers.length} متطوع بنجاح`,
+      data: {
+        dry_run: false,
+        mapping,
+        summary,
+        volunteers: volunteers.map(volunteer => ({
+          id: volunteer.id,
+          full_name: volunteer.full_name,
+          phone: volunteer.phone
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في استيراد المتطوعين:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في استيراد المتطوعين',
+      code: 'IMPORT_VOLUNTEERS_ERROR'
+    });
+  }
+});
+
 /**
  * تحديث بيانات متطوع
  * PUT /api/volunteers/:id
+ *
+ * تغيير role_type يسجل في سجل الأدوار اعتباراً من role_effective_date (اليوم افتراضياً)
  */
 router.put('/:id', [
   authenticateToken,
-  requireEvaluator,
+  requirePermission('volunteers.update'),
+  requireVolunteerAccess(req => req.params.id),
   body('full_name').optional().notEmpty().withMessage('الاسم الكامل لا يمكن أن يكون فارغاً'),
-  body('phone').optional().notEmpty().withMessage('رقم الهاتف لا يمكن أن يكون فارغاً'),
-  body('role_type').optional().isIn(['ميداني', 'إداري', 'مسئول ملف']).withMessage('نوع الدور غير صالح'),
-  body('join_date').optional().isISO8601().withMessage('تاريخ الانضمام غير صالح')
+  body('phone').optional().notEmpty().withMessage('رقم الهاتف لا يمكن أن يكون فارغاً').bail().custom(isValidPhone).bail().customSanitizer(normalizePhone),
+  body('role_type').optional().isIn(VOLUNTEER_ROLE_TYPES).withMessage('نوع الدور غير صالح'),
+  body('role_effective_date')
+    .optional()
+    .isISO8601().withMessage('تاريخ سريان الدور غير صالح')
+    .bail()
+    .custom(value => value.slice(0, 10) <= new Date().toISOString().slice(0, 10)).withMessage('تاريخ سريان الدور لا يمكن أن يكون في المستقبل'),
+  body('role_change_reason').optional().isString().withMessage('سبب تغيير الدور يجب أن يكون نصاً'),
+  body('join_date').optional().isISO8601().withMessage('تاريخ الانضمام غير صالح'),
+  body('custom_fields').optional().isObject().withMessage('الحقول المخصصة يجب أن تكون كائن JSON')
 ], async (req, res) => {
   try {
     // التحقق من صحة البيانات
@@ -355,7 +949,7 @@ router.put('/:id', [
     }
 
     const { id } = req.params;
-    const { full_name, phone, join_date, role_type, personality_notes } = req.body;
+    const { full_name, phone, join_date, role_type, personality_notes, custom_fields, role_change_reason } = req.body;
 
     // التحقق من وجود المتطوع
     const existingVolunteerResult = await query('SELECT * FROM volunteers WHERE id = $1', [id]);
@@ -420,6 +1014,24 @@ router.put('/:id', [
       paramIndex++;
     }
 
+    // الحقول المخصصة تحدث جزئياً: المرسل فقط يتغير والقيمة الفارغة تحذف الحقل
+    if (custom_fields !== undefined) {
+      const customFields = await getActiveCustomFields();
+      const customResult = validateCustomFieldValues(customFields, custom_fields, { existing: oldVolunteer.custom_fields });
+      if (customResult.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'قيم الحقول المخصصة غير صحيحة',
+          code: 'INVALID_CUSTOM_FIELDS',
+          errors: customResult.errors
+        });
+      }
+
+      updates.push(`custom_fields = $${paramIndex}`);
+      values.push(JSON.stringify(customResult.values));
+      paramIndex++;
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({
         success: false,
@@ -443,17 +1055,60 @@ router.put('/:id', [
       RETURNING *
     `;
 
-    const updatedVolunteer = await query(updateQuery, values);
-    const newVolunteer = updatedVolunteer.rows[0];
+    const roleChanged = role_type !== undefined && role_type !== oldVolunteer.role_type;
+
+    const outcome = await transaction(async (client) => {
+      let roleChange = null;
+      if (roleChanged) {
+        roleChange = await changeVolunteerRole(client, {
+          volunteerId: id,
+          roleType: role_type,
+          effectiveDate: req.body.role_effective_date || new Date().toISOString().slice(0, 10),
+          reason: role_change_reason,
+          userId: req.user.id
+        });
+
+        if (roleChange.status === 'date_conflict') {
+          return roleChange;
+        }
+      }
+
+      const updatedVolunteer = await client.query(updateQuery, values);
+      return { status: 'updated', volunteer: updatedVolunteer.rows[0], role: roleChange && roleChange.role };
+    });
+
+    if (outcome.status === 'date_conflict') {
+      return res.status(409).json({
+        success: false,
+        message: 'تاريخ سريان الدور يجب أن يكون بعد بداية الدور الحالي',
+        code: 'ROLE_DATE_CONFLICT',
+        current_role: outcome.current
+      });
+    }
+
+    const newVolunteer = outcome.volunteer;
 
     // تسجيل العملية
     await logAuditTrail(req, 'UPDATE', 'volunteers', id, oldVolunteer, newVolunteer, `تحديث بيانات المتطوع: ${newVolunteer.full_name}`);
 
+    if (outcome.role) {
+      await logAuditTrail(
+        req,
+        'ROLE_CHANGE',
+        'volunteers',
+        id,
+        { role_type: oldVolunteer.role_type },
+        { role_type: outcome.role.role_type, effective_date: outcome.role.start_date, reason: outcome.role.reason },
+        `تغيير دور المتطوع ${newVolunteer.full_name}: ${oldVolunteer.role_type} → ${outcome.role.role_type}`
+      );
+    }
+
     res.json({
       success: true,
       message: 'تم تحديث بيانات المتطوع بنجاح',
       data: {
-        volunteer: newVolunteer
+        volunteer: newVolunteer,
+        role_change: outcome.role || null
       }
     });
 
@@ -467,61 +1122,111 @@ router.put('/:id', [
   }
 });
 
+// سبب الانتقال لطلبات { is_active } القديمة التي لا ترسل سبباً
+const DEFAULT_STATUS_REASON = 'تغيير حالة المتطوع';
+
 /**
- * إيقاف/تفعيل متطوع
+ * نقل المتطوع لمرحلة جديدة من مراحل حياته
  * PATCH /api/volunteers/:id/status
+ *
+ * body: { state, reason } - ويقبل { is_active, reason } القديمة (true = active و false = on_leave)
+ * السبب مطلوب مع state، واختياري مع is_active القديمة (بدونه يسجل DEFAULT_STATUS_REASON)
  */
-router.patch('/:id/status', authenticateToken, requireEvaluator, async (req, res) => {
+router.patch('/:id/status', authenticateToken, requirePermission('volunteers.change_status'), requireVolunteerAccess(req => req.params.id), async (req, res) => {
   try {
     const { id } = req.params;
-    const { is_active, reason } = req.body;
+    const { is_active } = req.body;
+    let reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    let { state } = req.body;
+
+    if (state === undefined && typeof is_active === 'boolean') {
+      state = is_active ? 'active' : 'on_leave';
+      reason = reason || DEFAULT_STATUS_REASON;
+    }
 
-    if (typeof is_active !== 'boolean') {
+    if (!LIFECYCLE_STATES[state]) {
       return res.status(400).json({
         success: false,
-        message: 'حالة التفعيل يجب أن تكون true أو false',
+        message: `المرحلة يجب أن تكون من: ${Object.keys(LIFECYCLE_STATES).join('، ')}`,
         code: 'INVALID_STATUS'
       });
     }
 
-    // التحقق من وجود المتطوع
-    const existingVolunteerResult = await query('SELECT * FROM volunteers WHERE id = $1', [id]);
-    if (existingVolunteerResult.rows.length === 0) {
-      return res.status(404).json({
+    if (!reason) {
+      return res.status(400).json({
         success: false,
-        message: 'المتطوع غير موجود',
-        code: 'VOLUNTEER_NOT_FOUND'
+        message: 'سبب تغيير المرحلة مطلوب',
+        code: 'STATUS_REASON_REQUIRED'
       });
     }
 
-    const oldVolunteer = existingVolunteerResult.rows[0];
+    const outcome = await transaction(async (client) => {
+      const existingVolunteerResult = await client.query('SELECT * FROM volunteers WHERE id = $1 FOR UPDATE', [id]);
+      const oldVolunteer = existingVolunteerResult.rows[0];
 
-    // تحديث الحالة
-    const updatedVolunteer = await query(
-      'UPDATE volunteers SET is_active = $1, updated_by = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *',
-      [is_active, req.user.id, id]
-    );
+      if (!oldVolunteer) {
+        return { status: 'not_found' };
+      }
+
+      if (!canTransition(oldVolunteer.lifecycle_state, state)) {
+        return { status: 'invalid_transition', oldVolunteer };
+      }
 
-    const newVolunteer = updatedVolunteer.rows[0];
+      const { volunteer, transition } = await transitionVolunteer(client, oldVolunteer, state, reason, req.user.id);
+
+      // ملاحظة تراكمية تظهر في ملف المتطوع
+      await client.query(
+        `INSERT INTO cumulative_notes (volunteer_id, note_type, content, is_positive, created_by)
+         VALUES ($1, 'improvement', $2, $3, $4)`,
+        [
+          id,
+          `انتقال من مرحلة ${LIFECYCLE_STATES[oldVolunteer.lifecycle_state].label} إلى ${LIFECYCLE_STATES[state].label} - السبب: ${reason}`,
+          ACTIVE_STATES.includes(state),
+          req.user.id
+        ]
+      );
 
-    // إضافة ملاحظة تراكمية
-    const statusNote = is_active ? 'تم تفعيل المتطوع' : 'تم إيقاف المتطوع';
-    const fullNote = reason ? `${statusNote} - السبب: ${reason}` : statusNote;
+      return { status: 'changed', oldVolunteer, volunteer, transition };
+    });
 
-    await query(
-      `INSERT INTO cumulative_notes (volunteer_id, note_type, content, is_positive, created_by)
-       VALUES ($1, 'improvement', $2, $3, $4)`,
-      [id, fullNote, is_active, req.user.id]
-    );
+    if (outcome.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'المتطوع غير موجود',
+        code: 'VOLUNTEER_NOT_FOUND'
+      });
+    }
+
+    if (outcome.status === 'invalid_transition') {
+      const currentState = outcome.oldVolunteer.lifecycle_state;
+      return res.status(409).json({
+        success: false,
+        message: `لا يمكن الانتقال من مرحلة ${LIFECYCLE_STATES[currentState].label} إلى ${LIFECYCLE_STATES[state].label}`,
+        code: 'INVALID_STATE_TRANSITION',
+        current_state: currentState,
+        allowed_states: LIFECYCLE_TRANSITIONS[currentState]
+      });
+    }
+
+    const { oldVolunteer, volunteer, transition } = outcome;
 
     // تسجيل العملية
-    await logAuditTrail(req, 'UPDATE', 'volunteers', id, oldVolunteer, newVolunteer, `${statusNote}: ${newVolunteer.full_name}`);
+    await logAuditTrail(
+      req,
+      'STATE_CHANGE',
+      'volunteers',
+      id,
+      { lifecycle_state: oldVolunteer.lifecycle_state, is_active: oldVolunteer.is_active },
+      { lifecycle_state: volunteer.lifecycle_state, is_active: volunteer.is_active, reason },
+      `نقل المتطوع ${volunteer.full_name} إلى مرحلة ${LIFECYCLE_STATES[state].label}`
+    );
 
     res.json({
       success: true,
-      message: `تم ${is_active ? 'تفعيل' : 'إيقاف'} المتطوع بنجاح`,
+      message: `تم نقل المتطوع إلى مرحلة ${LIFECYCLE_STATES[state].label}`,
       data: {
-        volunteer: newVolunteer
+        volunteer,
+        transition
       }
     });
 
@@ -536,16 +1241,15 @@ router.patch('/:id/status', authenticateToken, requireEvaluator, async (req, res
 });
 
 /**
- * حذف متطوع (أدمن فقط)
- * DELETE /api/volunteers/:id
+ * مرحلة المتطوع الحالية وسجل انتقالاته والمدة في كل مرحلة
+ * GET /api/volunteers/:id/lifecycle
  */
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/:id/lifecycle', authenticateToken, requirePermission('volunteers.read'), requireVolunteerAccess(req => req.params.id), async (req, res) => {
   try {
     const { id } = req.params;
 
-    // التحقق من وجود المتطوع
-    const existingVolunteerResult = await query('SELECT * FROM volunteers WHERE id = $1', [id]);
-    if (existingVolunteerResult.rows.length === 0) {
+    const volunteerResult = await query('SELECT id, full_name, lifecycle_state, lifecycle_changed_at FROM volunteers WHERE id = $1', [id]);
+    if (volunteerResult.rows.length === 0) {
       return res.status(404).json({
         success: false,
         message: 'المتطوع غير موجود',
@@ -553,43 +1257,726 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
       });
     }
 
-    const volunteer = existingVolunteerResult.rows[0];
+    const volunteer = volunteerResult.rows[0];
 
-    // حذف المتطوع (سيحذف تلقائياً البيانات المرتبطة بسبب CASCADE)
-    await transaction(async (client) => {
-      // حذف التقييمات والتفاصيل
-      await client.query('DELETE FROM evaluation_details WHERE evaluation_id IN (SELECT id FROM evaluations WHERE volunteer_id = $1)', [id]);
-      await client.query('DELETE FROM evaluations WHERE volunteer_id = $1', [id]);
-      
-      // حذف الملاحظات والتنبيهات
-      await client.query('DELETE FROM cumulative_notes WHERE volunteer_id = $1', [id]);
-      await client.query('DELETE FROM alert_records WHERE volunteer_id = $1', [id]);
-      await client.query('DELETE FROM freeze_records WHERE volunteer_id = $1', [id]);
-      
-      // حذف المتطوع
-      await client.query('DELETE FROM volunteers WHERE id = $1', [id]);
-    });
+    const transitionsResult = await query(
+      `SELECT st.*, u.full_name as changed_by_name
+       FROM volunteer_state_transitions st
+       LEFT JOIN users u ON st.changed_by = u.id
+       WHERE st.volunteer_id = $1
+       ORDER BY st.changed_at DESC`,
+      [id]
+    );
 
-    // تسجيل العملية
-    await logAuditTrail(req, 'DELETE', 'volunteers', id, volunteer, null, `حذف المتطوع: ${volunteer.full_name}`);
+    const durationsResult = await query(stateDurationsSql('WHERE st.volunteer_id = $1'), [id]);
 
     res.json({
       success: true,
-      message: 'تم حذف المتطوع وجميع بياناته بنجاح',
       data: {
-        deleted_volunteer: {
-          id: volunteer.id,
-          full_name: volunteer.full_name
-        }
+        current_state: volunteer.lifecycle_state,
+        current_state_label: LIFECYCLE_STATES[volunteer.lifecycle_state].label,
+        state_since: volunteer.lifecycle_changed_at,
+        allowed_transitions: LIFECYCLE_TRANSITIONS[volunteer.lifecycle_state],
+        transitions: transitionsResult.rows,
+        time_in_states: withStateLabels(durationsResult.rows)
       }
     });
 
   } catch (error) {
-    console.error('❌ خطأ في حذف المتطوع:', error);
+    console.error('❌ خطأ في جلب مراحل المتطوع:', error);
     res.status(500).json({
       success: false,
-      message: 'خطأ في حذف المتطوع',
-      code: 'DELETE_VOLUNTEER_ERROR'
+      message: 'خطأ في جلب مراحل المتطوع',
+      code: 'GET_VOLUNTEER_LIFECYCLE_ERROR'
+    });
+  }
+});
+
+/**
+ * سجل أدوار المتطوع وتغييراتها
+ * GET /api/volunteers/:id/roles
+ */
+router.get('/:id/roles', authenticateToken, requirePermission('volunteers.read'), requireVolunteerAccess(req => req.params.id), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const volunteerResult = await query('SELECT id, full_name, role_type FROM volunteers WHERE id = $1', [id]);
+    if (volunteerResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المتطوع غير موجود',
+        code: 'VOLUNTEER_NOT_FOUND'
+      });
+    }
+
+    const historyResult = await query(
+      `SELECT rh.*, u.full_name as changed_by_name
+       FROM volunteer_role_history rh
+       LEFT JOIN users u ON rh.changed_by = u.id
+       WHERE rh.volunteer_id = $1
+       ORDER BY rh.start_date DESC`,
+      [id]
+    );
+
+    const changesResult = await query(roleChangesSql(' AND rc.volunteer_id = $1'), [id]);
+
+    res.json({
+      success: true,
+      data: {
+        current_role: volunteerResult.rows[0].role_type,
+        history: historyResult.rows,
+        changes: changesResult.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب سجل أدوار المتطوع:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب سجل أدوار المتطوع',
+      code: 'GET_VOLUNTEER_ROLES_ERROR'
+    });
+  }
+});
+
+/**
+ * سجل عضوية المتطوع في الفرق
+ * GET /api/volunteers/:id/teams
+ */
+router.get('/:id/teams', authenticateToken, requirePermission('volunteers.read'), requireVolunteerAccess(req => req.params.id), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const membershipsResult = await query(
+      `SELECT
+         tm.*,
+         t.name as team_name,
+         b.id as branch_id,
+         b.name as branch_name,
+         u.full_name as created_by_name,
+         ${membershipActiveAt('tm', 'CURRENT_DATE')} as is_current
+       FROM volunteer_team_memberships tm
+       INNER JOIN teams t ON tm.team_id = t.id
+       INNER JOIN branches b ON t.branch_id = b.id
+       LEFT JOIN users u ON tm.created_by = u.id
+       WHERE tm.volunteer_id = $1
+       ORDER BY tm.start_date DESC`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        memberships: membershipsResult.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في جلب فرق المتطوع:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في جلب فرق المتطوع',
+      code: 'GET_VOLUNTEER_TEAMS_ERROR'
+    });
+  }
+});
+
+/**
+ * ضم المتطوع لفريق أو نقله من فريقه الحالي اعتباراً من تاريخ
+ * POST /api/volunteers/:id/teams
+ *
+ * العضوية الحالية (إن وجدت) تنتهي في اليوم السابق لتاريخ السريان
+ */
+router.post('/:id/teams', [
+  authenticateToken,
+  requirePermission('volunteers.update'),
+  requireVolunteerAccess(req => req.params.id),
+  body('team_id').isUUID().withMessage('معرف الفريق غير صالح'),
+  body('start_date').optional().isISO8601().withMessage('تاريخ السريان غير صالح')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { team_id } = req.body;
+    const startDate = req.body.start_date || new Date().toISOString().slice(0, 10);
+
+    const outcome = await transaction(async (client) => {
+      // قفل المتطوع حتى لا تتداخل عمليتا نقل متزامنتان
+      const volunteerResult = await client.query('SELECT id, full_name, archived_at FROM volunteers WHERE id = $1 FOR UPDATE', [id]);
+      const volunteer = volunteerResult.rows[0];
+
+      if (!volunteer) {
+        return { status: 'not_found' };
+      }
+
+      if (volunteer.archived_at) {
+        return { status: 'archived' };
+      }
+
+      const teamResult = await client.query(
+        `SELECT t.id, t.name, b.name as branch_name
+         FROM teams t INNER JOIN branches b ON t.branch_id = b.id
+         WHERE t.id = $1 AND t.is_active = true AND b.is_active = true`,
+        [team_id]
+      );
+      const team = teamResult.rows[0];
+
+      if (!team) {
+        return { status: 'invalid_team' };
+      }
+
+      // العضويات لا تتداخل، لذلك تكفي مقارنة التاريخ بآخر عضوية
+      const latestResult = await client.query(
+        `SELECT *, ($2::date <= GREATEST(start_date, COALESCE(end_date, start_date))) as blocks_start
+         FROM volunteer_team_memberships
+         WHERE volunteer_id = $1
+         ORDER BY start_date DESC
+         LIMIT 1`,
+        [id, startDate]
+      );
+      const latest = latestResult.rows[0];
+
+      if (latest && !latest.end_date && latest.team_id === team_id) {
+        return { status: 'already_member' };
+      }
+
+      if (latest && latest.blocks_start) {
+        return { status: 'date_conflict', latest };
+      }
+
+      let closed = null;
+      if (latest && !latest.end_date) {
+        const closedResult = await client.query(
+          `UPDATE volunteer_team_memberships SET end_date = $1::date - 1 WHERE id = $2 RETURNING *`,
+          [startDate, latest.id]
+        );
+        closed = closedResult.rows[0];
+      }
+
+      const membershipResult = await client.query(
+        `INSERT INTO volunteer_team_memberships (volunteer_id, team_id, start_date, created_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [id, team_id, startDate, req.user.id]
+      );
+
+      return { status: 'assigned', volunteer, team, closed, membership: membershipResult.rows[0] };
+    });
+
+    if (outcome.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'المتطوع غير موجود',
+        code: 'VOLUNTEER_NOT_FOUND'
+      });
+    }
+
+    if (outcome.status === 'archived') {
+      return res.status(409).json({
+        success: false,
+        message: 'لا يمكن ضم متطوع مؤرشف لفريق',
+        code: 'VOLUNTEER_ARCHIVED'
+      });
+    }
+
+    if (outcome.status === 'invalid_team') {
+      return res.status(400).json({
+        success: false,
+        message: 'الفريق غير موجود أو معطل',
+        code: 'INVALID_TEAM'
+      });
+    }
+
+    if (outcome.status === 'already_member') {
+      return res.status(409).json({
+        success: false,
+        message: 'المتطوع عضو بالفعل في هذا الفريق',
+        code: 'ALREADY_TEAM_MEMBER'
+      });
+    }
+
+    if (outcome.status === 'date_conflict') {
+      return res.status(409).json({
+        success: false,
+        message: 'تاريخ السريان يجب أن يكون بعد بداية آخر عضوية وبعد نهايتها إن كانت منتهية',
+        code: 'MEMBERSHIP_DATE_CONFLICT',
+        latest_membership: outcome.latest
+      });
+    }
+
+    const { volunteer, team, closed, membership } = outcome;
+
+    // تسجيل العملية
+    await logAuditTrail(
+      req,
+      'TEAM_ASSIGN',
+      'volunteers',
+      id,
+      closed ? { team_id: closed.team_id, end_date: closed.end_date } : null,
+      { team_id, start_date: membership.start_date },
+      `${closed ? 'نقل' : 'ضم'} المتطوع ${volunteer.full_name} إلى فريق ${team.name} (${team.branch_name})`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: closed ? 'تم نقل المتطوع للفريق الجديد' : 'تم ضم المتطوع للفريق',
+      data: {
+        membership,
+        closed_membership: closed
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في ضم المتطوع للفريق:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في ضم المتطوع للفريق',
+      code: 'ASSIGN_VOLUNTEER_TEAM_ERROR'
+    });
+  }
+});
+
+/**
+ * إنهاء عضوية المتطوع الحالية في فريقه
+ * POST /api/volunteers/:id/teams/end
+ */
+router.post('/:id/teams/end', [
+  authenticateToken,
+  requirePermission('volunteers.update'),
+  requireVolunteerAccess(req => req.params.id),
+  body('end_date').optional().isISO8601().withMessage('تاريخ الانتهاء غير صالح')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const endDate = req.body.end_date || new Date().toISOString().slice(0, 10);
+
+    const openResult = await query(
+      `SELECT *, ($2::date < start_date) as ends_before_start
+       FROM volunteer_team_memberships
+       WHERE volunteer_id = $1 AND end_date IS NULL`,
+      [id, endDate]
+    );
+    const openMembership = openResult.rows[0];
+
+    if (!openMembership) {
+      return res.status(404).json({
+        success: false,
+        message: 'المتطوع ليس عضواً في أي فريق حالياً',
+        code: 'NO_OPEN_MEMBERSHIP'
+      });
+    }
+
+    if (openMembership.ends_before_start) {
+      return res.status(400).json({
+        success: false,
+        message: 'تاريخ الانتهاء لا يمكن أن يسبق بداية العضوية',
+        code: 'INVALID_END_DATE'
+      });
+    }
+
+    const endedResult = await query(
+      'UPDATE volunteer_team_memberships SET end_date = $1 WHERE id = $2 AND end_date IS NULL RETURNING *',
+      [endDate, openMembership.id]
+    );
+
+    if (endedResult.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'تم إنهاء العضوية بالفعل',
+        code: 'MEMBERSHIP_ALREADY_ENDED'
+      });
+    }
+
+    const membership = endedResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(
+      req,
+      'TEAM_END',
+      'volunteers',
+      id,
+      { team_id: membership.team_id, end_date: null },
+      { team_id: membership.team_id, end_date: membership.end_date },
+      'إنهاء عضوية المتطوع في فريقه'
+    );
+
+    res.json({
+      success: true,
+      message: 'تم إنهاء عضوية المتطوع في الفريق',
+      data: {
+        membership
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في إنهاء عضوية الفريق:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في إنهاء عضوية الفريق',
+      code: 'END_VOLUNTEER_TEAM_ERROR'
+    });
+  }
+});
+
+// سبب الأرشفة عندما لا يرسله العميل (العملاء القديمون يرسلون DELETE بدون body)
+const DEFAULT_ARCHIVE_REASON = 'أرشفة المتطوع';
+
+/**
+ * أرشفة متطوع - يختفي من القوائم وتبقى تقييماته وبياناته للتقارير (صلاحية volunteers.delete)
+ * DELETE /api/volunteers/:id
+ *
+ * السبب اختياري في body أو ?reason= (بعض العملاء والـ proxies تحذف body طلبات DELETE)
+ */
+router.delete('/:id', authenticateToken, requirePermission('volunteers.delete'), requireVolunteerAccess(req => req.params.id), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const submittedReason = (req.body && req.body.reason) || req.query.reason;
+    const reason = (typeof submittedReason === 'string' && submittedReason.trim()) || DEFAULT_ARCHIVE_REASON;
+
+    // التحقق من وجود المتطوع
+    const existingVolunteerResult = await query('SELECT * FROM volunteers WHERE id = $1', [id]);
+    if (existingVolunteerResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المتطوع غير موجود',
+        code: 'VOLUNTEER_NOT_FOUND'
+      });
+    }
+
+    const oldVolunteer = existingVolunteerResult.rows[0];
+
+    if (oldVolunteer.archived_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'المتطوع مؤرشف بالفعل',
+        code: 'ALREADY_ARCHIVED'
+      });
+    }
+
+    // المؤرشف لا يبقى عضواً في فريقه
+    const volunteer = await transaction(async (client) => {
+      const archivedResult = await client.query(
+        `UPDATE volunteers 
+         SET archived_at = CURRENT_TIMESTAMP, archive_reason = $1, archived_by = $2, updated_by = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING *`,
+        [reason, req.user.id, id]
+      );
+      await endVolunteerMemberships(client, id);
+      return archivedResult.rows[0];
+    });
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'ARCHIVE', 'volunteers', id, oldVolunteer, volunteer, `أرشفة المتطوع: ${volunteer.full_name} - السبب: ${reason}`);
+
+    res.json({
+      success: true,
+      message: 'تم أرشفة المتطوع بنجاح',
+      data: {
+        volunteer: volunteer
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في أرشفة المتطوع:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في أرشفة المتطوع',
+      code: 'ARCHIVE_VOLUNTEER_ERROR'
+    });
+  }
+});
+
+/**
+ * استرجاع متطوع من الأرشيف (صلاحية volunteers.delete)
+ * POST /api/volunteers/:id/unarchive
+ */
+router.post('/:id/unarchive', authenticateToken, requirePermission('volunteers.delete'), requireVolunteerAccess(req => req.params.id), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingVolunteerResult = await query('SELECT * FROM volunteers WHERE id = $1', [id]);
+    if (existingVolunteerResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المتطوع غير موجود',
+        code: 'VOLUNTEER_NOT_FOUND'
+      });
+    }
+
+    const oldVolunteer = existingVolunteerResult.rows[0];
+
+    if (!oldVolunteer.archived_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'المتطوع غير مؤرشف',
+        code: 'VOLUNTEER_NOT_ARCHIVED'
+      });
+    }
+
+    // المتطوع المدمج نقلت بياناته للمتطوع الباقي فلا يسترجع
+    if (oldVolunteer.merged_into) {
+      return res.status(409).json({
+        success: false,
+        message: 'لا يمكن استرجاع متطوع تم دمجه في متطوع آخر',
+        code: 'VOLUNTEER_MERGED',
+        merged_into: oldVolunteer.merged_into
+      });
+    }
+
+    const restoredResult = await query(
+      `UPDATE volunteers 
+       SET archived_at = NULL, archive_reason = NULL, archived_by = NULL, updated_by = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [req.user.id, id]
+    );
+
+    const volunteer = restoredResult.rows[0];
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'UNARCHIVE', 'volunteers', id, oldVolunteer, volunteer, `استرجاع المتطوع من الأرشيف: ${volunteer.full_name}`);
+
+    res.json({
+      success: true,
+      message: 'تم استرجاع المتطوع من الأرشيف بنجاح',
+      data: {
+        volunteer: volunteer
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في استرجاع المتطوع من الأرشيف:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في استرجاع المتطوع من الأرشيف',
+      code: 'UNARCHIVE_VOLUNTEER_ERROR'
+    });
+  }
+});
+
+/**
+ * دمج متطوع مكرر (source_id) في هذا المتطوع (أدمن فقط)
+ * POST /api/volunteers/:id/merge
+ *
+ * عند وجود تقييمين لنفس الشهر يرجع 409 بقائمة التعارضات حتى يرسل الأدمن
+ * evaluation_choices: [{ evaluation_year, evaluation_month, keep: 'target' | 'source' }]
+ */
+router.post('/:id/merge', [
+  authenticateToken,
+  requireAdmin,
+  body('source_id').isUUID().withMessage('معرف المتطوع المكرر غير صالح'),
+  body('evaluation_choices').optional().isArray().withMessage('اختيارات التقييمات يجب أن تكون مصفوفة'),
+  body('evaluation_choices.*.evaluation_year').isInt({ min: 2000 }).withMessage('سنة التقييم غير صالحة'),
+  body('evaluation_choices.*.evaluation_month').isInt({ min: 1, max: 12 }).withMessage('شهر التقييم غير صالح'),
+  body('evaluation_choices.*.keep').isIn(['target', 'source']).withMessage('الاختيار يجب أن يكون target أو source')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات غير صحيحة',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { source_id: sourceId, evaluation_choices: choices = [] } = req.body;
+
+    if (id === sourceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا يمكن دمج المتطوع في نفسه',
+        code: 'INVALID_MERGE'
+      });
+    }
+
+    const outcome = await transaction(async (client) => {
+      // قفل السجلين لمنع دمجهما أو تعديلهما في نفس الوقت
+      const volunteersResult = await client.query(
+        'SELECT * FROM volunteers WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+        [[id, sourceId]]
+      );
+      const target = volunteersResult.rows.find(row => row.id === id);
+      const source = volunteersResult.rows.find(row => row.id === sourceId);
+
+      if (!target || !source) {
+        return { status: 'not_found' };
+      }
+
+      if (source.merged_into || target.merged_into) {
+        return { status: 'already_merged', merged: source.merged_into ? source : target };
+      }
+
+      const conflicts = await findEvaluationConflicts(client, target.id, source.id);
+      const unresolved = findUnresolvedConflicts(conflicts, choices);
+      if (unresolved.length > 0) {
+        return { status: 'conflict', conflicts: unresolved };
+      }
+
+      const result = await mergeVolunteers(client, { target, source, conflicts, choices, userId: req.user.id });
+      return { status: 'merged', target, source, result };
+    });
+
+    if (outcome.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'أحد المتطوعين غير موجود',
+        code: 'VOLUNTEER_NOT_FOUND'
+      });
+    }
+
+    if (outcome.status === 'already_merged') {
+      return res.status(409).json({
+        success: false,
+        message: `المتطوع ${outcome.merged.full_name} تم دمجه مسبقاً`,
+        code: 'ALREADY_MERGED',
+        merged_into: outcome.merged.merged_into
+      });
+    }
+
+    if (outcome.status === 'conflict') {
+      return res.status(409).json({
+        success: false,
+        message: 'يوجد تقييمان لنفس الشهر، اختر التقييم الذي يبقى لكل شهر',
+        code: 'MERGE_EVALUATION_CONFLICT',
+        conflicts: outcome.conflicts
+      });
+    }
+
+    const { target, source, result } = outcome;
+
+    // تسجيل العملية في سجل المتطوعين
+    await logAuditTrail(
+      req,
+      'MERGE',
+      'volunteers',
+      target.id,
+      null,
+      { merged_from: source.id, ...result },
+      `دمج المتطوع ${source.full_name} في ${target.full_name}`
+    );
+    await logAuditTrail(
+      req,
+      'MERGE',
+      'volunteers',
+      source.id,
+      source,
+      { merged_into: target.id },
+      `دمج المتطوع ${source.full_name} في ${target.full_name}`
+    );
+
+    res.json({
+      success: true,
+      message: 'تم دمج المتطوعين بنجاح',
+      data: {
+        volunteer_id: target.id,
+        merged_volunteer_id: source.id,
+        ...result
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في دمج المتطوعين:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في دمج المتطوعين',
+      code: 'MERGE_VOLUNTEERS_ERROR'
+    });
+  }
+});
+
+/**
+ * حذف متطوع مؤرشف نهائياً مع جميع بياناته (صلاحية volunteers.purge)
+ * تحفظ لقطة كاملة في deleted_records لإمكانية الاسترجاع
+ * DELETE /api/volunteers/:id/purge
+ */
+router.delete('/:id/purge', authenticateToken, requirePermission('volunteers.purge'), requireVolunteerAccess(req => req.params.id), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // التحقق من وجود المتطوع
+    const existingVolunteerResult = await query('SELECT * FROM volunteers WHERE id = $1', [id]);
+    if (existingVolunteerResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'المتطوع غير موجود',
+        code: 'VOLUNTEER_NOT_FOUND'
+      });
+    }
+
+    const volunteer = existingVolunteerResult.rows[0];
+
+    // الحذف النهائي للمؤرشفين فقط حتى لا يحذف متطوع نشط بالخطأ
+    if (!volunteer.archived_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'يجب أرشفة المتطوع قبل حذفه نهائياً',
+        code: 'VOLUNTEER_NOT_ARCHIVED'
+      });
+    }
+
+    // حذف المتطوع مع جميع بياناته المرتبطة
+    const deletedRecord = await transaction(async (client) => {
+      // حفظ لقطة كاملة قبل الحذف لإمكانية الاسترجاع
+      const snapshot = await snapshotVolunteer(client, id);
+      const savedSnapshot = await saveDeletedSnapshot(client, 'volunteers', id, snapshot, req.user.id);
+
+      // حذف التقييمات والتفاصيل
+      await client.query('DELETE FROM evaluation_details WHERE evaluation_id IN (SELECT id FROM evaluations WHERE volunteer_id = $1)', [id]);
+      await client.query('DELETE FROM evaluations WHERE volunteer_id = $1', [id]);
+      
+      // حذف الملاحظات والتنبيهات
+      await client.query('DELETE FROM cumulative_notes WHERE volunteer_id = $1', [id]);
+      await client.query('DELETE FROM alert_records WHERE volunteer_id = $1', [id]);
+      await client.query('DELETE FROM freeze_records WHERE volunteer_id = $1', [id]);
+      
+      // حذف المتطوع (سجلات المرفقات تحذف بالتتابع، وملفاتها تبقى على القرص ما دامت اللقطة قابلة للاسترجاع
+      // وتحذف عند التخلص من اللقطة: DELETE /api/deleted-records/:id)
+      await client.query('DELETE FROM volunteers WHERE id = $1', [id]);
+
+      return savedSnapshot;
+    });
+
+    // تسجيل العملية
+    await logAuditTrail(req, 'DELETE', 'volunteers', id, volunteer, null, `حذف نهائي للمتطوع: ${volunteer.full_name}`);
+
+    res.json({
+      success: true,
+      message: 'تم حذف المتطوع وجميع بياناته نهائياً',
+      data: {
+        deleted_volunteer: {
+          id: volunteer.id,
+          full_name: volunteer.full_name
+        },
+        deleted_record_id: deletedRecord.id
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ خطأ في الحذف النهائي للمتطوع:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الحذف النهائي للمتطوع',
+      code: 'PURGE_VOLUNTEER_ERROR'
     });
   }
 });
@@ -598,8 +1985,15 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
  * إحصائيات المتطوعين
  * GET /api/volunteers/stats
  */
-router.get('/statistics/overview', authenticateToken, requireEvaluator, async (req, res) => {
+router.get('/statistics/overview', authenticateToken, requirePermission('volunteers.read'), async (req, res) => {
   try {
+    const { team_id, branch_id } = req.query;
+
+    // جميع الإحصائيات مقصورة على المتطوعين المسندين للمستخدم وعلى الفريق/الفرع المطلوب
+    const volunteerScope = volunteerFilterClause(req.user, req.query, 'id', 1);
+    const relatedScope = volunteerFilterClause(req.user, req.query, 'volunteer_id', 1);
+    const evaluationScope = volunteerFilterClause(req.user, req.query, 'volunteer_id', 1, evaluationTeamDate('evaluations'));
+
     // إحصائيات عامة
     const generalStatsQuery = `
       SELECT 
@@ -610,11 +2004,13 @@ router.get('/statistics/overview', authenticateToken, requireEvaluator, async (r
         COUNT(*) FILTER (WHERE role_type = 'إداري') as admin_volunteers,
         COUNT(*) FILTER (WHERE role_type = 'مسئول ملف') as file_manager_volunteers,
         COUNT(*) FILTER (WHERE EXTRACT(YEAR FROM join_date) = EXTRACT(YEAR FROM CURRENT_DATE)) as new_this_year,
-        COUNT(*) FILTER (WHERE EXTRACT(MONTH FROM join_date) = EXTRACT(MONTH FROM CURRENT_DATE) AND EXTRACT(YEAR FROM join_date) = EXTRACT(YEAR FROM CURRENT_DATE)) as new_this_month
+        COUNT(*) FILTER (WHERE EXTRACT(MONTH FROM join_date) = EXTRACT(MONTH FROM CURRENT_DATE) AND EXTRACT(YEAR FROM join_date) = EXTRACT(YEAR FROM CURRENT_DATE)) as new_this_month,
+        (SELECT COUNT(*) FROM volunteers WHERE archived_at IS NOT NULL${volunteerScope.clause}) as archived_volunteers
       FROM volunteers
+      WHERE archived_at IS NULL${volunteerScope.clause}
     `;
 
-    const generalStats = await query(generalStatsQuery);
+    const generalStats = await query(generalStatsQuery, volunteerScope.params);
 
     // إحصائيات الفريز
     const freezeStatsQuery = `
@@ -624,10 +2020,10 @@ router.get('/statistics/overview', authenticateToken, requireEvaluator, async (r
         COUNT(*) FILTER (WHERE CURRENT_DATE BETWEEN start_date AND end_date) as currently_frozen,
         ROUND(AVG(end_date - start_date), 2) as avg_freeze_duration_days
       FROM freeze_records
-      WHERE freeze_year = EXTRACT(YEAR FROM CURRENT_DATE) AND is_active = true
+      WHERE freeze_year = EXTRACT(YEAR FROM CURRENT_DATE) AND is_active = true${relatedScope.clause}
     `;
 
-    const freezeStats = await query(freezeStatsQuery);
+    const freezeStats = await query(freezeStatsQuery, relatedScope.params);
 
     // إحصائيات التقييمات
     const evaluationStatsQuery = `
@@ -638,10 +2034,10 @@ router.get('/statistics/overview', authenticateToken, requireEvaluator, async (r
         COUNT(*) FILTER (WHERE percentage >= 80) as high_performers,
         COUNT(*) FILTER (WHERE percentage < 60) as needs_improvement
       FROM evaluations
-      WHERE evaluation_year = EXTRACT(YEAR FROM CURRENT_DATE)
+      WHERE evaluation_year = EXTRACT(YEAR FROM CURRENT_DATE)${evaluationScope.clause}
     `;
 
-    const evaluationStats = await query(evaluationStatsQuery);
+    const evaluationStats = await query(evaluationStatsQuery, evaluationScope.params);
 
     // التنبيهات النشطة
     const alertsStatsQuery = `
@@ -651,10 +2047,20 @@ router.get('/statistics/overview', authenticateToken, requireEvaluator, async (r
         COUNT(*) FILTER (WHERE alert_type = 'weak_performance') as performance_alerts,
         COUNT(*) FILTER (WHERE alert_type = 'no_interaction') as interaction_alerts
       FROM alert_records
-      WHERE is_resolved = false
+      WHERE is_resolved = false${relatedScope.clause}
     `;
 
-    const alertsStats = await query(alertsStatsQuery);
+    const alertsStats = await query(alertsStatsQuery, relatedScope.params);
+
+    // توزيع المتطوعين على المراحل
+    const lifecycleStatsQuery = `
+      SELECT lifecycle_state as state, COUNT(*)::int as volunteers_count
+      FROM volunteers
+      WHERE archived_at IS NULL${volunteerScope.clause}
+      GROUP BY lifecycle_state
+    `;
+
+    const lifecycleStats = await query(lifecycleStatsQuery, volunteerScope.params);
 
     res.json({
       success: true,
@@ -663,6 +2069,11 @@ router.get('/statistics/overview', authenticateToken, requireEvaluator, async (r
         freeze: freezeStats.rows[0],
         evaluation: evaluationStats.rows[0],
         alerts: alertsStats.rows[0],
+        lifecycle: withStateLabels(lifecycleStats.rows),
+        filters: {
+          team_id: team_id || null,
+          branch_id: branch_id || null
+        },
         generated_at: new Date().toISOString()
       }
     });